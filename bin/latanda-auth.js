@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * latanda-auth - operator commands for @latanda/auth-middleware
+ * Run `latanda-auth --help` for the list of commands (see src/cli.js).
+ */
+
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
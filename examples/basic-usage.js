@@ -8,6 +8,7 @@
 const express = require('express');
 const {
   createAuthMiddleware,
+  createLoginThrottle,
   generateToken,
   requireRole
 } = require('@latanda/auth-middleware');
@@ -18,6 +19,9 @@ app.use(express.json());
 // Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 
+// Slow down and lock out repeated failed logins (use createPgAttemptStore with several processes)
+const loginThrottle = createLoginThrottle({ maxAttempts: 5, lockoutDuration: '15m' });
+
 // ===== PUBLIC ROUTES =====
 
 // Health check (no auth required)
@@ -26,7 +30,7 @@ app.get('/health', (req, res) => {
 });
 
 // Login endpoint (generates JWT token)
-app.post('/auth/login', (req, res) => {
+app.post('/auth/login', loginThrottle.middleware(), (req, res) => {
   const { email, password } = req.body;
 
   // TODO: Validate credentials against database
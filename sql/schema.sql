@@ -8,6 +8,8 @@
 -- - Password security with bcrypt
 
 -- Users table
+-- The role CHECK constraint matches the default roles. When using custom roles (createRBAC),
+-- drop it: ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
 CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
@@ -35,24 +37,159 @@ CREATE TABLE IF NOT EXISTS sessions (
     user_agent TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP NOT NULL,
-    is_valid BOOLEAN DEFAULT true
+    is_valid BOOLEAN DEFAULT true,
+    refresh_family_id UUID -- Refresh token family of the login; its refreshed tokens count as one session
 );
 
+-- Upgrade path for databases created before session management existed
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS refresh_family_id UUID;
+
 -- Create index for faster session lookups
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_refresh_family_id ON sessions(refresh_family_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_token_hash ON sessions(token_hash);
 CREATE INDEX IF NOT EXISTS idx_sessions_valid ON sessions(is_valid);
 
+-- Revoked tokens table (jti denylist - entries can be purged once the token has expired)
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Create index for purging expired entries
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+
+-- Refresh tokens table (opaque rotating refresh tokens, grouped into families for reuse detection)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    parent_id INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    token_hash VARCHAR(255) UNIQUE NOT NULL, -- Store hash of refresh token
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- Set when rotated; presenting it again revokes the family
+    revoked_at TIMESTAMP,
+    amr TEXT[], -- Authentication methods of the login that started the family, carried into refreshed tokens
+    auth_time BIGINT, -- Unix time of the last login or re-authentication, carried into refreshed tokens
+    scope TEXT -- Widest scope (space-separated) of refreshed tokens; NULL = unrestricted
+);
+
+-- Upgrade path for databases created before MFA, auth_time and scopes existed
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS amr TEXT[];
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS auth_time BIGINT;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS scope TEXT;
+
+-- Create index for family and user revocation
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+
+-- Single-use auth tokens table (email verification and password reset links; stored hashed)
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash VARCHAR(255) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP -- Set when consumed; a used token is never accepted again
+);
+
+-- Create index for invalidating a user's outstanding tokens
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose);
+
+-- API keys table (machine clients; the secret is stored hashed, the prefix identifies the key)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    key_prefix VARCHAR(32) UNIQUE NOT NULL, -- e.g. ltk_3f9a1c2e, safe to show and log
+    key_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(100),
+    owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- Permissions the key may use (capped by the owner's)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP, -- NULL = no expiry
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- Create index for listing a user's keys
+CREATE INDEX IF NOT EXISTS idx_api_keys_owner_id ON api_keys(owner_id);
+
+-- TOTP two-factor table (one authenticator per user; enabled once the first code is confirmed)
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    totp_secret TEXT NOT NULL, -- Base32 secret, AES-256-GCM encrypted when an encryption key is configured
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT, -- Last accepted 30-second step; a code is never accepted twice
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- MFA recovery codes table (one-time codes, stored hashed)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP
+);
+
+-- Create index for recovery code lookups
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+-- Group memberships table (group-scoped roles; a user can coordinate one group and be a member of another)
+-- group_id refers to your application's groups table
+CREATE TABLE IF NOT EXISTS group_memberships (
+    id SERIAL PRIMARY KEY,
+    group_id INTEGER NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member', -- see GROUP_ROLES: coordinator, member
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(group_id, user_id)
+);
+
+-- Create index for listing a user's groups
+CREATE INDEX IF NOT EXISTS idx_group_memberships_user_id ON group_memberships(user_id);
+
+-- Password history table (previous bcrypt hashes, used to reject password reuse)
+CREATE TABLE IF NOT EXISTS password_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for recent-history lookups
+CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at DESC);
+
+-- Login attempts table (failed-login counters per email or IP, shared by every app process)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    key VARCHAR(320) PRIMARY KEY, -- 'email:<address>' or 'ip:<address>'
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failure_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP
+);
+
+-- Create index for purging stale counters
+CREATE INDEX IF NOT EXISTS idx_login_attempts_last_failure_at ON login_attempts(last_failure_at);
+
 -- User permissions table (for custom per-user permissions beyond role defaults)
 CREATE TABLE IF NOT EXISTS user_permissions (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     permission VARCHAR(100) NOT NULL,
+    effect VARCHAR(5) NOT NULL DEFAULT 'allow' CHECK (effect IN ('allow', 'deny')), -- deny removes a role default
     granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     granted_by INTEGER REFERENCES users(id),
     UNIQUE(user_id, permission)
 );
 
+-- Upgrade path for databases created before per-user denies existed
+ALTER TABLE user_permissions ADD COLUMN IF NOT EXISTS effect VARCHAR(5) NOT NULL DEFAULT 'allow' CHECK (effect IN ('allow', 'deny'));
+
 -- Create index for permission lookups
 CREATE INDEX IF NOT EXISTS idx_user_permissions_user_id ON user_permissions(user_id);
 
@@ -65,13 +202,18 @@ CREATE TABLE IF NOT EXISTS auth_audit_log (
     user_agent TEXT,
     success BOOLEAN DEFAULT true,
     error_message TEXT,
+    metadata JSONB, -- event details, e.g. { "from": "USER", "to": "MIT" } for role_change
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Existing installs: add the metadata column
+ALTER TABLE auth_audit_log ADD COLUMN IF NOT EXISTS metadata JSONB;
+
 -- Create index for audit log queries
 CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON auth_audit_log(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_event_type ON auth_audit_log(event_type);
 CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON auth_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_history ON auth_audit_log(user_id, id DESC);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -82,7 +224,8 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
--- Trigger to auto-update updated_at
+-- Trigger to auto-update updated_at (dropped first so the schema can be applied again)
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -98,6 +241,70 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to purge revocation entries for tokens that have expired anyway (call periodically)
+CREATE OR REPLACE FUNCTION cleanup_revoked_tokens()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to delete expired refresh tokens (call periodically)
+CREATE OR REPLACE FUNCTION cleanup_expired_refresh_tokens()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to delete expired or used auth tokens (call periodically)
+CREATE OR REPLACE FUNCTION cleanup_auth_tokens()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM auth_tokens WHERE expires_at < CURRENT_TIMESTAMP OR used_at IS NOT NULL;
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to delete stale login attempt counters (call periodically)
+CREATE OR REPLACE FUNCTION cleanup_login_attempts(max_age INTERVAL DEFAULT INTERVAL '1 day')
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM login_attempts
+    WHERE last_failure_at < CURRENT_TIMESTAMP - max_age
+      AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP);
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to delete API keys revoked or expired more than 30 days ago (call periodically)
+CREATE OR REPLACE FUNCTION cleanup_api_keys()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM api_keys
+    WHERE revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+       OR expires_at < CURRENT_TIMESTAMP - INTERVAL '30 days';
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Sample data (optional - remove in production)
 -- Admin user: admin@latanda.online / Admin123!
 -- Password hash is bcrypt for "Admin123!"
@@ -122,5 +329,14 @@ VALUES (
 
 COMMENT ON TABLE users IS 'User accounts with authentication credentials';
 COMMENT ON TABLE sessions IS 'Active JWT token sessions for tracking and revocation';
-COMMENT ON TABLE user_permissions IS 'Custom per-user permissions beyond role defaults';
+COMMENT ON TABLE revoked_tokens IS 'Denylist of revoked token IDs (jti) until their natural expiry';
+COMMENT ON TABLE refresh_tokens IS 'Hashed rotating refresh tokens grouped into families';
+COMMENT ON TABLE auth_tokens IS 'Hashed single-use email verification and password reset tokens';
+COMMENT ON TABLE api_keys IS 'Hashed API keys for machine clients, with owner, scopes and expiry';
+COMMENT ON TABLE user_mfa IS 'TOTP authenticator secrets and replay/lockout state per user';
+COMMENT ON TABLE mfa_recovery_codes IS 'Hashed one-time MFA recovery codes';
+COMMENT ON TABLE group_memberships IS 'Group-scoped roles (coordinator, member) per user and group';
+COMMENT ON TABLE password_history IS 'Previous password hashes for password reuse checks';
+COMMENT ON TABLE login_attempts IS 'Failed login counters and temporary lockouts per email and IP';
+COMMENT ON TABLE user_permissions IS 'Custom per-user permission grants and denies beyond role defaults';
 COMMENT ON TABLE auth_audit_log IS 'Audit trail of authentication events';
@@ -0,0 +1,290 @@
+/**
+ * API Keys for Machine Clients
+ * Keys look like `ltk_3f9a1c2e_<secret>`: the prefix identifies the key in logs and listings,
+ * the secret is stored hashed in the `api_keys` table. A key acts for its owner, limited to its scopes.
+ */
+
+const crypto = require('crypto');
+const { defaultRBAC } = require('./rbac');
+const { loadUserPermissions } = require('./permissions');
+const { hashToken, randomToken, toSeconds } = require('./utils');
+
+const KEY_COLUMNS = 'id, key_prefix, name, owner_id, scopes, created_at, expires_at, last_used_at, revoked_at';
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    prefix: row.key_prefix,
+    name: row.name,
+    ownerId: row.owner_id,
+    scopes: row.scopes || [],
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Create an API key store backed by the `api_keys` table
+ * Pass it as `apiKeyStore` to createAuthMiddleware / optionalAuth.
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @param {string} [config.prefix='ltk'] - Marker at the start of every key (tells keys apart from JWTs)
+ * @param {Object} [config.rbac] - RBAC instance used to cap scopes by the owner's current permissions
+ * @returns {Object} API key store
+ */
+function createApiKeyStore(config = {}) {
+  const { pool, prefix = 'ltk', rbac = defaultRBAC } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the API key store');
+  }
+  if (!/^[a-z][a-z0-9]*$/.test(prefix)) {
+    throw new Error('@latanda/auth-middleware: API key prefix must be lowercase letters and digits');
+  }
+
+  function checkScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => typeof scope === 'string' && scope)) {
+      throw new Error('@latanda/auth-middleware: an API key needs at least one scope (permission name)');
+    }
+  }
+
+  function newKey() {
+    const keyPrefix = `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+    return { keyPrefix, key: `${keyPrefix}_${randomToken(32)}` };
+  }
+
+  /**
+   * Tell whether a credential looks like one of this store's keys (rather than a JWT)
+   * @param {string} value - Credential
+   * @returns {boolean} True for `<prefix>_...`
+   */
+  function isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(`${prefix}_`);
+  }
+
+  /**
+   * Create a key; the full key is returned once and cannot be recovered later
+   * @param {Object} options - Options
+   * @param {number|string} options.ownerId - User the key acts for
+   * @param {string[]} options.scopes - Permissions the key may use
+   * @param {string} [options.name] - Label, e.g. 'nightly-payouts cron'
+   * @param {number|string} [options.expiresIn] - Lifetime ('90d'); no expiry when omitted
+   * @returns {Promise<Object>} { key, id, prefix, name, ownerId, scopes, expiresAt, ... }
+   */
+  async function create(options = {}) {
+    const { ownerId, scopes, name = null, expiresIn } = options;
+
+    if (ownerId === undefined || ownerId === null) {
+      throw new Error('@latanda/auth-middleware: ownerId is required for an API key');
+    }
+    checkScopes(scopes);
+
+    const { keyPrefix, key } = newKey();
+    const expiresAt = expiresIn !== undefined ? new Date(Date.now() + toSeconds(expiresIn) * 1000) : null;
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (key_prefix, key_hash, name, owner_id, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${KEY_COLUMNS}`,
+      [keyPrefix, hashToken(key), name, ownerId, scopes, expiresAt]
+    );
+
+    return { key, ...toApiKey(result.rows[0]) };
+  }
+
+  /**
+   * List keys (never the secrets)
+   * @param {Object} [filter] - Filter
+   * @param {number|string} [filter.ownerId] - Only this owner's keys
+   * @param {boolean} [filter.includeRevoked=false] - Include revoked keys
+   * @returns {Promise<Object[]>} Keys
+   */
+  async function list(filter = {}) {
+    const { ownerId, includeRevoked = false } = filter;
+    const conditions = [];
+    const params = [];
+
+    if (ownerId !== undefined) {
+      params.push(ownerId);
+      conditions.push(`owner_id = $${params.length}`);
+    }
+    if (!includeRevoked) {
+      conditions.push('revoked_at IS NULL');
+    }
+
+    const result = await pool.query(
+      `SELECT ${KEY_COLUMNS} FROM api_keys
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC`,
+      params
+    );
+
+    return result.rows.map(toApiKey);
+  }
+
+  /**
+   * Revoke a key
+   * @param {number} id - Key ID
+   * @param {Object} [options] - Options
+   * @param {number|string} [options.ownerId] - Only revoke if the key belongs to this user
+   * @returns {Promise<boolean>} True if a live key was revoked
+   */
+  async function revoke(id, options = {}) {
+    const { ownerId } = options;
+    const result = ownerId !== undefined
+      ? await pool.query(
+        'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND owner_id = $2 AND revoked_at IS NULL',
+        [id, ownerId]
+      )
+      : await pool.query(
+        'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+        [id]
+      );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Replace a key with a new secret (same name, owner, scopes and expiry)
+   * @param {number} id - Key ID
+   * @param {Object} [options] - Options
+   * @param {number|string} [options.ownerId] - Only rotate if the key belongs to this user
+   * @param {number|string} [options.gracePeriod=0] - Keep the old key working this long ('1h'),
+   *   so deployments can switch over
+   * @returns {Promise<Object|null>} New key as returned by create(), or null if no live key matched
+   */
+  async function rotate(id, options = {}) {
+    const { ownerId, gracePeriod = 0 } = options;
+    const graceSeconds = toSeconds(gracePeriod);
+    const { keyPrefix, key } = newKey();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `SELECT ${KEY_COLUMNS} FROM api_keys
+         WHERE id = $1 AND revoked_at IS NULL ${ownerId !== undefined ? 'AND owner_id = $2' : ''}
+         FOR UPDATE`,
+        ownerId !== undefined ? [id, ownerId] : [id]
+      );
+      const old = current.rows[0];
+
+      if (!old) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(
+        `INSERT INTO api_keys (key_prefix, key_hash, name, owner_id, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${KEY_COLUMNS}`,
+        [keyPrefix, hashToken(key), old.name, old.owner_id, old.scopes, old.expires_at]
+      );
+
+      if (graceSeconds > 0) {
+        await client.query(
+          `UPDATE api_keys SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), CURRENT_TIMESTAMP + make_interval(secs => $2))
+           WHERE id = $1`,
+          [id, graceSeconds]
+        );
+      } else {
+        await client.query('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      }
+
+      await client.query('COMMIT');
+      return { key, ...toApiKey(result.rows[0]) };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a key and build the principal for req.user
+   * @param {string} key - Full API key
+   * @returns {Promise<Object>} { valid: true, user } or { valid: false, error, code }
+   */
+  async function verify(key) {
+    const invalid = { valid: false, error: 'Invalid API key', code: 'INVALID_API_KEY' };
+    if (!isApiKey(key)) return invalid;
+
+    const keyPrefix = key.split('_').slice(0, 2).join('_');
+    const result = await pool.query(
+      `SELECT k.id, k.key_hash, k.name, k.owner_id, k.scopes, k.expires_at, k.revoked_at,
+              u.email, u.role, u.is_active
+       FROM api_keys k JOIN users u ON u.id = k.owner_id
+       WHERE k.key_prefix = $1`,
+      [keyPrefix]
+    );
+    const row = result.rows[0];
+
+    const expected = Buffer.from(row ? row.key_hash : hashToken(''));
+    const actual = Buffer.from(hashToken(key));
+    if (!row || !crypto.timingSafeEqual(expected, actual)) return invalid;
+
+    if (row.revoked_at) {
+      return { valid: false, error: 'API key revoked', code: 'API_KEY_REVOKED' };
+    }
+    if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+      return { valid: false, error: 'API key expired', code: 'API_KEY_EXPIRED' };
+    }
+    if (row.is_active === false) {
+      return { valid: false, error: 'API key owner is inactive', code: 'INVALID_API_KEY' };
+    }
+
+    // A key can never do more than its owner can do today
+    const ownerPermissions = await loadUserPermissions(pool, row.owner_id);
+    const permissions = (row.scopes || []).filter(scope => rbac.hasPermission(row.role, scope, ownerPermissions));
+
+    // At most one write per minute per key
+    await pool.query(
+      `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+      [row.id]
+    );
+
+    return {
+      valid: true,
+      user: {
+        type: 'api_key',
+        id: row.owner_id,
+        email: row.email,
+        role: null, // Role checks do not apply to keys; permissions come from the scopes only
+        permissions,
+        deniedPermissions: [],
+        apiKeyId: row.id,
+        apiKeyPrefix: keyPrefix,
+        apiKeyName: row.name
+      }
+    };
+  }
+
+  /**
+   * Delete keys revoked or expired more than 30 days ago (wraps the cleanup_api_keys() SQL function)
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async function cleanupExpired() {
+    const result = await pool.query('SELECT cleanup_api_keys() AS deleted');
+    return Number(result.rows[0].deleted);
+  }
+
+  return {
+    prefix,
+    isApiKey,
+    create,
+    list,
+    rotate,
+    revoke,
+    verify,
+    cleanupExpired
+  };
+}
+
+module.exports = {
+  createApiKeyStore
+};
@@ -0,0 +1,232 @@
+/**
+ * Authentication Audit Logging
+ * Records auth events (login, logout, refresh, failed validation, denials, role changes)
+ * to pluggable sinks: the `auth_audit_log` table, a JSON lines file, or a callback.
+ */
+
+const fs = require('fs');
+const { requestContext } = require('./utils');
+
+/**
+ * Event types written by this package
+ */
+const AUDIT_EVENTS = {
+  LOGIN: 'login',
+  LOGIN_FAILED: 'failed_login',
+  LOGOUT: 'logout',
+  TOKEN_REFRESH: 'token_refresh',
+  TOKEN_INVALID: 'token_validation_failed',
+  ACCESS_DENIED: 'access_denied',
+  ROLE_CHANGE: 'role_change',
+  PERMISSION_CHANGE: 'permission_change',
+  ACCOUNT_LOCKED: 'account_locked',
+  EMAIL_VERIFIED: 'email_verified',
+  PASSWORD_RESET: 'password_reset',
+  REAUTHENTICATION: 'reauthentication',
+  SESSION_REVOKED: 'session_revoked',
+  IMPERSONATION_START: 'impersonation_start',
+  IMPERSONATION_END: 'impersonation_end'
+};
+
+/**
+ * Create an audit logger
+ * Logging never throws and never rejects: sink failures go to onError.
+ * @param {Object} config - Configuration options
+ * @param {Array<Object|Function>} config.sinks - Sinks with write(event), or plain functions
+ * @param {Function} [config.onError] - Called with (error, event) when a sink fails
+ * @returns {Object} Audit logger
+ */
+function createAuditLogger(config = {}) {
+  const { sinks = [], onError = () => {} } = config;
+
+  if (!Array.isArray(sinks) || sinks.length === 0) {
+    throw new Error('@latanda/auth-middleware: createAuditLogger requires at least one sink');
+  }
+
+  const writers = sinks.map(sink => (typeof sink === 'function' ? sink : event => sink.write(event)));
+
+  /**
+   * Record an event
+   * @param {Object} event - Event fields
+   * @param {string} event.eventType - One of AUDIT_EVENTS (or a custom type)
+   * @param {number|string} [event.userId] - User the event is about
+   * @param {string} [event.ipAddress] - Client IP address
+   * @param {string} [event.userAgent] - Client user agent
+   * @param {boolean} [event.success=true] - Whether the action succeeded
+   * @param {string} [event.errorMessage] - Failure reason
+   * @param {Object} [event.metadata] - Extra details (stored as JSON)
+   * @returns {Promise<void>} Resolves once every sink has been tried
+   */
+  async function log(event) {
+    const entry = {
+      eventType: event.eventType,
+      userId: event.userId === undefined ? null : event.userId,
+      ipAddress: event.ipAddress || null,
+      userAgent: event.userAgent || null,
+      success: event.success !== false,
+      errorMessage: event.errorMessage || null,
+      metadata: event.metadata || null,
+      createdAt: new Date()
+    };
+
+    await Promise.all(writers.map(async (write) => {
+      try {
+        await write(entry);
+      } catch (error) {
+        onError(error, entry);
+      }
+    }));
+  }
+
+  /**
+   * Record an event for an Express request (IP, user agent and req.user filled in)
+   * During impersonation the staff member is added to the metadata as actorId.
+   * @param {Object} req - Express request
+   * @param {string} eventType - Event type
+   * @param {Object} [fields] - Other event fields, see log()
+   * @returns {Promise<void>}
+   */
+  function logRequest(req, eventType, fields = {}) {
+    const { ipAddress, userAgent } = requestContext(req);
+    const actor = req.user && req.user.actor;
+
+    return log({
+      userId: req.user ? req.user.id : null,
+      ipAddress,
+      userAgent,
+      ...fields,
+      ...(actor && { metadata: { ...fields.metadata, actorId: actor.id } }),
+      eventType
+    });
+  }
+
+  return {
+    log,
+    logRequest
+  };
+}
+
+/**
+ * Sink writing to the `auth_audit_log` table
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @returns {Object} Sink
+ */
+function createPgAuditSink(config = {}) {
+  const { pool } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the PostgreSQL audit sink');
+  }
+
+  return {
+    async write(event) {
+      await pool.query(
+        `INSERT INTO auth_audit_log (user_id, event_type, ip_address, user_agent, success, error_message, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          event.userId,
+          event.eventType,
+          event.ipAddress,
+          event.userAgent,
+          event.success,
+          event.errorMessage,
+          event.metadata ? JSON.stringify(event.metadata) : null,
+          event.createdAt
+        ]
+      );
+    }
+  };
+}
+
+/**
+ * Sink appending JSON lines to a file
+ * @param {Object} config - Configuration options
+ * @param {string} config.path - File path
+ * @returns {Object} Sink
+ */
+function createFileAuditSink(config = {}) {
+  const { path } = config;
+
+  if (!path) {
+    throw new Error('@latanda/auth-middleware: path is required for the file audit sink');
+  }
+
+  // Chain writes so lines keep their order
+  let queue = Promise.resolve();
+
+  return {
+    write(event) {
+      const write = queue.then(() => fs.promises.appendFile(path, `${JSON.stringify(event)}\n`));
+      queue = write.catch(() => {});
+      return write;
+    }
+  };
+}
+
+/**
+ * Sink calling a function for every event
+ * @param {Function} callback - (event) => void | Promise<void>
+ * @returns {Object} Sink
+ */
+function createCallbackAuditSink(callback) {
+  if (typeof callback !== 'function') {
+    throw new Error('@latanda/auth-middleware: createCallbackAuditSink requires a function');
+  }
+
+  return { write: callback };
+}
+
+/**
+ * Page through one user's audit history, newest first
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - Query options
+ * @param {number|string} options.userId - User ID
+ * @param {string} [options.eventType] - Only this event type
+ * @param {number} [options.limit=50] - Page size (max 500)
+ * @param {number} [options.before] - Cursor: return events older than this id (nextCursor of the previous page)
+ * @returns {Promise<Object>} { events, nextCursor } - nextCursor is null on the last page
+ */
+async function queryAuditLog(pool, options = {}) {
+  const { userId, eventType, before } = options;
+  const limit = Math.min(Math.max(Number(options.limit) || 50, 1), 500);
+
+  if (userId === undefined || userId === null) {
+    throw new Error('@latanda/auth-middleware: queryAuditLog requires userId');
+  }
+
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  if (eventType) {
+    params.push(eventType);
+    conditions.push(`event_type = $${params.length}`);
+  }
+  if (before) {
+    params.push(before);
+    conditions.push(`id < $${params.length}`);
+  }
+  params.push(limit + 1);
+
+  const result = await pool.query(
+    `SELECT id, user_id, event_type, ip_address, user_agent, success, error_message, metadata, created_at
+     FROM auth_audit_log
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const events = result.rows.slice(0, limit);
+  const nextCursor = result.rows.length > limit ? events[events.length - 1].id : null;
+
+  return { events, nextCursor };
+}
+
+module.exports = {
+  AUDIT_EVENTS,
+  createAuditLogger,
+  createPgAuditSink,
+  createFileAuditSink,
+  createCallbackAuditSink,
+  queryAuditLog
+};
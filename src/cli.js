@@ -0,0 +1,653 @@
+/**
+ * Command-Line Tool
+ * The `latanda-auth` operator commands (bin/latanda-auth.js): database setup, users and roles,
+ * test tokens, token inspection, revocation, cleanup and the audit log.
+ *
+ * Settings come from a config file (--config or LATANDA_AUTH_CONFIG, JSON or a CommonJS module),
+ * overridden by DATABASE_URL, JWT_SECRET, JWT_ISSUER and JWT_AUDIENCE. Without DATABASE_URL,
+ * pg falls back to the PGHOST, PGUSER, PGDATABASE, ... variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { generateToken, validateToken, decodeToken } = require('./jwt');
+const { createKeyRing } = require('./keyring');
+const { defaultRBAC } = require('./rbac');
+const { hashPassword, createPasswordPolicy } = require('./password');
+const { attachUserPermissions, setUserRole } = require('./permissions');
+const { createSessionStore } = require('./sessions');
+const { createPgRevocationStore } = require('./revocation');
+const { createRefreshTokenStore } = require('./refresh');
+const { createAuthTokenStore } = require('./verification');
+const { createApiKeyStore } = require('./apikeys');
+const { createPgAttemptStore } = require('./lockout');
+const { createAuditLogger, createPgAuditSink } = require('./audit');
+const { toSeconds } = require('./utils');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'sql', 'schema.sql');
+const BOOLEAN_FLAGS = ['all', 'follow', 'help', 'json', 'sample-data', 'session', 'unverified'];
+
+const USAGE = `Usage: latanda-auth <command> [options]
+
+Commands:
+  init-db [--sample-data]                       Create the tables and functions from sql/schema.sql
+  create-user <email> [--role USER] [--name N]  Create a user; the password is read from stdin
+              [--unverified]
+  set-role <user> <role>                        Change a user's role (user = id or email)
+  issue-token <user> [--expires-in 1h]          Sign a token for a user from the database
+              [--scope S] [--session]
+  issue-token --email E --role R [--id N]       Sign a test token without a database
+  inspect-token [token]                         Decode a token and report whether it is valid
+  revoke <token>                                Revoke one token and its session
+  revoke --user <user>                          Revoke every session and refresh token of a user
+  cleanup-sessions [--all]                      Delete expired sessions (--all: every expired row)
+  audit tail [--user U] [--event E]             Show the latest audit events
+             [--limit 20] [--follow]
+  generate-key [--algorithm HS256] [--kid K]    Create a key ring entry for signing key rotation
+
+Options:
+  --config <file>   Config file (default: LATANDA_AUTH_CONFIG)
+  --json            Machine-readable output
+  --help            Show this help
+`;
+
+/**
+ * Error reported to the operator without a stack trace
+ */
+class CliError extends Error {
+  constructor(message, { usage = false } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.usage = usage;
+  }
+}
+
+/**
+ * Split command-line arguments into positional arguments and --options
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Object} { positional, options } - option names are camelCased
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    if (eq !== -1) {
+      options[key] = arg.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      options[key] = true;
+    } else if (i + 1 < argv.length) {
+      options[key] = argv[++i];
+    } else {
+      throw new CliError(`--${name} needs a value`, { usage: true });
+    }
+  }
+
+  return { positional, options };
+}
+
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new CliError(`config file not found: ${file}`);
+  }
+  if (resolved.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+  return require(resolved);
+}
+
+/**
+ * Resolve settings from the config file and the environment (the environment wins)
+ * @param {Object} [options] - Parsed options ({ config })
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { databaseUrl, jwtSecret, keys, defaultKid, tokenOptions, bcryptCost, passwordPolicy }
+ */
+function loadConfig(options = {}, env = process.env) {
+  const file = options.config || env.LATANDA_AUTH_CONFIG;
+  const fromFile = file ? readConfigFile(file) : {};
+
+  const tokenOptions = { ...fromFile.tokenOptions };
+  if (env.JWT_ISSUER) tokenOptions.issuer = env.JWT_ISSUER;
+  if (env.JWT_AUDIENCE) tokenOptions.audience = env.JWT_AUDIENCE;
+
+  return {
+    ...fromFile,
+    databaseUrl: env.DATABASE_URL || fromFile.databaseUrl,
+    jwtSecret: env.JWT_SECRET || fromFile.jwtSecret,
+    tokenOptions
+  };
+}
+
+/**
+ * Signing and verification key: the key ring from the config file, or the shared secret
+ */
+function signingKey(config) {
+  if (config.keys) {
+    return createKeyRing({ keys: config.keys, defaultKid: config.defaultKid });
+  }
+  return config.jwtSecret || null;
+}
+
+function requireKey(config) {
+  const key = signingKey(config);
+  if (!key) {
+    throw new CliError('JWT_SECRET (or jwtSecret / keys in the config file) is required');
+  }
+  return key;
+}
+
+function validationOptions(config) {
+  const { algorithm = 'HS256', ...rest } = config.tokenOptions;
+  return { algorithms: [algorithm], ...rest };
+}
+
+async function findUser(pool, ref) {
+  if (ref === undefined) {
+    throw new CliError('a user id or email is required', { usage: true });
+  }
+  const byId = /^\d+$/.test(String(ref));
+  const result = await pool.query(
+    `SELECT id, email, role, email_verified, is_active FROM users WHERE ${byId ? 'id' : 'email'} = $1`,
+    [byId ? Number(ref) : String(ref)]
+  );
+  if (!result.rows[0]) {
+    throw new CliError(`user not found: ${ref}`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Read a password from a pipe (first line), or prompt twice without echo on a terminal
+ */
+async function readPassword(io) {
+  const { stdin, stderr } = io;
+
+  if (!stdin.isTTY) {
+    let input = '';
+    for await (const chunk of stdin) input += chunk;
+    return input.split(/\r?\n/)[0];
+  }
+
+  function prompt(label) {
+    return new Promise((resolve, reject) => {
+      let value = '';
+      stderr.write(label);
+      stdin.setRawMode(true);
+      stdin.resume();
+      stdin.setEncoding('utf8');
+
+      function onData(chars) {
+        for (const char of chars) {
+          if (char === '\r' || char === '\n') {
+            done();
+            return resolve(value);
+          }
+          if (char === '\u0003') {
+            done();
+            return reject(new CliError('cancelled'));
+          }
+          value = char === '\u007f' ? value.slice(0, -1) : value + char;
+        }
+      }
+
+      function done() {
+        stdin.removeListener('data', onData);
+        stdin.setRawMode(false);
+        stdin.pause();
+        stderr.write('\n');
+      }
+
+      stdin.on('data', onData);
+    });
+  }
+
+  const password = await prompt('Password: ');
+  if (await prompt('Confirm password: ') !== password) {
+    throw new CliError('passwords do not match');
+  }
+  return password;
+}
+
+async function readToken(positional, io) {
+  if (positional[0] && positional[0] !== '-') return positional[0].trim();
+  if (io.stdin.isTTY) {
+    throw new CliError('a token is required', { usage: true });
+  }
+  let input = '';
+  for await (const chunk of io.stdin) input += chunk;
+  return input.trim();
+}
+
+/**
+ * "2h 5m" for a number of seconds
+ */
+function formatDuration(seconds) {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let rest = Math.abs(Math.round(seconds));
+  for (const [unit, size] of units) {
+    if (rest >= size || (unit === 's' && parts.length === 0)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.join(' ');
+}
+
+function formatTime(seconds, now) {
+  if (!seconds) return '-';
+  const delta = seconds - now;
+  const relative = delta >= 0 ? `in ${formatDuration(delta)}` : `${formatDuration(delta)} ago`;
+  return `${new Date(seconds * 1000).toISOString()} (${relative})`;
+}
+
+/**
+ * Inspect a token: decoded header and claims, plus a validity report
+ * The signature is only checked when a secret or key ring is configured.
+ * @param {string} token - JWT token
+ * @param {Object} config - Settings (see loadConfig)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.revocationStore] - Also check the revocation denylist
+ * @returns {Promise<Object>} { header, payload, checked, valid, error, revoked }
+ */
+async function inspectToken(token, config, options = {}) {
+  const decoded = decodeToken(token);
+  if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+    throw new CliError('not a JWT');
+  }
+
+  const report = { header: decoded.header, payload: decoded.payload, checked: false, valid: null, error: null, revoked: null };
+
+  const key = signingKey(config);
+  if (key) {
+    const result = validateToken(token, key, validationOptions(config));
+    report.checked = true;
+    report.valid = result.valid;
+    report.error = result.valid ? null : result.error;
+  }
+
+  if (options.revocationStore && decoded.payload.jti) {
+    report.revoked = await options.revocationStore.isRevoked(decoded.payload.jti);
+    if (report.revoked) {
+      report.valid = false;
+      report.error = report.error || 'Token revoked';
+    }
+  }
+
+  return report;
+}
+
+function printInspection(report, out) {
+  const { header, payload } = report;
+  const now = Math.floor(Date.now() / 1000);
+  const scope = payload.scope || '(unrestricted)';
+
+  out(`Algorithm:  ${header.alg}${header.kid ? ` (kid ${header.kid})` : ''}`);
+  out(`User:       ${payload.user_id} <${payload.email}> ${payload.role}`);
+  if (payload.act) {
+    out(`Actor:      ${payload.act.sub} <${payload.act.email}> ${payload.act.role} (impersonation)`);
+  }
+  out(`Scope:      ${scope}`);
+  if (payload.token_use) out(`Token use:  ${payload.token_use}`);
+  out(`Issuer:     ${payload.iss}  Audience: ${payload.aud}`);
+  out(`Token ID:   ${payload.jti || '-'}`);
+  out(`Issued:     ${formatTime(payload.iat, now)}`);
+  out(`Expires:    ${formatTime(payload.exp, now)}`);
+  if (payload.auth_time) out(`Auth time:  ${formatTime(payload.auth_time, now)}`);
+  if (payload.amr) out(`Methods:    ${payload.amr.join(', ')}`);
+
+  if (!report.checked && report.revoked === null) {
+    out('Validity:   signature not checked (set JWT_SECRET)');
+  } else if (report.valid === false) {
+    out(`Validity:   INVALID - ${report.error}`);
+  } else if (!report.checked) {
+    out('Validity:   not revoked (signature not checked, set JWT_SECRET)');
+  } else {
+    out('Validity:   valid');
+  }
+}
+
+function formatAuditEvent(event) {
+  const time = new Date(event.created_at).toISOString();
+  const status = event.success === false ? `FAILED${event.error_message ? ` (${event.error_message})` : ''}` : 'ok';
+  const metadata = event.metadata && Object.keys(event.metadata).length > 0 ? ` ${JSON.stringify(event.metadata)}` : '';
+  return `${time}  #${event.id}  ${event.event_type}  user=${event.user_id === null ? '-' : event.user_id}` +
+    `  ip=${event.ip_address || '-'}  ${status}${metadata}`;
+}
+
+/**
+ * Commands: run({ positional, options, config, pool, io, out }) → exit code
+ */
+const COMMANDS = {
+  async 'init-db'({ options, pool, out }) {
+    let sql = fs.readFileSync(SCHEMA_PATH, 'utf8');
+    if (!options.sampleData) {
+      // The sample users have placeholder hashes; create real ones with create-user
+      const start = sql.indexOf('-- Sample data');
+      const end = sql.indexOf('COMMENT ON TABLE');
+      if (start !== -1 && end > start) sql = sql.slice(0, start) + sql.slice(end);
+    }
+    await pool().query(sql);
+    out('Schema applied');
+    return 0;
+  },
+
+  async 'create-user'({ positional, options, config, pool, io, out }) {
+    const [email] = positional;
+    const role = options.role || 'USER';
+    if (!email) {
+      throw new CliError('an email is required', { usage: true });
+    }
+    if (!defaultRBAC.isValidRole(role)) {
+      throw new CliError(`unknown role ${role}`);
+    }
+
+    const password = await readPassword(io);
+    const validation = await createPasswordPolicy(config.passwordPolicy).validate(password);
+    if (!validation.valid) {
+      throw new CliError(validation.error);
+    }
+
+    const passwordHash = await hashPassword(password, { cost: config.bcryptCost });
+    let result;
+    try {
+      result = await pool().query(
+        `INSERT INTO users (email, password_hash, full_name, role, email_verified)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, email, role`,
+        [email, passwordHash, options.name || null, role, !options.unverified]
+      );
+    } catch (error) {
+      if (error.code === '23505') throw new CliError(`a user with email ${email} already exists`);
+      throw error;
+    }
+
+    const user = result.rows[0];
+    out(options.json ? JSON.stringify(user) : `Created user ${user.id} <${user.email}> ${user.role}`);
+    return 0;
+  },
+
+  async 'set-role'({ positional, options, pool, out }) {
+    const [ref, role] = positional;
+    if (!role) {
+      throw new CliError('a user and a role are required', { usage: true });
+    }
+    if (!defaultRBAC.isValidRole(role)) {
+      throw new CliError(`unknown role ${role}`);
+    }
+
+    const user = await findUser(pool(), ref);
+    const auditLogger = createAuditLogger({ sinks: [createPgAuditSink({ pool: pool() })] });
+    const change = await setUserRole(pool(), user.id, role, { auditLogger });
+
+    out(options.json
+      ? JSON.stringify({ id: user.id, ...change })
+      : `User ${user.id} <${user.email}>: ${change.from} → ${change.to} (takes effect with the next token)`);
+    return 0;
+  },
+
+  async 'issue-token'({ positional, options, config, pool, out }) {
+    const key = requireKey(config);
+    const tokenOptions = { ...config.tokenOptions, expiresIn: options.expiresIn || '1h' };
+    if (options.scope) tokenOptions.scope = options.scope;
+
+    let user;
+    if (options.email) {
+      // Offline test token: nothing is looked up
+      if (!options.role || !defaultRBAC.isValidRole(options.role)) {
+        throw new CliError('--role is required (a valid role) with --email', { usage: true });
+      }
+      user = { id: options.id || '1', email: options.email, role: options.role, email_verified: true };
+    } else {
+      const row = await findUser(pool(), positional[0]);
+      if (row.is_active === false) {
+        throw new CliError(`user ${row.id} is disabled`);
+      }
+      user = await attachUserPermissions(pool(), row);
+    }
+
+    let token;
+    if (options.session) {
+      if (options.email) {
+        throw new CliError('--session needs a user from the database');
+      }
+      ({ token } = await createSessionStore({ pool: pool() }).issueToken(user, key, tokenOptions));
+    } else {
+      token = generateToken(user, key, tokenOptions);
+    }
+
+    out(options.json ? JSON.stringify({ token, expires_in: tokenOptions.expiresIn }) : token);
+    return 0;
+  },
+
+  async 'inspect-token'({ positional, options, config, pool, io, out }) {
+    const token = await readToken(positional, io);
+    const revocationStore = config.databaseUrl ? createPgRevocationStore({ pool: pool() }) : undefined;
+    const report = await inspectToken(token, config, { revocationStore });
+
+    if (options.json) {
+      out(JSON.stringify(report, null, 2));
+    } else {
+      printInspection(report, out);
+    }
+    return report.valid === false ? 1 : 0;
+  },
+
+  async revoke({ positional, options, pool, io, out }) {
+    if (options.user) {
+      const user = await findUser(pool(), options.user);
+      const sessions = await createSessionStore({ pool: pool() }).revokeUserSessions(user.id);
+      const refreshTokens = await createRefreshTokenStore({ pool: pool() }).revokeUserTokens(user.id);
+      out(options.json
+        ? JSON.stringify({ id: user.id, sessions, refreshTokens: Number(refreshTokens) || 0 })
+        : `User ${user.id} <${user.email}>: revoked ${sessions} session(s) and their refresh tokens`);
+      return 0;
+    }
+
+    const token = await readToken(positional, io);
+    const result = await createPgRevocationStore({ pool: pool() }).revokeToken(token);
+    if (!result.success) {
+      throw new CliError(result.error);
+    }
+    const session = await createSessionStore({ pool: pool() }).revokeSession(token);
+
+    out(options.json
+      ? JSON.stringify({ jti: result.jti, session })
+      : `Revoked token ${result.jti}${session ? ' and its session' : ''}`);
+    return 0;
+  },
+
+  async 'cleanup-sessions'({ options, pool, out }) {
+    const counts = { sessions: await createSessionStore({ pool: pool() }).cleanupExpiredSessions() };
+
+    if (options.all) {
+      counts.revokedTokens = await createPgRevocationStore({ pool: pool() }).purgeExpired();
+      counts.refreshTokens = await createRefreshTokenStore({ pool: pool() }).cleanupExpired();
+      counts.authTokens = await createAuthTokenStore({ pool: pool() }).cleanupExpired();
+      counts.apiKeys = await createApiKeyStore({ pool: pool() }).cleanupExpired();
+      counts.loginAttempts = await createPgAttemptStore({ pool: pool() }).purgeExpired();
+    }
+
+    if (options.json) {
+      out(JSON.stringify(counts));
+    } else {
+      for (const [name, count] of Object.entries(counts)) {
+        out(`${name}: ${count} deleted`);
+      }
+    }
+    return 0;
+  },
+
+  async audit({ positional, options, pool, io, out }) {
+    if (positional[0] !== 'tail') {
+      throw new CliError('unknown audit command (try: audit tail)', { usage: true });
+    }
+
+    const limit = Math.min(Math.max(Number(options.limit) || 20, 1), 500);
+    const intervalMs = toSeconds(options.interval || '2s') * 1000;
+    const conditions = [];
+    const params = [];
+    if (options.user) {
+      const user = await findUser(pool(), options.user);
+      params.push(user.id);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (options.event) {
+      params.push(options.event);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    async function fetch(afterId) {
+      const where = [...conditions];
+      const values = [...params];
+      if (afterId !== null) {
+        values.push(afterId);
+        where.push(`id > $${values.length}`);
+      }
+      values.push(limit);
+      const result = await pool().query(
+        `SELECT id, user_id, event_type, ip_address, user_agent, success, error_message, metadata, created_at
+         FROM auth_audit_log
+         ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY id ${afterId === null ? 'DESC' : 'ASC'}
+         LIMIT $${values.length}`,
+        values
+      );
+      return afterId === null ? result.rows.reverse() : result.rows;
+    }
+
+    let lastId = 0;
+    const print = (events) => {
+      for (const event of events) {
+        out(options.json ? JSON.stringify(event) : formatAuditEvent(event));
+        lastId = Math.max(lastId, Number(event.id));
+      }
+    };
+
+    print(await fetch(null));
+
+    if (options.follow) {
+      // Poll until interrupted (Ctrl-C)
+      let stopped = false;
+      io.onInterrupt(() => { stopped = true; });
+      while (!stopped) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+        if (!stopped) print(await fetch(lastId));
+      }
+    }
+    return 0;
+  },
+
+  async 'generate-key'({ options, out, io }) {
+    const algorithm = options.algorithm || 'HS256';
+    const kid = options.kid || `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+    const entry = { kid, algorithm, current: true };
+
+    if (algorithm.startsWith('HS')) {
+      entry.secret = crypto.randomBytes(48).toString('base64url');
+    } else {
+      const pairs = {
+        RS: ['rsa', { modulusLength: 2048 }],
+        PS: ['rsa', { modulusLength: 2048 }],
+        ES256: ['ec', { namedCurve: 'P-256' }],
+        ES384: ['ec', { namedCurve: 'P-384' }],
+        ES512: ['ec', { namedCurve: 'P-521' }],
+        EdDSA: ['ed25519', {}]
+      };
+      const pair = pairs[algorithm] || pairs[algorithm.slice(0, 2)];
+      if (!pair) {
+        throw new CliError(`unsupported algorithm ${algorithm}`);
+      }
+      const { privateKey } = crypto.generateKeyPairSync(pair[0], {
+        ...pair[1],
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      });
+      entry.privateKey = privateKey;
+    }
+
+    // Fails here rather than in the app if the entry is unusable
+    createKeyRing({ keys: [entry] });
+
+    out(JSON.stringify(entry, null, 2));
+    io.stderr.write('Add this entry to `keys` in the config file and remove `current` from the previous key.\n' +
+      'Give the previous key a `retireAt` later than the longest token lifetime, then drop it.\n');
+    return 0;
+  }
+};
+
+/**
+ * Run the command-line tool
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [context] - { env, io: { stdin, stdout, stderr, onInterrupt }, pool }; process streams
+ *   and a pg Pool from the settings by default
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, context = {}) {
+  const env = context.env || process.env;
+  const io = {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    onInterrupt: handler => process.once('SIGINT', handler),
+    ...context.io
+  };
+  const out = line => io.stdout.write(`${line}\n`);
+
+  let config = {};
+  let database = null;
+  const pool = () => {
+    if (context.pool) return context.pool;
+    if (!database) {
+      const { Pool } = require('pg');
+      database = new Pool(config.databaseUrl ? { connectionString: config.databaseUrl } : undefined);
+    }
+    return database;
+  };
+
+  try {
+    const { positional, options } = parseArgs(argv);
+    const [name, ...rest] = positional;
+
+    if (!name || options.help || name === 'help') {
+      io.stdout.write(USAGE);
+      return name || options.help ? 0 : 1;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+      throw new CliError(`unknown command ${name}`, { usage: true });
+    }
+
+    config = loadConfig(options, env);
+    return await COMMANDS[name]({ positional: rest, options, config, pool, io, out });
+  } catch (error) {
+    io.stderr.write(`latanda-auth: ${error.message}\n`);
+    if (error.usage) io.stderr.write(`\n${USAGE}`);
+    return 1;
+  } finally {
+    if (database) await database.end();
+  }
+}
+
+module.exports = {
+  parseArgs,
+  loadConfig,
+  inspectToken,
+  main
+};
@@ -0,0 +1,299 @@
+/**
+ * Cookie Token Transport and CSRF Protection
+ * Keeps the access token in an HttpOnly cookie (out of reach of page scripts) and
+ * checks a CSRF token on unsafe requests authenticated by that cookie.
+ */
+
+const crypto = require('crypto');
+const { decodeToken, validateToken } = require('./jwt');
+const { hashToken, randomToken, requestContext } = require('./utils');
+const { CsrfTokenError, InvalidTokenError, authError, sendError } = require('./errors');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header] - Cookie header value
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+
+    const name = part.slice(0, index).trim();
+    let value = part.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Serialize a Set-Cookie header value
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {Object} [options] - { maxAge (seconds), domain, path, httpOnly, secure, sameSite }
+ * @returns {string} Set-Cookie value
+ */
+function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (options.maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    parts.push(`Expires=${new Date(Date.now() + options.maxAge * 1000).toUTCString()}`);
+  }
+  if (options.domain) parts.push(`Domain=${options.domain}`);
+  parts.push(`Path=${options.path || '/'}`);
+  if (options.httpOnly) parts.push('HttpOnly');
+  if (options.secure) parts.push('Secure');
+  if (options.sameSite) parts.push(`SameSite=${options.sameSite}`);
+
+  return parts.join('; ');
+}
+
+// Append rather than overwrite, so other middleware's cookies survive
+function appendSetCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie');
+  const cookies = existing ? [].concat(existing, cookie) : [cookie];
+  res.setHeader('Set-Cookie', cookies);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create a cookie transport
+ * Pass it as `cookies` to createAuthMiddleware, optionalAuth, createLoginHandler,
+ * createRefreshHandler and createLogoutHandler.
+ * @param {Object} [config] - Configuration options
+ * @param {string} [config.name='latanda_token'] - Access token cookie name
+ * @param {string} [config.domain] - Cookie domain
+ * @param {string} [config.path='/'] - Cookie path
+ * @param {boolean} [config.secure=true] - Only send over HTTPS
+ * @param {string} [config.sameSite='Strict'] - SameSite attribute (Strict, Lax or None)
+ * @param {Object|false} [config.csrf] - CSRF check for unsafe methods on cookie-authenticated requests
+ * @param {string} [config.csrf.mode='double-submit'] - 'double-submit' (readable CSRF cookie echoed in a header)
+ *   or 'synchronizer' (token derived from the access token, handed out in the login response)
+ * @param {string} [config.csrf.secret] - HMAC secret; required for 'synchronizer'
+ * @param {string} [config.csrf.cookieName='latanda_csrf'] - CSRF cookie name (double-submit)
+ * @param {string} [config.csrf.headerName='x-csrf-token'] - Request header carrying the CSRF token
+ * @returns {Object} Cookie transport
+ */
+function createCookieTransport(config = {}) {
+  const {
+    name = 'latanda_token',
+    domain,
+    path = '/',
+    secure = true,
+    sameSite = 'Strict',
+    csrf = {}
+  } = config;
+
+  if (sameSite === 'None' && !secure) {
+    throw new Error('@latanda/auth-middleware: SameSite=None cookies must be Secure');
+  }
+
+  const csrfSettings = csrf === false ? null : {
+    mode: csrf.mode || 'double-submit',
+    secret: csrf.secret,
+    cookieName: csrf.cookieName || 'latanda_csrf',
+    headerName: (csrf.headerName || 'x-csrf-token').toLowerCase()
+  };
+
+  if (csrfSettings && !['double-submit', 'synchronizer'].includes(csrfSettings.mode)) {
+    throw new Error(`@latanda/auth-middleware: unknown CSRF mode ${csrfSettings.mode}`);
+  }
+  if (csrfSettings && csrfSettings.mode === 'synchronizer' && !csrfSettings.secret) {
+    throw new Error('@latanda/auth-middleware: csrf.secret is required for the synchronizer mode');
+  }
+
+  const cookieOptions = { domain, path, secure, sameSite };
+
+  function readCookies(req) {
+    // Koa's ctx.cookies is a cookie jar (get/set), not parsed cookies
+    const parsed = req.cookies && typeof req.cookies.get !== 'function' ? req.cookies : null;
+    return parsed || parseCookies(req.headers && req.headers.cookie);
+  }
+
+  // Cookie lifetime follows the token's exp claim
+  function tokenMaxAge(token) {
+    const decoded = decodeToken(token);
+    const exp = decoded && decoded.payload && decoded.payload.exp;
+    return exp ? Math.max(exp - Math.floor(Date.now() / 1000), 0) : undefined;
+  }
+
+  /**
+   * CSRF token bound to an access token (synchronizer mode)
+   * @param {string} token - Access token
+   * @returns {string} CSRF token
+   */
+  function csrfTokenFor(token) {
+    const decoded = decodeToken(token);
+    const binding = (decoded && decoded.payload && decoded.payload.jti) || hashToken(token);
+    return crypto.createHmac('sha256', csrfSettings.secret).update(binding).digest('base64url');
+  }
+
+  /**
+   * Set the access token cookie (and the CSRF cookie in double-submit mode)
+   * @param {Object} res - Response
+   * @param {string} token - Access token
+   * @returns {string|null} CSRF token for the client to send back, or null without CSRF
+   */
+  function setAuthCookie(res, token) {
+    const maxAge = tokenMaxAge(token);
+    appendSetCookie(res, serializeCookie(name, token, { ...cookieOptions, maxAge, httpOnly: true }));
+
+    if (!csrfSettings) return null;
+
+    if (csrfSettings.mode === 'synchronizer') {
+      return csrfTokenFor(token);
+    }
+
+    // Readable by page scripts, which copy it into the CSRF header
+    const csrfToken = randomToken();
+    appendSetCookie(res, serializeCookie(csrfSettings.cookieName, csrfToken, { ...cookieOptions, maxAge, httpOnly: false }));
+    return csrfToken;
+  }
+
+  /**
+   * Expire the access token and CSRF cookies (logout)
+   * @param {Object} res - Response
+   */
+  function clearAuthCookie(res) {
+    appendSetCookie(res, serializeCookie(name, '', { ...cookieOptions, maxAge: 0, httpOnly: true }));
+    if (csrfSettings && csrfSettings.mode === 'double-submit') {
+      appendSetCookie(res, serializeCookie(csrfSettings.cookieName, '', { ...cookieOptions, maxAge: 0 }));
+    }
+  }
+
+  /**
+   * Read the access token cookie
+   * @param {Object} req - Request
+   * @returns {string|null} Token
+   */
+  function readToken(req) {
+    return readCookies(req)[name] || null;
+  }
+
+  /**
+   * Check the CSRF token of a cookie-authenticated request
+   * Safe methods (GET, HEAD, OPTIONS) always pass.
+   * @param {Object} req - Request
+   * @param {string} token - Access token read from the cookie
+   * @returns {boolean} True if the request may proceed
+   */
+  function verifyCsrf(req, token) {
+    if (!csrfSettings || SAFE_METHODS.includes(req.method)) return true;
+
+    const sent = req.headers && req.headers[csrfSettings.headerName];
+    if (!sent) return false;
+
+    const expected = csrfSettings.mode === 'synchronizer'
+      ? csrfTokenFor(token)
+      : readCookies(req)[csrfSettings.cookieName];
+
+    return Boolean(expected) && safeEqual(sent, expected);
+  }
+
+  return {
+    name,
+    setAuthCookie,
+    clearAuthCookie,
+    readToken,
+    verifyCsrf,
+    csrfTokenFor: token => (csrfSettings && csrfSettings.mode === 'synchronizer' ? csrfTokenFor(token) : null)
+  };
+}
+
+/**
+ * Create an Express logout route
+ * Invalidates the token's session and/or revokes it, revokes the refresh token from the body,
+ * and clears the cookies. Only tokens with a valid signature are revoked; expired ones are accepted,
+ * so expired sessions can still log out. Cookie-authenticated logouts need a CSRF token like any other write.
+ * @param {Object} config - Configuration options
+ * @param {string|Buffer|Object} [config.jwtSecret] - Secret (or key ring) to verify the token with
+ * @param {string|Buffer|KeyObject} [config.publicKey] - Public key for RS/ES/EdDSA tokens, instead of jwtSecret
+ * @param {string[]} [config.algorithms] - Accepted signing algorithms (as for createAuthMiddleware)
+ * @param {string} [config.issuer] - Expected issuer
+ * @param {string} [config.audience] - Expected audience
+ * @param {Object} [config.cookies] - Cookie transport (see createCookieTransport)
+ * @param {Object} [config.sessionStore] - Invalidate the token's session
+ * @param {Object} [config.revocationStore] - Revoke the token's jti
+ * @param {Object} [config.refreshStore] - Revoke `refresh_token` from the request body
+ * @returns {Function} Express route handler
+ */
+function createLogoutHandler(config = {}) {
+  const { jwtSecret, publicKey, issuer, audience, cookies, sessionStore, revocationStore, refreshStore } = config;
+  const key = jwtSecret || publicKey;
+  const algorithms = config.algorithms ||
+    (jwtSecret && !jwtSecret.isKeyRing ? ['HS256'] : ['RS256', 'ES256', 'EdDSA']);
+
+  if ((sessionStore || revocationStore) && !key) {
+    throw new Error('@latanda/auth-middleware: createLogoutHandler requires jwtSecret (or publicKey) to verify tokens before revoking them');
+  }
+
+  // Anyone can make up a jti; only revoke what we signed
+  function isSigned(token) {
+    const validation = validateToken(token, key, { algorithms, issuer, audience });
+    return validation.valid || Boolean(validation.expired);
+  }
+
+  return async function logoutHandler(req, res) {
+    const authHeader = req.headers.authorization;
+    const fromCookie = !req.token && cookies ? cookies.readToken(req) : null;
+    const token = req.token || fromCookie ||
+      (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+    const refreshToken = req.body && req.body.refresh_token;
+
+    // Otherwise any site could log the user out
+    if (fromCookie && !cookies.verifyCsrf(req, fromCookie)) {
+      return sendError(req, res, new CsrfTokenError());
+    }
+
+    if (token && key && !isSigned(token)) {
+      if (cookies) cookies.clearAuthCookie(res);
+      return sendError(req, res, new InvalidTokenError());
+    }
+
+    try {
+      if (token && sessionStore) {
+        await sessionStore.revokeSession(token, requestContext(req));
+      }
+      if (token && revocationStore) {
+        await revocationStore.revokeToken(token);
+      }
+      if (refreshToken && refreshStore) {
+        await refreshStore.revoke(refreshToken);
+      }
+    } catch (error) {
+      // Headers cannot change once the error is sent, so the cookies go first
+      if (cookies) cookies.clearAuthCookie(res);
+      return sendError(req, res, authError(500, 'LOGOUT_FAILED', 'Logout failed'));
+    }
+
+    if (cookies) cookies.clearAuthCookie(res);
+    return res.json({ success: true });
+  };
+}
+
+module.exports = {
+  parseCookies,
+  serializeCookie,
+  createCookieTransport,
+  createLogoutHandler
+};
@@ -0,0 +1,852 @@
+/**
+ * Framework-Agnostic Authentication Core
+ * Authentication and the authorization checks, written against a plain request context
+ * ({ method, url, headers, ip, user }) instead of Express's (req, res, next). Each check returns a
+ * decision; the adapters (Express, Fastify, Koa, Node http) only turn decisions into responses,
+ * so every framework answers with the same JSON bodies and codes.
+ *
+ * A decision is { allow: true, attach } or { allow: false, error, status, body, message }:
+ * `attach` holds properties for the request (user, token, groupMembership, ...), `error` is a typed
+ * AuthError (see errors.js), `body` its English JSON body and `message` the internal reason.
+ * Adapters send denials through renderDecision. Checks that need I/O return a promise of a
+ * decision; the others decide synchronously.
+ */
+
+const { validateToken, decodeToken } = require('./jwt');
+const { defaultRBAC } = require('./rbac');
+const { createJwksKeyResolver } = require('./jwks');
+const { AUDIT_EVENTS } = require('./audit');
+const { createGroupMembershipLoader } = require('./groups');
+const { toSeconds } = require('./utils');
+const { defaultScopeCatalog, parseScope } = require('./scopes');
+const {
+  AuthenticationRequiredError,
+  MissingTokenError,
+  InvalidTokenError,
+  TokenExpiredError,
+  TokenRevokedError,
+  InvalidSessionError,
+  InvalidApiKeyError,
+  CsrfTokenError,
+  InsufficientPermissionsError,
+  InsufficientScopeError,
+  InsufficientRoleError,
+  NotOwnerError,
+  NotGroupMemberError,
+  InsufficientGroupRoleError,
+  ReauthRequiredError,
+  MfaRequiredError,
+  EmailNotVerifiedError,
+  ImpersonationBlockedError,
+  PolicyDeniedError,
+  authError,
+  errorRendererFor
+} = require('./errors');
+
+function allow(attach = {}) {
+  return { allow: true, attach };
+}
+
+function deny(error) {
+  return { allow: false, error, status: error.status, body: error.toJSON(), message: error.reason };
+}
+
+/**
+ * Third argument of onUnauthorized: { message, code, error }
+ * 1.0 only reported NO_TOKEN and INVALID_TOKEN; legacyCodes reports every other code as INVALID_TOKEN.
+ * @returns {Object} { message, code, error }
+ */
+function unauthorizedInfo(decision, legacyCodes = false) {
+  const { code } = decision.error;
+  return {
+    message: decision.message,
+    code: legacyCodes && code !== 'NO_TOKEN' ? 'INVALID_TOKEN' : code,
+    error: decision.error
+  };
+}
+
+/**
+ * Render a denial with the renderer of the decision (the authenticator's) or of the request
+ * @returns {Object} { status, headers, body }
+ */
+function renderDecision(req, decision) {
+  return (decision.errorRenderer || errorRendererFor(req)).render(decision.error, req);
+}
+
+/**
+ * Call fn with a decision, or once a promised decision resolves
+ * Keeps synchronous checks synchronous in the adapters.
+ */
+function settle(decision, fn) {
+  return decision && typeof decision.then === 'function' ? decision.then(fn) : fn(decision);
+}
+
+/**
+ * Normalize the configuration shared by the authenticators
+ * @param {Object} config - Middleware configuration
+ * @returns {Object} Settings for authenticateRequest
+ */
+function resolveAuthSettings(config) {
+  const {
+    jwtSecret,
+    keyRing,
+    publicKey,
+    jwks,
+    jwksUri,
+    keyResolver,
+    algorithms,
+    issuer = 'latanda.online',
+    audience = 'latanda-web-app',
+    sessionStore,
+    revocationStore,
+    cookies,
+    tokenSources = cookies ? ['header', 'cookie'] : ['header'],
+    apiKeyStore,
+    apiKeyHeader = 'x-api-key'
+  } = config;
+
+  if (tokenSources.includes('cookie') && !cookies) {
+    throw new Error('@latanda/auth-middleware: tokenSources includes cookie but no cookies transport was given');
+  }
+
+  const resolver = keyResolver || (jwks || jwksUri ? createJwksKeyResolver({ jwks, jwksUri }) : null);
+  const verificationKey = keyRing || jwtSecret || publicKey;
+
+  if (!verificationKey && !resolver) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required (or keyRing, publicKey, jwks, jwksUri)');
+  }
+
+  return {
+    verificationKey,
+    keyResolver: resolver,
+    algorithms: algorithms || (jwtSecret && !jwtSecret.isKeyRing ? ['HS256'] : ['RS256', 'ES256', 'EdDSA']),
+    issuer,
+    audience,
+    sessionStore,
+    revocationStore,
+    cookies,
+    tokenSources,
+    apiKeyStore,
+    apiKeyHeader: apiKeyHeader.toLowerCase()
+  };
+}
+
+function invalidTokenError(message, expired = false) {
+  return expired ? new TokenExpiredError({}, { message }) : new InvalidTokenError({}, { message });
+}
+
+/**
+ * Record a 401/403 from an authorization check
+ * Uses the check's own auditLogger or the one attached by the authenticator
+ */
+function auditDenial(req, auditLogger, status, code, metadata = {}) {
+  const logger = auditLogger || req.auditLogger;
+  if (!logger) return;
+
+  logger.logRequest(req, AUDIT_EVENTS.ACCESS_DENIED, {
+    success: false,
+    errorMessage: code,
+    metadata: { status, code, method: req.method, path: req.originalUrl || req.url, ...metadata }
+  });
+}
+
+/**
+ * Find the token in the configured sources, in order
+ * @returns {Object|null} { token, source }
+ */
+function extractToken(req, settings) {
+  for (const source of settings.tokenSources) {
+    if (source === 'header') {
+      const authHeader = req.headers.authorization;
+      if (authHeader && authHeader.startsWith('Bearer ')) {
+        return { token: authHeader.substring(7), source }; // Remove 'Bearer ' prefix
+      }
+    } else if (source === 'cookie') {
+      const token = settings.cookies.readToken(req);
+      if (token) return { token, source };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find an API key in the API key header or in `Authorization: Bearer <key>`
+ * @returns {string|null} Key
+ */
+function extractApiKey(req, settings) {
+  const { apiKeyStore, apiKeyHeader } = settings;
+
+  const headerKey = req.headers[apiKeyHeader];
+  if (headerKey) return String(headerKey);
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && apiKeyStore.isApiKey(authHeader.substring(7))) {
+    return authHeader.substring(7);
+  }
+  return null;
+}
+
+/**
+ * Resolve the authenticated user for a request
+ * Shared by the authenticators and the Nginx auth_request handler
+ * @param {Object} req - Request context
+ * @param {Object} settings - Resolved middleware configuration
+ * @returns {Promise<Object>} { user, token, sessionId } on success, { error } otherwise
+ */
+async function authenticateRequest(req, settings) {
+  const { verificationKey, keyResolver, algorithms, issuer, audience, sessionStore, revocationStore, cookies, apiKeyStore } = settings;
+
+  // Machine clients: an API key instead of a JWT (never read from cookies, so no CSRF check)
+  const apiKey = apiKeyStore ? extractApiKey(req, settings) : null;
+  if (apiKey) {
+    const check = await apiKeyStore.verify(apiKey);
+    if (!check.valid) {
+      return { error: new InvalidApiKeyError({}, { code: check.code, message: check.error }) };
+    }
+    return { user: check.user, token: null, tokenSource: 'api_key' };
+  }
+
+  // Extract token from the Authorization header and/or the auth cookie
+  const extracted = extractToken(req, settings);
+
+  if (!extracted) {
+    return {
+      error: new MissingTokenError({}, {
+        reason: settings.tokenSources.includes('cookie')
+          ? 'Missing Authorization header and auth cookie'
+          : 'Missing or invalid Authorization header'
+      })
+    };
+  }
+
+  const { token, source } = extracted;
+
+  // Browsers attach cookies to cross-site requests, so cookie-authenticated writes need a CSRF token
+  if (source === 'cookie' && !cookies.verifyCsrf(req, token)) {
+    return { error: new CsrfTokenError() };
+  }
+
+  // Select the verification key by the token's kid when verifying against a JWKS
+  let key = verificationKey;
+  let tokenAlgorithms = algorithms;
+
+  if (keyResolver) {
+    const decoded = decodeToken(token);
+    const kid = decoded && decoded.header && decoded.header.kid;
+    if (!kid) {
+      return { error: invalidTokenError('Missing key ID (kid)') };
+    }
+
+    const entry = await keyResolver.getKey(kid);
+    if (!entry) {
+      return { error: invalidTokenError('Unknown signing key') };
+    }
+
+    key = entry.key;
+    if (entry.algorithm) {
+      tokenAlgorithms = algorithms.includes(entry.algorithm) ? [entry.algorithm] : [];
+    }
+  }
+
+  // Validate token
+  const validation = validateToken(token, key, { issuer, audience, algorithms: tokenAlgorithms });
+
+  if (!validation.valid) {
+    return { error: invalidTokenError(validation.error, validation.expired) };
+  }
+
+  // Reject individually revoked tokens (the store may be asynchronous)
+  if (revocationStore && validation.jti && await revocationStore.isRevoked(validation.jti)) {
+    return { error: new TokenRevokedError() };
+  }
+
+  // Reject tokens whose session was revoked, expired or never recorded
+  let sessionId;
+  if (sessionStore) {
+    const session = await sessionStore.validateSession(token);
+
+    if (!session.valid) {
+      return { error: new InvalidSessionError({}, { message: session.error }) };
+    }
+    sessionId = session.session.id;
+  }
+
+  return {
+    user: {
+      type: 'user',
+      id: validation.user_id,
+      email: validation.email,
+      role: validation.role,
+      permissions: validation.permissions,
+      deniedPermissions: validation.denied_permissions,
+      emailVerified: validation.email_verified,
+      amr: validation.amr,
+      authTime: validation.auth_time,
+      scope: validation.scope,
+      // Staff member behind an impersonation token (RFC 8693 `act` claim)
+      actor: validation.act ? { id: validation.act.sub, email: validation.act.email, role: validation.act.role } : null
+    },
+    token,
+    tokenSource: source,
+    sessionId
+  };
+}
+
+/**
+ * Create an authenticator: request context → decision
+ * On success, attach holds user, token, tokenSource, sessionId (with a session store), and
+ * auditLogger and errorRenderer (when configured). With `optional`, failures allow the request
+ * with user = null. Denials carry the configured errorRenderer for renderDecision.
+ * @param {Object} config - Same options as createAuthMiddleware
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.optional=false] - Allow requests without a valid token
+ * @returns {Function} async (request) => decision
+ */
+function createAuthenticator(config, options = {}) {
+  const { auditLogger, errorRenderer } = config;
+  const { optional = false } = options;
+  const settings = resolveAuthSettings(config);
+
+  function anonymous() {
+    return allow(errorRenderer ? { user: null, errorRenderer } : { user: null });
+  }
+
+  function refuse(error) {
+    return { ...deny(error), errorRenderer };
+  }
+
+  return async function authenticate(request) {
+    let result;
+    try {
+      result = await authenticateRequest(request, settings);
+    } catch (error) {
+      if (optional) return anonymous();
+      return refuse(authError(500, 'AUTH_CHECK_FAILED', 'Failed to verify token status'));
+    }
+
+    if (result.error) {
+      // No token or invalid token - continue without user
+      if (optional) return anonymous();
+
+      // Anonymous requests (NO_TOKEN) are not failed validations
+      if (auditLogger && result.error.code !== 'NO_TOKEN') {
+        auditLogger.logRequest(request, AUDIT_EVENTS.TOKEN_INVALID, {
+          success: false,
+          errorMessage: result.error.reason,
+          metadata: { code: result.error.code }
+        });
+      }
+
+      return refuse(result.error);
+    }
+
+    const attach = { user: result.user, token: result.token, tokenSource: result.tokenSource };
+    if (result.sessionId !== undefined) {
+      attach.sessionId = result.sessionId;
+    }
+    if (auditLogger && !optional) {
+      attach.auditLogger = auditLogger;
+    }
+    if (errorRenderer) {
+      attach.errorRenderer = errorRenderer;
+    }
+    return allow(attach);
+  };
+}
+
+/**
+ * Check that the user logged in or re-authenticated within maxAgeSeconds
+ * Tokens issued before auth_time existed never count as recent.
+ */
+function isRecentAuth(user, maxAgeSeconds) {
+  if (typeof user.authTime !== 'number') return false;
+  return Math.floor(Date.now() / 1000) - user.authTime <= maxAgeSeconds;
+}
+
+function reauthRequired(req, auditLogger, maxAgeSeconds) {
+  auditDenial(req, auditLogger, 403, 'REAUTH_REQUIRED', { maxAge: maxAgeSeconds });
+  return deny(new ReauthRequiredError({ maxAge: maxAgeSeconds }));
+}
+
+/**
+ * Permissions an impersonation token blocks (see createImpersonationHandlers)
+ * They travel as denied_permissions, which live permissions (loadPermissions) must not lift.
+ */
+function impersonationDenies(user) {
+  return user.actor ? user.deniedPermissions || [] : [];
+}
+
+function keepImpersonationDenies(user, userPermissions) {
+  const blocked = impersonationDenies(user);
+  if (blocked.length === 0) return userPermissions;
+
+  const grants = Array.isArray(userPermissions) ? userPermissions : (userPermissions && userPermissions.grants) || [];
+  const denies = Array.isArray(userPermissions) ? [] : (userPermissions && userPermissions.denies) || [];
+  return { grants, denies: [...new Set([...denies, ...blocked])] };
+}
+
+/**
+ * Permission check (see requirePermission for the options)
+ * @returns {Function} (request) => decision
+ */
+function permissionGuard(requiredPermissions, options = {}) {
+  const {
+    requireAll = false,
+    loadPermissions,
+    rbac = defaultRBAC,
+    auditLogger,
+    maxAuthAge,
+    scopes = defaultScopeCatalog
+  } = options;
+  const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+  const maxAuthAgeSeconds = maxAuthAge !== undefined ? toSeconds(maxAuthAge) : null;
+
+  function decide(req, userPermissions) {
+    const userRole = req.user.role;
+
+    // Check permissions: the user must hold it and the token's scope (if any) must cover it
+    const allowed = perm => rbac.hasPermission(userRole, perm, userPermissions) &&
+      scopes.allowsPermission(req.user.scope, perm);
+    const hasAccess = requireAll ? permissions.every(allowed) : permissions.some(allowed);
+
+    const blocked = permissions.filter(perm => impersonationDenies(req.user).includes(perm));
+    if (!hasAccess && blocked.length > 0) {
+      auditDenial(req, auditLogger, 403, 'IMPERSONATION_BLOCKED', { required: permissions });
+      return deny(new ImpersonationBlockedError({ required: permissions, blocked }));
+    }
+
+    // A scoped token whose user holds the permission: the token is too narrow, not the user
+    const scopeTooNarrow = !hasAccess && Boolean(req.user.scope) && (requireAll
+      ? permissions.every(perm => rbac.hasPermission(userRole, perm, userPermissions))
+      : permissions.some(perm => rbac.hasPermission(userRole, perm, userPermissions)));
+    if (scopeTooNarrow) {
+      auditDenial(req, auditLogger, 403, 'INSUFFICIENT_SCOPE', { required: permissions });
+      return deny(new InsufficientScopeError({ required: permissions }));
+    }
+
+    if (!hasAccess) {
+      auditDenial(req, auditLogger, 403, 'FORBIDDEN', { required: permissions });
+      return deny(new InsufficientPermissionsError({ required: permissions, userRole }));
+    }
+
+    if (maxAuthAgeSeconds !== null && !isRecentAuth(req.user, maxAuthAgeSeconds)) {
+      return reauthRequired(req, auditLogger, maxAuthAgeSeconds);
+    }
+
+    return allow();
+  }
+
+  return function checkPermission(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH', { required: permissions });
+      return deny(new AuthenticationRequiredError({}, { message: 'Authentication required before permission check' }));
+    }
+
+    // An API key's permissions are its scopes, already capped by the owner's at verification;
+    // the owner's loaded grants would give the key everything its owner holds
+    if (!loadPermissions || req.user.type === 'api_key') {
+      return decide(req, {
+        grants: req.user.permissions || [],
+        denies: req.user.deniedPermissions || []
+      });
+    }
+
+    return Promise.resolve()
+      .then(() => loadPermissions(req))
+      .then(
+        userPermissions => decide(req, keepImpersonationDenies(req.user, userPermissions)),
+        () => deny(authError(500, 'PERMISSION_CHECK_FAILED', 'Failed to load user permissions'))
+      );
+  };
+}
+
+/**
+ * Scope check (see requireScope for the options)
+ * @returns {Function} (request) => decision
+ */
+function scopeGuard(requiredScopes, options = {}) {
+  const { requireAll = false, scopes = defaultScopeCatalog, rbac = defaultRBAC, auditLogger } = options;
+  const required = parseScope(requiredScopes) || [];
+
+  const unknown = scopes.unknownScopes(required);
+  if (required.length === 0 || unknown.length > 0) {
+    throw new Error(`@latanda/auth-middleware: unknown scope(s) ${unknown.join(', ') || '(none given)'}`);
+  }
+
+  return function checkScope(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH', { required });
+      return deny(new AuthenticationRequiredError({}, { message: 'Authentication required before scope check' }));
+    }
+
+    const tokenScopes = req.user.scope;
+    const inToken = scope => !tokenScopes || tokenScopes.includes(scope);
+    const userPermissions = { grants: req.user.permissions || [], denies: req.user.deniedPermissions || [] };
+    const userHolds = (scope) => {
+      const covered = scopes.permissionsFor([scope]);
+      return covered.length === 0 || rbac.hasAnyPermission(req.user.role, covered, userPermissions);
+    };
+
+    const hasScope = requireAll ? required.every(inToken) : required.some(inToken);
+    if (!hasScope) {
+      auditDenial(req, auditLogger, 403, 'INSUFFICIENT_SCOPE', { required });
+      return deny(new InsufficientScopeError({ required }, {
+        message: 'Token scope does not include the required scope',
+        params: { scope: required }
+      }));
+    }
+
+    const allowed = scope => inToken(scope) && userHolds(scope);
+    if (!(requireAll ? required.every(allowed) : required.some(allowed))) {
+      auditDenial(req, auditLogger, 403, 'FORBIDDEN', { required });
+      return deny(new InsufficientPermissionsError({ required }));
+    }
+
+    return allow();
+  };
+}
+
+/**
+ * Scope check for the guards that do not look at permissions (role, ownership, group, policy)
+ * Scoped tokens and API keys only stand for part of what their user may do, so they get through such
+ * a guard only when the guard names the permission the route needs (options.permission) and the
+ * token's scope, or the key's scopes, cover it.
+ * @returns {Object|null} A denial, or null when the principal's scopes do not stop the request
+ */
+function scopeDenial(req, permission, scopes, auditLogger) {
+  // An API key acts as its owner: without this check it would pass as the owner whatever its scopes
+  if (req.user.type === 'api_key') {
+    if (permission && (req.user.permissions || []).includes(permission)) {
+      return null;
+    }
+    const required = permission ? [permission] : [];
+    auditDenial(req, auditLogger, 403, 'FORBIDDEN', { required });
+    return deny(new InsufficientPermissionsError({ required }, {
+      message: permission ? 'API key scopes do not include this permission' : 'API keys cannot use this route'
+    }));
+  }
+
+  const tokenScopes = req.user.scope;
+  if (!tokenScopes || (permission && scopes.allowsPermission(tokenScopes, permission))) {
+    return null;
+  }
+
+  const required = permission ? [permission] : [];
+  auditDenial(req, auditLogger, 403, 'INSUFFICIENT_SCOPE', { required });
+  return deny(new InsufficientScopeError({ required }, {
+    message: permission ? 'Token scope does not cover this permission' : 'Scoped tokens cannot use this route'
+  }));
+}
+
+/**
+ * Recent authentication check (see requireRecentAuth for the options)
+ * @returns {Function} (request) => decision
+ */
+function recentAuthGuard(options = {}) {
+  const { maxAge = '5m', forPermissions, rbac = defaultRBAC, auditLogger } = options;
+  const maxAgeSeconds = toSeconds(maxAge);
+
+  return function checkRecentAuth(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH');
+      return deny(new AuthenticationRequiredError());
+    }
+
+    if (forPermissions) {
+      const userPermissions = { grants: req.user.permissions || [], denies: req.user.deniedPermissions || [] };
+      if (!rbac.hasAnyPermission(req.user.role, forPermissions, userPermissions)) {
+        return allow();
+      }
+    }
+
+    if (!isRecentAuth(req.user, maxAgeSeconds)) {
+      return reauthRequired(req, auditLogger, maxAgeSeconds);
+    }
+
+    return allow();
+  };
+}
+
+/**
+ * Role level check (see requireRole for the options)
+ * @returns {Function} (request) => decision
+ */
+function roleGuard(minimumRole, options = {}) {
+  const { rbac = defaultRBAC, auditLogger, permission, scopes = defaultScopeCatalog } = options;
+
+  if (!rbac.isValidRole(minimumRole)) {
+    throw new Error(`Invalid role: ${minimumRole}. Must be ${rbac.describeRoles()}`);
+  }
+
+  return function checkRole(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH', { required: minimumRole });
+      return deny(new AuthenticationRequiredError({}, { message: 'Authentication required before role check' }));
+    }
+
+    const userRole = req.user.role;
+
+    if (!rbac.hasRoleLevel(userRole, minimumRole)) {
+      auditDenial(req, auditLogger, 403, 'INSUFFICIENT_ROLE', { required: minimumRole, current: userRole });
+      return deny(new InsufficientRoleError({ required: minimumRole, current: userRole }));
+    }
+
+    return scopeDenial(req, permission, scopes, auditLogger) || allow();
+  };
+}
+
+/**
+ * Resource ownership check (see requireOwnership for the options)
+ * @returns {Function} (request) => decision
+ */
+function ownershipGuard(getResourceOwnerId, options = {}) {
+  const { rbac = defaultRBAC, auditLogger, permission, scopes = defaultScopeCatalog } = options;
+
+  async function decide(req) {
+    try {
+      // Get resource owner ID
+      const resourceOwnerId = typeof getResourceOwnerId === 'function'
+        ? await getResourceOwnerId(req)
+        : getResourceOwnerId;
+
+      if (req.user.id !== resourceOwnerId) {
+        auditDenial(req, auditLogger, 403, 'NOT_OWNER', { resourceOwnerId });
+        return deny(new NotOwnerError());
+      }
+
+      return allow();
+    } catch (error) {
+      return deny(authError(500, 'OWNERSHIP_CHECK_FAILED', 'Failed to verify resource ownership'));
+    }
+  }
+
+  return function checkOwnership(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH');
+      return deny(new AuthenticationRequiredError());
+    }
+
+    const denial = scopeDenial(req, permission, scopes, auditLogger);
+    if (denial) return denial;
+
+    // ADMIN (any superuser role) bypasses ownership checks
+    if (rbac.isSuperuser(req.user.role)) {
+      return allow();
+    }
+
+    return decide(req);
+  };
+}
+
+/**
+ * Group role / membership check (see requireGroupRole for the options)
+ * Allowed decisions attach groupMembership (null for superusers).
+ * @param {string|null} groupRole - Minimum group role, or null for any membership
+ * @returns {Function} (request) => decision
+ */
+function groupGuard(groupRole, getGroupId, options = {}) {
+  const { rbac = defaultRBAC, auditLogger, pool, permission, scopes = defaultScopeCatalog } = options;
+  const loadMembership = options.loadMembership || (pool ? createGroupMembershipLoader({ pool }) : null);
+
+  if (!loadMembership) {
+    throw new Error('@latanda/auth-middleware: group middleware requires loadMembership or pool');
+  }
+  if (groupRole && !rbac.isValidGroupRole(groupRole)) {
+    throw new Error(`Invalid group role: ${groupRole}. Must be ${rbac.describeGroupRoles()}`);
+  }
+
+  async function decide(req) {
+    try {
+      const groupId = typeof getGroupId === 'function' ? await getGroupId(req) : getGroupId;
+
+      if (groupId === undefined || groupId === null || groupId === '') {
+        return deny(authError(400, 'NO_GROUP_ID', 'Group ID is required'));
+      }
+
+      // ADMIN (any superuser role) acts in every group
+      if (rbac.isSuperuser(req.user.role)) {
+        return allow({ groupMembership: null });
+      }
+
+      const membership = await loadMembership(req, groupId);
+
+      if (!membership) {
+        auditDenial(req, auditLogger, 403, 'NOT_GROUP_MEMBER', { groupId });
+        return deny(new NotGroupMemberError());
+      }
+
+      if (groupRole && !rbac.hasGroupRoleLevel(membership.role, groupRole)) {
+        auditDenial(req, auditLogger, 403, 'INSUFFICIENT_GROUP_ROLE', {
+          groupId,
+          required: groupRole,
+          current: membership.role
+        });
+        return deny(new InsufficientGroupRoleError({ required: groupRole, current: membership.role }));
+      }
+
+      return allow({ groupMembership: membership });
+    } catch (error) {
+      return deny(authError(500, 'GROUP_CHECK_FAILED', 'Failed to verify group membership'));
+    }
+  }
+
+  return function checkGroup(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH', { required: groupRole || 'member' });
+      return deny(new AuthenticationRequiredError({}, { message: 'Authentication required before group check' }));
+    }
+
+    return scopeDenial(req, permission, scopes, auditLogger) || decide(req);
+  };
+}
+
+/**
+ * Second-factor check (see requireMfa for the options)
+ * @returns {Function} (request) => decision
+ */
+function mfaGuard(options = {}) {
+  const { forPermissions, methods = ['mfa'], rbac = defaultRBAC, auditLogger } = options;
+
+  return function checkMfa(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH');
+      return deny(new AuthenticationRequiredError());
+    }
+
+    if (forPermissions) {
+      const userPermissions = { grants: req.user.permissions || [], denies: req.user.deniedPermissions || [] };
+      if (!rbac.hasAnyPermission(req.user.role, forPermissions, userPermissions)) {
+        return allow();
+      }
+    }
+
+    const amr = req.user.amr || [];
+    if (!methods.some(method => amr.includes(method))) {
+      auditDenial(req, auditLogger, 403, 'MFA_REQUIRED');
+      return deny(new MfaRequiredError());
+    }
+
+    return allow();
+  };
+}
+
+/**
+ * Verified email check (see requireVerifiedEmail for the options)
+ * Allowed decisions found through the users table attach a user with emailVerified: true.
+ * @returns {Function} (request) => decision
+ */
+function verifiedEmailGuard(options = {}) {
+  const { pool } = options;
+
+  async function lookUp(req) {
+    try {
+      const result = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+      if (result.rows[0] && result.rows[0].email_verified) {
+        return allow({ user: { ...req.user, emailVerified: true } });
+      }
+    } catch (error) {
+      return deny(authError(500, 'VERIFICATION_CHECK_FAILED', 'Failed to check email verification'));
+    }
+
+    return deny(new EmailNotVerifiedError());
+  }
+
+  return function checkVerifiedEmail(req) {
+    if (!req.user) {
+      return deny(new AuthenticationRequiredError());
+    }
+
+    if (req.user.emailVerified === true) {
+      return allow();
+    }
+
+    // Tokens issued before verification still say email_verified: false
+    return pool ? lookUp(req) : deny(new EmailNotVerifiedError());
+  };
+}
+
+/**
+ * Policy engine check (see createPolicyEngine and its requirePolicy for the options)
+ * Allowed decisions attach resource and policyDecision.
+ * @param {Object} engine - Policy engine (see createPolicyEngine)
+ * @param {string} action - Action name
+ * @param {Function} [loadResource] - async (request) => resource; null answers 404
+ * @returns {Function} (request) => decision
+ */
+function policyGuard(engine, action, loadResource, options = {}) {
+  const { getContext = () => ({}), auditLogger, permission, scopes = defaultScopeCatalog } = options;
+
+  async function decide(req) {
+    try {
+      const resource = loadResource ? await loadResource(req) : {};
+
+      if (resource === null || resource === undefined) {
+        return deny(authError(404, 'RESOURCE_NOT_FOUND', 'Resource not found'));
+      }
+
+      const policyDecision = engine.explain(req.user, action, resource, getContext(req));
+
+      if (!policyDecision.allowed) {
+        auditDenial(req, auditLogger, 403, 'POLICY_DENIED', { action, rule: policyDecision.rule });
+        return deny(new PolicyDeniedError({}, { params: { action } }));
+      }
+
+      return allow({ resource, policyDecision });
+    } catch (error) {
+      return deny(authError(500, 'POLICY_CHECK_FAILED', 'Failed to evaluate access policy'));
+    }
+  }
+
+  return function checkPolicy(req) {
+    if (!req.user) {
+      auditDenial(req, auditLogger, 401, 'NO_AUTH', { action });
+      return deny(new AuthenticationRequiredError({}, { message: 'Authentication required before policy check' }));
+    }
+
+    return scopeDenial(req, permission, scopes, auditLogger) || decide(req);
+  };
+}
+
+/**
+ * Build the require* factories for an adapter
+ * @param {Function} wrap - (check) => framework handler
+ * @returns {Object} { requirePermission, requireScope, requireRecentAuth, requireRole, requireOwnership,
+ *   requireGroupRole, requireGroupMember, requireMfa, requireVerifiedEmail, requirePolicy }, with the same
+ *   arguments as the Express middlewares (requirePolicy takes the engine first)
+ */
+function createGuards(wrap) {
+  return {
+    requirePermission: (requiredPermissions, options) => wrap(permissionGuard(requiredPermissions, options)),
+    requireScope: (requiredScopes, options) => wrap(scopeGuard(requiredScopes, options)),
+    requireRecentAuth: options => wrap(recentAuthGuard(options)),
+    requireRole: (minimumRole, options) => wrap(roleGuard(minimumRole, options)),
+    requireOwnership: (getResourceOwnerId, options) => wrap(ownershipGuard(getResourceOwnerId, options)),
+    requireGroupRole: (groupRole, getGroupId, options = {}) => wrap(groupGuard(groupRole, getGroupId, options)),
+    requireGroupMember: (getGroupId, options = {}) => wrap(groupGuard(null, getGroupId, options)),
+    requireMfa: options => wrap(mfaGuard(options)),
+    requireVerifiedEmail: options => wrap(verifiedEmailGuard(options)),
+    requirePolicy: (engine, action, loadResource, options) => wrap(policyGuard(engine, action, loadResource, options))
+  };
+}
+
+module.exports = {
+  createAuthenticator,
+  permissionGuard,
+  scopeGuard,
+  recentAuthGuard,
+  roleGuard,
+  ownershipGuard,
+  groupGuard,
+  mfaGuard,
+  verifiedEmailGuard,
+  policyGuard,
+  createGuards,
+
+  // Internal: shared with the adapters and other request handlers (not exported from index.js)
+  settle,
+  renderDecision,
+  unauthorizedInfo,
+  resolveAuthSettings,
+  authenticateRequest,
+  auditDenial
+};
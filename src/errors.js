@@ -0,0 +1,378 @@
+/**
+ * Structured Errors
+ * Typed errors with stable codes, and one renderer that turns them into responses: the JSON body
+ * ({ success: false, error, code, ...details }) or application/problem+json (RFC 9457), RFC 6750
+ * `WWW-Authenticate: Bearer` challenges on 401/403, and messages localized from Accept-Language
+ * (see messages.js).
+ */
+
+const { STATUS_CODES } = require('http');
+const { MESSAGES } = require('./messages');
+
+/**
+ * Fill `{name}` placeholders (arrays are joined with ', ')
+ */
+function formatMessage(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return match;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Base class of the authentication and authorization errors
+ * JSON.stringify(error) gives the English response body.
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message - English message, sent to English-speaking clients
+   * @param {Object} [options] - Options
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code='INTERNAL_ERROR'] - Stable machine-readable code
+   * @param {Object} [options.details] - Extra response body fields (required, current, maxAge, ...)
+   * @param {Object} [options.params] - Message placeholders that are not body fields
+   * @param {string} [options.key] - Message catalog key; the code by default
+   * @param {string} [options.bearerError] - RFC 6750 error code for WWW-Authenticate
+   * @param {string} [options.reason] - Internal detail for logs and onUnauthorized, never sent
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = options.status || 500;
+    this.code = options.code || 'INTERNAL_ERROR';
+    this.details = options.details || {};
+    this.params = options.params || {};
+    this.key = options.key || this.code;
+    this.bearerError = options.bearerError || null;
+    this.reason = options.reason || message;
+  }
+
+  toJSON() {
+    return { success: false, error: this.message, code: this.code, ...this.details };
+  }
+}
+
+/**
+ * Define a typed error: new ErrorClass(details?, { message?, params?, reason? })
+ * The message defaults to the English catalog entry filled from details and params.
+ */
+function defineError(name, defaults, Parent = AuthError) {
+  class TypedError extends Parent {
+    constructor(details = {}, options = {}) {
+      const settings = { ...defaults, ...options, details: { ...defaults.details, ...details } };
+
+      if (Parent === AuthError) {
+        const template = MESSAGES.en[settings.key || settings.code];
+        const params = { ...settings.details, ...settings.params };
+        super(settings.message || formatMessage(template, params), settings);
+      } else {
+        super(settings.details, settings);
+      }
+      this.name = name;
+    }
+  }
+
+  Object.defineProperty(TypedError, 'name', { value: name });
+  return TypedError;
+}
+
+const INVALID_TOKEN = 'invalid_token';
+const INSUFFICIENT_SCOPE = 'insufficient_scope';
+// RFC 9470 step-up authentication
+const INSUFFICIENT_USER_AUTHENTICATION = 'insufficient_user_authentication';
+
+const AuthenticationRequiredError = defineError('AuthenticationRequiredError', { status: 401, code: 'NO_AUTH' });
+const MissingTokenError = defineError('MissingTokenError', { status: 401, code: 'NO_TOKEN' });
+const InvalidTokenError = defineError('InvalidTokenError', {
+  status: 401, code: 'INVALID_TOKEN', bearerError: INVALID_TOKEN, details: { expired: false }
+});
+const TokenExpiredError = defineError('TokenExpiredError', { key: 'TOKEN_EXPIRED', details: { expired: true } }, InvalidTokenError);
+const TokenRevokedError = defineError('TokenRevokedError', {
+  status: 401, code: 'TOKEN_REVOKED', bearerError: INVALID_TOKEN, details: { revoked: true }
+});
+const InvalidSessionError = defineError('InvalidSessionError', { status: 401, code: 'INVALID_SESSION', bearerError: INVALID_TOKEN });
+const InvalidApiKeyError = defineError('InvalidApiKeyError', { status: 401, code: 'INVALID_API_KEY', bearerError: INVALID_TOKEN });
+const CsrfTokenError = defineError('CsrfTokenError', { status: 403, code: 'CSRF_TOKEN_INVALID' });
+const InsufficientPermissionsError = defineError('InsufficientPermissionsError', { status: 403, code: 'FORBIDDEN' });
+const InsufficientScopeError = defineError('InsufficientScopeError', {
+  status: 403, code: 'INSUFFICIENT_SCOPE', bearerError: INSUFFICIENT_SCOPE
+});
+const InsufficientRoleError = defineError('InsufficientRoleError', { status: 403, code: 'INSUFFICIENT_ROLE' });
+const NotOwnerError = defineError('NotOwnerError', { status: 403, code: 'NOT_OWNER' });
+const NotGroupMemberError = defineError('NotGroupMemberError', { status: 403, code: 'NOT_GROUP_MEMBER' });
+const InsufficientGroupRoleError = defineError('InsufficientGroupRoleError', { status: 403, code: 'INSUFFICIENT_GROUP_ROLE' });
+const ReauthRequiredError = defineError('ReauthRequiredError', {
+  status: 403, code: 'REAUTH_REQUIRED', bearerError: INSUFFICIENT_USER_AUTHENTICATION
+});
+const MfaRequiredError = defineError('MfaRequiredError', {
+  status: 403, code: 'MFA_REQUIRED', bearerError: INSUFFICIENT_USER_AUTHENTICATION
+});
+const EmailNotVerifiedError = defineError('EmailNotVerifiedError', { status: 403, code: 'EMAIL_NOT_VERIFIED' });
+const ImpersonationBlockedError = defineError('ImpersonationBlockedError', { status: 403, code: 'IMPERSONATION_BLOCKED' });
+const PolicyDeniedError = defineError('PolicyDeniedError', { status: 403, code: 'POLICY_DENIED' });
+
+/**
+ * Create an error without a dedicated class (validation errors, store failures, ...)
+ * @param {number} status - HTTP status
+ * @param {string} code - Stable machine-readable code
+ * @param {string} message - English message
+ * @param {Object} [details] - Extra response body fields
+ * @returns {AuthError} Error
+ */
+function authError(status, code, message, details) {
+  return new AuthError(message, { status, code, details });
+}
+
+function toAuthError(error) {
+  if (error instanceof AuthError) return error;
+  return new AuthError(MESSAGES.en.INTERNAL_ERROR, { reason: error && error.message });
+}
+
+/**
+ * Pick the best supported locale for an Accept-Language header
+ * @param {string} [header] - Accept-Language header
+ * @param {string[]} locales - Supported locales
+ * @param {string} defaultLocale - Used when nothing matches
+ * @returns {string} Locale
+ */
+function negotiateLocale(header, locales, defaultLocale) {
+  if (!header) return defaultLocale;
+
+  const ranges = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...attributes] = part.trim().split(';');
+      const quality = attributes.map(attribute => attribute.trim()).find(attribute => attribute.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of ranges) {
+    if (tag === '*') return defaultLocale;
+    const match = locales.find(locale => locale.toLowerCase() === tag) ||
+      locales.find(locale => locale.toLowerCase() === tag.split('-')[0]);
+    if (match) return match;
+  }
+  return defaultLocale;
+}
+
+// Quoted-string values must be printable ASCII without `"` and `\` (RFC 6750 section 3)
+function challengeValue(value) {
+  return String(value).replace(/[^\x20\x21\x23-\x5B\x5D-\x7E]/g, '');
+}
+
+/**
+ * RFC 6750 challenge: `Bearer` alone when no credentials were sent, with error="invalid_token"
+ * for rejected tokens, error="insufficient_scope" for a token scope that is too narrow, and
+ * error="insufficient_user_authentication" when the user must log in again
+ * @returns {string|null} WWW-Authenticate value (401 always, 403 when the error has a bearerError)
+ */
+function bearerChallenge(error, realm) {
+  if (error.status !== 401 && !(error.status === 403 && error.bearerError)) return null;
+
+  const params = [];
+  if (realm) params.push(['realm', realm]);
+  if (error.bearerError) {
+    params.push(['error', error.bearerError]);
+    params.push(['error_description', error.message]);
+  }
+  if (error.params.scope) {
+    params.push(['scope', [].concat(error.params.scope).join(' ')]);
+  }
+  if (error.bearerError === INSUFFICIENT_USER_AUTHENTICATION && error.details.maxAge !== undefined) {
+    params.push(['max_age', error.details.maxAge]);
+  }
+
+  if (params.length === 0) return 'Bearer';
+  return `Bearer ${params.map(([name, value]) => `${name}="${challengeValue(value)}"`).join(', ')}`;
+}
+
+function setHeaders(res, headers) {
+  if (typeof res.setHeader !== 'function') return;
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+}
+
+/**
+ * Create an error renderer
+ * Attach it to requests with renderer.middleware (or the errorRenderer option of createAuthMiddleware
+ * and the other adapters); requests without one use the default renderer (JSON, en/es).
+ * English responses keep the error's own message; other locales use the catalog.
+ * @param {Object} [options] - Options
+ * @param {Object} [options.messages] - Extra or overriding messages: { [locale]: { [code]: template } }
+ * @param {string[]} [options.locales] - Supported locales (every locale in the catalog by default)
+ * @param {string} [options.defaultLocale='en'] - Locale when Accept-Language matches none
+ * @param {boolean|string} [options.problemDetails=false] - application/problem+json bodies: true, false,
+ *   or 'negotiate' (when the Accept header asks for them)
+ * @param {string} [options.problemTypeBase] - Base URI for the problem `type` (code in kebab case);
+ *   'about:blank' without it
+ * @param {string} [options.realm] - realm of the WWW-Authenticate challenge
+ * @returns {Object} { render, send, middleware, errorHandler, locales }
+ */
+function createErrorRenderer(options = {}) {
+  const { messages = {}, defaultLocale = 'en', problemDetails = false, problemTypeBase, realm } = options;
+
+  if (![true, false, 'negotiate'].includes(problemDetails)) {
+    throw new Error("@latanda/auth-middleware: problemDetails must be true, false or 'negotiate'");
+  }
+
+  const catalog = {};
+  for (const locale of new Set([...Object.keys(MESSAGES), ...Object.keys(messages)])) {
+    catalog[locale] = { ...MESSAGES[locale], ...messages[locale] };
+  }
+  const locales = options.locales || Object.keys(catalog);
+
+  if (!locales.includes(defaultLocale)) {
+    throw new Error(`@latanda/auth-middleware: defaultLocale ${defaultLocale} is not one of the locales`);
+  }
+
+  function localize(error, locale) {
+    const overridden = messages[locale] && messages[locale][error.key];
+    if (locale === 'en' && !overridden) return error.message;
+
+    const template = catalog[locale] && catalog[locale][error.key];
+    return template ? formatMessage(template, { ...error.details, ...error.params }) : error.message;
+  }
+
+  function wantsProblem(headers) {
+    if (problemDetails !== 'negotiate') return problemDetails;
+    return String(headers.accept || '').includes('application/problem+json');
+  }
+
+  /**
+   * Render an error for a request
+   * Errors that are not AuthErrors become 500 INTERNAL_ERROR (their message is not sent).
+   * @param {Error} error - Error to render
+   * @param {Object} [req] - Request (or request context) whose headers pick the locale and format
+   * @param {Object} [renderOptions] - { problemDetails } to force a format (sockets always use JSON)
+   * @returns {Object} { status, headers, body, locale }
+   */
+  function render(error, req = {}, renderOptions = {}) {
+    const authErr = toAuthError(error);
+    const requestHeaders = req.headers || {};
+    const locale = negotiateLocale(requestHeaders['accept-language'], locales, defaultLocale);
+    const message = localize(authErr, locale);
+    const headers = { 'Content-Language': locale };
+
+    const challenge = bearerChallenge(authErr, realm);
+    if (challenge) {
+      headers['WWW-Authenticate'] = challenge;
+    }
+
+    const problem = renderOptions.problemDetails !== undefined ? renderOptions.problemDetails : wantsProblem(requestHeaders);
+    if (problem) {
+      headers['Content-Type'] = 'application/problem+json; charset=utf-8';
+      return {
+        status: authErr.status,
+        headers,
+        locale,
+        body: {
+          type: problemTypeBase ? `${problemTypeBase}${authErr.code.toLowerCase().replace(/_/g, '-')}` : 'about:blank',
+          title: STATUS_CODES[authErr.status],
+          status: authErr.status,
+          detail: message,
+          code: authErr.code,
+          ...authErr.details
+        }
+      };
+    }
+
+    headers['Content-Type'] = 'application/json; charset=utf-8';
+    return {
+      status: authErr.status,
+      headers,
+      locale,
+      body: { success: false, error: message, code: authErr.code, ...authErr.details }
+    };
+  }
+
+  /**
+   * Send an error response (Express, or a plain Node http response)
+   */
+  function send(req, res, error) {
+    const { status, headers, body } = render(error, req);
+    setHeaders(res, headers);
+
+    if (typeof res.json === 'function') {
+      return res.status(status).json(body);
+    }
+    res.statusCode = status;
+    return res.end(JSON.stringify(body));
+  }
+
+  const renderer = {
+    render,
+    send,
+    locales,
+
+    /**
+     * Express middleware: use this renderer for the rest of the request
+     */
+    middleware(req, res, next) {
+      req.errorRenderer = renderer;
+      next();
+    },
+
+    /**
+     * Express error handler: renders AuthErrors thrown or passed to next(), passes on the rest
+     */
+    errorHandler(error, req, res, next) {
+      if (!(error instanceof AuthError)) return next(error);
+      return send(req, res, error);
+    }
+  };
+
+  return renderer;
+}
+
+const defaultErrorRenderer = createErrorRenderer();
+
+/**
+ * The renderer attached to a request, or the default one
+ */
+function errorRendererFor(req) {
+  return (req && req.errorRenderer) || defaultErrorRenderer;
+}
+
+/**
+ * Send an error response with the request's renderer
+ * @param {Object} req - Express or Node http request
+ * @param {Object} res - Express or Node http response
+ * @param {Error} error - Error to send (see AuthError)
+ * @param {Object} [renderer] - Renderer to use instead of the request's
+ * @returns {*} The response
+ */
+function sendError(req, res, error, renderer = errorRendererFor(req)) {
+  return renderer.send(req, res, error);
+}
+
+module.exports = {
+  AuthError,
+  AuthenticationRequiredError,
+  MissingTokenError,
+  InvalidTokenError,
+  TokenExpiredError,
+  TokenRevokedError,
+  InvalidSessionError,
+  InvalidApiKeyError,
+  CsrfTokenError,
+  InsufficientPermissionsError,
+  InsufficientScopeError,
+  InsufficientRoleError,
+  NotOwnerError,
+  NotGroupMemberError,
+  InsufficientGroupRoleError,
+  ReauthRequiredError,
+  MfaRequiredError,
+  EmailNotVerifiedError,
+  ImpersonationBlockedError,
+  PolicyDeniedError,
+  authError,
+  negotiateLocale,
+  createErrorRenderer,
+  defaultErrorRenderer,
+  errorRendererFor,
+  sendError
+};
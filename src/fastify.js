@@ -0,0 +1,86 @@
+/**
+ * Fastify Adapter
+ * A plugin decorating the instance with preHandler hooks built on the core (see core.js),
+ * answering with the same JSON bodies and codes as the Express middleware.
+ */
+
+const { createAuthenticator, createGuards, renderDecision, unauthorizedInfo } = require('./core');
+
+function sendDenial(request, reply, decision) {
+  const { status, headers, body } = renderDecision(request, decision);
+  return reply.code(status).headers(headers).send(body);
+}
+
+/**
+ * Turn a core check into a Fastify preHandler
+ * @param {Function} check - (request) => decision
+ * @returns {Function} async (request, reply) preHandler
+ */
+function fastifyPreHandler(check) {
+  return async function guardPreHandler(request, reply) {
+    const decision = await check(request);
+    if (!decision.allow) {
+      return sendDenial(request, reply, decision);
+    }
+    Object.assign(request, decision.attach);
+  };
+}
+
+/**
+ * Fastify plugin
+ * Decorates the instance with `authenticate` and `optionalAuth` preHandlers and the factories
+ * requirePermission, requireScope, requireRecentAuth, requireRole, requireOwnership,
+ * requireGroupRole, requireGroupMember, requireMfa, requireVerifiedEmail and requirePolicy
+ * (same arguments as the Express middlewares; requirePolicy takes the policy engine first).
+ * Sets request.user, request.token, request.tokenSource, request.sessionId and request.groupMembership
+ * (request.resource and request.policyDecision after requirePolicy).
+ *
+ * @example
+ * fastify.register(fastifyAuth, { jwtSecret: process.env.JWT_SECRET });
+ * fastify.get('/api/payments', {
+ *   preHandler: [fastify.authenticate, fastify.requirePermission('make_payments')]
+ * }, listPayments);
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Same options as createAuthMiddleware; onUnauthorized is
+ *   (request, reply, { message, code, error })
+ * @param {Function} done - Plugin callback
+ */
+function fastifyAuth(fastify, options, done) {
+  const { onUnauthorized, legacyUnauthorizedCodes } = options;
+  const authenticate = createAuthenticator(options);
+  const authenticateOptional = createAuthenticator(options, { optional: true });
+
+  for (const property of ['user', 'token', 'tokenSource', 'sessionId', 'auditLogger', 'errorRenderer', 'groupMembership', 'resource', 'policyDecision']) {
+    fastify.decorateRequest(property, null);
+  }
+
+  fastify.decorate('authenticate', async function authPreHandler(request, reply) {
+    const decision = await authenticate(request);
+
+    if (!decision.allow) {
+      if (onUnauthorized && decision.status === 401) {
+        return onUnauthorized(request, reply, unauthorizedInfo(decision, legacyUnauthorizedCodes));
+      }
+      return sendDenial(request, reply, decision);
+    }
+
+    Object.assign(request, decision.attach);
+  });
+
+  fastify.decorate('optionalAuth', fastifyPreHandler(authenticateOptional));
+
+  for (const [name, factory] of Object.entries(createGuards(fastifyPreHandler))) {
+    fastify.decorate(name, factory);
+  }
+
+  done();
+}
+
+// Same as wrapping with fastify-plugin: the decorators are visible outside the plugin's scope
+fastifyAuth[Symbol.for('skip-override')] = true;
+fastifyAuth[Symbol.for('fastify.display-name')] = '@latanda/auth-middleware';
+
+module.exports = {
+  fastifyAuth
+};
@@ -0,0 +1,143 @@
+/**
+ * Group Memberships (PostgreSQL)
+ * Group-scoped roles from the `group_memberships` table (see GROUP_ROLES in rbac.js)
+ */
+
+const { defaultRBAC } = require('./rbac');
+const { AUDIT_EVENTS } = require('./audit');
+
+function toMembership(row) {
+  return {
+    groupId: row.group_id,
+    userId: row.user_id,
+    role: row.role,
+    joinedAt: row.joined_at
+  };
+}
+
+/**
+ * Load a user's membership in a group
+ * @param {Object} pool - pg Pool
+ * @param {number|string} groupId - Group ID
+ * @param {number|string} userId - User ID
+ * @returns {Promise<Object|null>} { groupId, userId, role, joinedAt }, or null if not a member
+ */
+async function loadGroupMembership(pool, groupId, userId) {
+  const result = await pool.query(
+    'SELECT group_id, user_id, role, joined_at FROM group_memberships WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+
+  return result.rows[0] ? toMembership(result.rows[0]) : null;
+}
+
+/**
+ * List the groups a user belongs to
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User ID
+ * @returns {Promise<Object[]>} Memberships
+ */
+async function listUserGroups(pool, userId) {
+  const result = await pool.query(
+    'SELECT group_id, user_id, role, joined_at FROM group_memberships WHERE user_id = $1 ORDER BY joined_at',
+    [userId]
+  );
+
+  return result.rows.map(toMembership);
+}
+
+/**
+ * List the members of a group
+ * @param {Object} pool - pg Pool
+ * @param {number|string} groupId - Group ID
+ * @returns {Promise<Object[]>} Memberships
+ */
+async function listGroupMembers(pool, groupId) {
+  const result = await pool.query(
+    'SELECT group_id, user_id, role, joined_at FROM group_memberships WHERE group_id = $1 ORDER BY joined_at',
+    [groupId]
+  );
+
+  return result.rows.map(toMembership);
+}
+
+/**
+ * Add a user to a group, or change their role in it
+ * @param {Object} pool - pg Pool
+ * @param {number|string} groupId - Group ID
+ * @param {number|string} userId - User ID
+ * @param {string} [role='member'] - Group role
+ * @param {Object} [options] - Options
+ * @param {number|string} [options.changedBy] - User ID making the change (audit only)
+ * @param {Object} [options.auditLogger] - Records a role_change event
+ * @param {Object} [options.rbac] - RBAC instance used to validate the group role
+ * @returns {Promise<Object>} Membership
+ */
+async function setGroupRole(pool, groupId, userId, role = 'member', options = {}) {
+  const { changedBy = null, auditLogger, rbac = defaultRBAC } = options;
+
+  if (!rbac.isValidGroupRole(role)) {
+    throw new Error(`@latanda/auth-middleware: unknown group role ${role}`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO group_memberships (group_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (group_id, user_id) DO UPDATE SET role = EXCLUDED.role
+     RETURNING group_id, user_id, role, joined_at`,
+    [groupId, userId, role]
+  );
+
+  if (auditLogger) {
+    await auditLogger.log({
+      eventType: AUDIT_EVENTS.ROLE_CHANGE,
+      userId,
+      metadata: { groupId, to: role, changedBy }
+    });
+  }
+
+  return toMembership(result.rows[0]);
+}
+
+/**
+ * Remove a user from a group
+ * @param {Object} pool - pg Pool
+ * @param {number|string} groupId - Group ID
+ * @param {number|string} userId - User ID
+ * @returns {Promise<boolean>} True if a membership was removed
+ */
+async function removeGroupMember(pool, groupId, userId) {
+  const result = await pool.query(
+    'DELETE FROM group_memberships WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Create a loader for requireGroupRole / requireGroupMember({ loadMembership })
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @returns {Function} async (req, groupId) => membership | null
+ */
+function createGroupMembershipLoader(config = {}) {
+  const { pool } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the group membership loader');
+  }
+
+  return function loadMembership(req, groupId) {
+    return loadGroupMembership(pool, groupId, req.user.id);
+  };
+}
+
+module.exports = {
+  loadGroupMembership,
+  listUserGroups,
+  listGroupMembers,
+  setGroupRole,
+  removeGroupMember,
+  createGroupMembershipLoader
+};
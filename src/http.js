@@ -0,0 +1,95 @@
+/**
+ * Node http Adapter
+ * Checks for plain `http.createServer` handlers, built on the core (see core.js) and answering
+ * with the same JSON bodies and codes as the Express middleware.
+ */
+
+const { createAuthenticator, createGuards, unauthorizedInfo } = require('./core');
+const { authError, sendError } = require('./errors');
+
+function sendDenial(req, res, decision) {
+  return sendError(req, res, decision.error, decision.errorRenderer);
+}
+
+/**
+ * Turn a core check into an http check
+ * @param {Function} check - (req) => decision
+ * @returns {Function} async (req, res) => boolean; false means the error response was sent
+ */
+function httpCheck(check) {
+  return async function guardCheck(req, res) {
+    const decision = await check(req);
+    if (!decision.allow) {
+      sendDenial(req, res, decision);
+      return false;
+    }
+    Object.assign(req, decision.attach);
+    return true;
+  };
+}
+
+/**
+ * Create authentication and authorization checks for Node's http module
+ * Each check is async (req, res) => boolean: true continues, false means the error response was sent.
+ * protect(handler, ...checks) authenticates, runs the checks in order, then calls the handler.
+ *
+ * @example
+ * const auth = createHttpAuth({ jwtSecret: process.env.JWT_SECRET });
+ * http.createServer(auth.protect(listPayments, auth.requirePermission('make_payments'))).listen(3000);
+ *
+ * @param {Object} config - Same options as createAuthMiddleware; onUnauthorized is (req, res, { message, code, error })
+ * @returns {Object} { authenticate, optionalAuth, protect, requirePermission, requireScope, requireRecentAuth,
+ *   requireRole, requireOwnership, requireGroupRole, requireGroupMember, requireMfa, requireVerifiedEmail, requirePolicy }
+ */
+function createHttpAuth(config) {
+  const { onUnauthorized, legacyUnauthorizedCodes, errorRenderer } = config;
+  const authenticator = createAuthenticator(config);
+  const authenticateOptional = createAuthenticator(config, { optional: true });
+
+  async function authenticate(req, res) {
+    const decision = await authenticator(req);
+
+    if (!decision.allow) {
+      if (onUnauthorized && decision.status === 401) {
+        await onUnauthorized(req, res, unauthorizedInfo(decision, legacyUnauthorizedCodes));
+      } else {
+        sendDenial(req, res, decision);
+      }
+      return false;
+    }
+
+    Object.assign(req, decision.attach);
+    return true;
+  }
+
+  /**
+   * Wrap a request handler: authenticate, then run the checks in order
+   * @param {Function} handler - (req, res) request handler
+   * @param {...Function} checks - Checks from this object (requirePermission(...), ...)
+   * @returns {Function} (req, res) request handler
+   */
+  function protect(handler, ...checks) {
+    return async function protectedHandler(req, res) {
+      try {
+        if (!(await authenticate(req, res))) return;
+        for (const check of checks) {
+          if (!(await check(req, res))) return;
+        }
+      } catch (error) {
+        return sendError(req, res, authError(500, 'AUTH_CHECK_FAILED', 'Failed to verify token status'), errorRenderer);
+      }
+      return handler(req, res);
+    };
+  }
+
+  return {
+    authenticate,
+    optionalAuth: httpCheck(authenticateOptional),
+    protect,
+    ...createGuards(httpCheck)
+  };
+}
+
+module.exports = {
+  createHttpAuth
+};
@@ -0,0 +1,195 @@
+/**
+ * Admin Impersonation
+ * Lets support staff see exactly what a member sees: a short-lived token for the member carrying
+ * an RFC 8693 `act` claim naming the staff member (req.user.actor), with sensitive permissions
+ * blocked and start/end written to the audit log.
+ */
+
+const { generateToken } = require('./jwt');
+const { requestContext } = require('./utils');
+const { AUDIT_EVENTS } = require('./audit');
+const { defaultRBAC } = require('./rbac');
+const { permissionGuard } = require('./core');
+const { attachUserPermissions } = require('./permissions');
+const { AuthenticationRequiredError, authError, sendError } = require('./errors');
+
+/**
+ * Permissions an impersonation token never carries, whatever the member's role grants
+ */
+const IMPERSONATION_BLOCKED_PERMISSIONS = [
+  'make_payments',
+  'approve_deposits',
+  'manage_roles',
+  'user_management',
+  'delete_users',
+  'system_config',
+  'system_settings'
+];
+
+/**
+ * Create Express handlers to start and end impersonation
+ * Must be used AFTER authMiddleware. Staff can only impersonate active users with a lower role,
+ * and never while already impersonating. The impersonation token is returned in the body only
+ * (the staff member's own token or cookie is left alone) and cannot be refreshed or re-authenticated.
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool with the `users` and `user_permissions` tables
+ * @param {string|Object} config.jwtSecret - JWT secret key (or a key ring)
+ * @param {Object} [config.tokenOptions] - Options passed to generateToken
+ * @param {string|number} [config.expiresIn='15m'] - Impersonation token lifetime
+ * @param {string[]} [config.permissions=['technical_support', 'user_management']] - Any of these may impersonate
+ * @param {string[]} [config.blockedPermissions] - Denied during impersonation (IMPERSONATION_BLOCKED_PERMISSIONS)
+ * @param {string|number} [config.maxAuthAge] - Require the staff member to have authenticated this recently
+ * @param {Function} [config.loadUser] - async (userId) => user; defaults to an active row from `users`
+ *   with its per-user permissions
+ * @param {Object} [config.sessionStore] - Record a session for the impersonation token; ending revokes it
+ * @param {Object} [config.revocationStore] - Revoke the impersonation token when it is ended
+ * @param {Object} [config.rbac] - RBAC instance
+ * @param {Object} [config.auditLogger] - Records impersonation_start and impersonation_end
+ * @returns {Object} { start, end } Express route handlers
+ */
+function createImpersonationHandlers(config = {}) {
+  const {
+    pool,
+    jwtSecret,
+    tokenOptions = {},
+    expiresIn = '15m',
+    permissions = ['technical_support', 'user_management'],
+    blockedPermissions = IMPERSONATION_BLOCKED_PERMISSIONS,
+    maxAuthAge,
+    sessionStore,
+    revocationStore,
+    rbac = defaultRBAC,
+    auditLogger
+  } = config;
+
+  if (!pool && !config.loadUser) {
+    throw new Error('@latanda/auth-middleware: pool is required for the impersonation handlers');
+  }
+  if (!jwtSecret) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required');
+  }
+
+  const checkStaff = permissionGuard(permissions, { rbac, auditLogger, maxAuthAge });
+
+  const loadUser = config.loadUser || (async (userId) => {
+    const result = await pool.query(
+      'SELECT id, email, role, email_verified FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+    return result.rows[0] ? attachUserPermissions(pool, result.rows[0]) : null;
+  });
+
+  /**
+   * POST { userId, reason? } → { token, expires_in, user, actor }
+   */
+  async function start(req, res) {
+    if (!req.user) {
+      return sendError(req, res, new AuthenticationRequiredError());
+    }
+    if (req.user.actor) {
+      return sendError(req, res, authError(403, 'IMPERSONATION_NOT_ALLOWED', 'Already impersonating a user'));
+    }
+
+    try {
+      const decision = await checkStaff(req);
+      if (!decision.allow) {
+        return sendError(req, res, decision.error);
+      }
+
+      const { userId, reason } = req.body || {};
+      if (userId === undefined || userId === null || userId === '') {
+        return sendError(req, res, authError(400, 'MISSING_USER_ID', 'userId is required'));
+      }
+      if (String(userId) === String(req.user.id)) {
+        return sendError(req, res, authError(400, 'IMPERSONATION_NOT_ALLOWED', 'Cannot impersonate yourself'));
+      }
+
+      const target = await loadUser(userId);
+      if (!target) {
+        return sendError(req, res, authError(404, 'USER_NOT_FOUND', 'User not found'));
+      }
+
+      // Only users the staff member outranks: never a peer, a superior or a superuser
+      const outranks = rbac.hasRoleLevel(req.user.role, target.role) && !rbac.hasRoleLevel(target.role, req.user.role);
+      if (!outranks) {
+        if (auditLogger) {
+          auditLogger.logRequest(req, AUDIT_EVENTS.IMPERSONATION_START, {
+            success: false,
+            errorMessage: 'IMPERSONATION_NOT_ALLOWED',
+            metadata: { targetUserId: target.id, targetRole: target.role }
+          });
+        }
+        return sendError(req, res, authError(403, 'IMPERSONATION_NOT_ALLOWED', 'Cannot impersonate a user with an equal or higher role'));
+      }
+
+      const actor = { id: req.user.id, email: req.user.email, role: req.user.role };
+      const token = generateToken({
+        ...target,
+        denied_permissions: [...new Set([...(target.denied_permissions || []), ...blockedPermissions])],
+        // The staff member is the one who authenticated
+        amr: req.user.amr,
+        auth_time: req.user.authTime
+      }, jwtSecret, { ...tokenOptions, expiresIn, actor });
+
+      if (sessionStore) {
+        const { ipAddress, userAgent } = requestContext(req);
+        await sessionStore.createSession(token, { userId: target.id, ipAddress, userAgent });
+      }
+
+      if (auditLogger) {
+        auditLogger.logRequest(req, AUDIT_EVENTS.IMPERSONATION_START, {
+          userId: target.id,
+          metadata: { actorId: actor.id, actorRole: actor.role, reason: reason || null, expiresIn }
+        });
+      }
+
+      return res.json({
+        success: true,
+        token,
+        expires_in: expiresIn,
+        user: { id: target.id, email: target.email, role: target.role },
+        actor
+      });
+    } catch (error) {
+      return sendError(req, res, authError(500, 'IMPERSONATION_FAILED', 'Failed to start impersonation'));
+    }
+  }
+
+  /**
+   * POST with the impersonation token → revokes it
+   */
+  async function end(req, res) {
+    if (!req.user) {
+      return sendError(req, res, new AuthenticationRequiredError());
+    }
+    if (!req.user.actor) {
+      return sendError(req, res, authError(400, 'NOT_IMPERSONATING', 'Not an impersonation token'));
+    }
+
+    try {
+      if (sessionStore) {
+        await sessionStore.revokeSession(req.token, requestContext(req));
+      }
+      if (revocationStore) {
+        await revocationStore.revokeToken(req.token);
+      }
+    } catch (error) {
+      return sendError(req, res, authError(500, 'IMPERSONATION_FAILED', 'Failed to end impersonation'));
+    }
+
+    if (auditLogger) {
+      auditLogger.logRequest(req, AUDIT_EVENTS.IMPERSONATION_END, {
+        metadata: { actorRole: req.user.actor.role }
+      });
+    }
+
+    return res.json({ success: true });
+  }
+
+  return { start, end };
+}
+
+module.exports = {
+  IMPERSONATION_BLOCKED_PERMISSIONS,
+  createImpersonationHandlers
+};
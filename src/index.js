@@ -13,7 +13,32 @@
 
 const jwt = require('./jwt');
 const rbac = require('./rbac');
+const core = require('./core');
 const middleware = require('./middleware');
+const fastify = require('./fastify');
+const koa = require('./koa');
+const http = require('./http');
+const websocket = require('./websocket');
+const sessions = require('./sessions');
+const impersonation = require('./impersonation');
+const revocation = require('./revocation');
+const refresh = require('./refresh');
+const jwks = require('./jwks');
+const keyring = require('./keyring');
+const permissions = require('./permissions');
+const audit = require('./audit');
+const password = require('./password');
+const lockout = require('./lockout');
+const cookies = require('./cookies');
+const nginx = require('./nginx');
+const policy = require('./policy');
+const groups = require('./groups');
+const verification = require('./verification');
+const mfa = require('./mfa');
+const apikeys = require('./apikeys');
+const scopes = require('./scopes');
+const errors = require('./errors');
+const messages = require('./messages');
 
 module.exports = {
   // JWT functions
@@ -22,22 +47,188 @@ module.exports = {
   decodeToken: jwt.decodeToken,
   isTokenExpiringSoon: jwt.isTokenExpiringSoon,
   refreshToken: jwt.refreshToken,
+  SUPPORTED_ALGORITHMS: jwt.SUPPORTED_ALGORITHMS,
+
+  // JWKS (asymmetric keys)
+  toPublicJwk: jwks.toPublicJwk,
+  createJwksHandler: jwks.createJwksHandler,
+  createJwksKeyResolver: jwks.createJwksKeyResolver,
+
+  // Signing key rotation
+  createKeyRing: keyring.createKeyRing,
 
   // RBAC functions
   ROLES: rbac.ROLES,
+  createRBAC: rbac.createRBAC,
   hasPermission: rbac.hasPermission,
   hasAnyPermission: rbac.hasAnyPermission,
   hasAllPermissions: rbac.hasAllPermissions,
   hasRoleLevel: rbac.hasRoleLevel,
   getRolePermissions: rbac.getRolePermissions,
+  getEffectivePermissions: rbac.getEffectivePermissions,
   isValidRole: rbac.isValidRole,
   canAccessResource: rbac.canAccessResource,
   canPerformGroupAction: rbac.canPerformGroupAction,
+  GROUP_ROLES: rbac.GROUP_ROLES,
+  isValidGroupRole: rbac.isValidGroupRole,
+  hasGroupRoleLevel: rbac.hasGroupRoleLevel,
+  hasGroupPermission: rbac.hasGroupPermission,
+
+  // Group memberships (PostgreSQL)
+  loadGroupMembership: groups.loadGroupMembership,
+  listUserGroups: groups.listUserGroups,
+  listGroupMembers: groups.listGroupMembers,
+  setGroupRole: groups.setGroupRole,
+  removeGroupMember: groups.removeGroupMember,
+  createGroupMembershipLoader: groups.createGroupMembershipLoader,
+
+  // Policy engine (attribute-based access control)
+  createPolicyEngine: policy.createPolicyEngine,
+  compileCondition: policy.compileCondition,
+
+  // Per-user permissions (PostgreSQL)
+  loadUserPermissions: permissions.loadUserPermissions,
+  attachUserPermissions: permissions.attachUserPermissions,
+  grantPermission: permissions.grantPermission,
+  denyPermission: permissions.denyPermission,
+  revokePermission: permissions.revokePermission,
+  setUserRole: permissions.setUserRole,
+  createPermissionLoader: permissions.createPermissionLoader,
+
+  // Passwords
+  hashPassword: password.hashPassword,
+  verifyPassword: password.verifyPassword,
+  needsRehash: password.needsRehash,
+  createPasswordPolicy: password.createPasswordPolicy,
+  setPassword: password.setPassword,
+  createLoginHandler: password.createLoginHandler,
+  createReauthHandler: password.createReauthHandler,
+
+  // Email verification and password reset
+  TOKEN_PURPOSES: verification.TOKEN_PURPOSES,
+  createAuthTokenStore: verification.createAuthTokenStore,
+  createVerificationHandlers: verification.createVerificationHandlers,
+  createConsoleMailTransport: verification.createConsoleMailTransport,
+  createFileMailTransport: verification.createFileMailTransport,
+  requireVerifiedEmail: verification.requireVerifiedEmail,
+
+  // Two-factor authentication (TOTP)
+  generateTotpSecret: mfa.generateTotpSecret,
+  generateTotp: mfa.generateTotp,
+  verifyTotp: mfa.verifyTotp,
+  totpProvisioningUri: mfa.totpProvisioningUri,
+  generateRecoveryCodes: mfa.generateRecoveryCodes,
+  createMfaStore: mfa.createMfaStore,
+  createMfaVerifyHandler: mfa.createMfaVerifyHandler,
+  requireMfa: mfa.requireMfa,
+
+  // Login throttling and lockout
+  createLoginThrottle: lockout.createLoginThrottle,
+  createMemoryAttemptStore: lockout.createMemoryAttemptStore,
+  createPgAttemptStore: lockout.createPgAttemptStore,
 
   // Express middleware
   createAuthMiddleware: middleware.createAuthMiddleware,
   requirePermission: middleware.requirePermission,
   requireRole: middleware.requireRole,
   requireOwnership: middleware.requireOwnership,
-  optionalAuth: middleware.optionalAuth
+  requireGroupRole: middleware.requireGroupRole,
+  requireGroupMember: middleware.requireGroupMember,
+  requireRecentAuth: middleware.requireRecentAuth,
+  requireScope: middleware.requireScope,
+  optionalAuth: middleware.optionalAuth,
+
+  // Framework-agnostic core and adapters for Fastify, Koa and Node http
+  createAuthenticator: core.createAuthenticator,
+  permissionGuard: core.permissionGuard,
+  scopeGuard: core.scopeGuard,
+  recentAuthGuard: core.recentAuthGuard,
+  roleGuard: core.roleGuard,
+  ownershipGuard: core.ownershipGuard,
+  groupGuard: core.groupGuard,
+  mfaGuard: core.mfaGuard,
+  verifiedEmailGuard: core.verifiedEmailGuard,
+  policyGuard: core.policyGuard,
+  createGuards: core.createGuards,
+  fastifyAuth: fastify.fastifyAuth,
+  createKoaAuth: koa.createKoaAuth,
+  createHttpAuth: http.createHttpAuth,
+
+  // Errors, WWW-Authenticate challenges and localized messages
+  AuthError: errors.AuthError,
+  AuthenticationRequiredError: errors.AuthenticationRequiredError,
+  MissingTokenError: errors.MissingTokenError,
+  InvalidTokenError: errors.InvalidTokenError,
+  TokenExpiredError: errors.TokenExpiredError,
+  TokenRevokedError: errors.TokenRevokedError,
+  InvalidSessionError: errors.InvalidSessionError,
+  InvalidApiKeyError: errors.InvalidApiKeyError,
+  CsrfTokenError: errors.CsrfTokenError,
+  InsufficientPermissionsError: errors.InsufficientPermissionsError,
+  InsufficientScopeError: errors.InsufficientScopeError,
+  InsufficientRoleError: errors.InsufficientRoleError,
+  NotOwnerError: errors.NotOwnerError,
+  NotGroupMemberError: errors.NotGroupMemberError,
+  InsufficientGroupRoleError: errors.InsufficientGroupRoleError,
+  ReauthRequiredError: errors.ReauthRequiredError,
+  MfaRequiredError: errors.MfaRequiredError,
+  EmailNotVerifiedError: errors.EmailNotVerifiedError,
+  ImpersonationBlockedError: errors.ImpersonationBlockedError,
+  PolicyDeniedError: errors.PolicyDeniedError,
+  authError: errors.authError,
+  createErrorRenderer: errors.createErrorRenderer,
+  negotiateLocale: errors.negotiateLocale,
+  sendError: errors.sendError,
+  MESSAGES: messages.MESSAGES,
+
+  // WebSocket and Socket.IO
+  WS_CLOSE_CODES: websocket.WS_CLOSE_CODES,
+  createWebSocketAuth: websocket.createWebSocketAuth,
+  createSocketIoAuth: websocket.createSocketIoAuth,
+
+  // API keys for machine clients
+  createApiKeyStore: apikeys.createApiKeyStore,
+
+  // OAuth2-style token scopes
+  SCOPES: scopes.SCOPES,
+  parseScope: scopes.parseScope,
+  createScopeCatalog: scopes.createScopeCatalog,
+  downscopeToken: scopes.downscopeToken,
+  createTokenExchangeHandler: scopes.createTokenExchangeHandler,
+
+  // Cookie transport and CSRF
+  createCookieTransport: cookies.createCookieTransport,
+  createLogoutHandler: cookies.createLogoutHandler,
+  parseCookies: cookies.parseCookies,
+
+  // Nginx auth_request
+  createAuthRequestHandler: nginx.createAuthRequestHandler,
+  trustProxyIdentity: nginx.trustProxyIdentity,
+
+  // Session store (PostgreSQL)
+  createSessionStore: sessions.createSessionStore,
+  createSessionHandlers: sessions.createSessionHandlers,
+  createSessionRouter: sessions.createSessionRouter,
+  parseUserAgent: sessions.parseUserAgent,
+  requestContext: sessions.requestContext,
+
+  // Impersonation
+  IMPERSONATION_BLOCKED_PERMISSIONS: impersonation.IMPERSONATION_BLOCKED_PERMISSIONS,
+  createImpersonationHandlers: impersonation.createImpersonationHandlers,
+
+  // Token revocation (jti denylist)
+  createMemoryRevocationStore: revocation.createMemoryRevocationStore,
+  createPgRevocationStore: revocation.createPgRevocationStore,
+
+  // Refresh token rotation (PostgreSQL)
+  createRefreshTokenStore: refresh.createRefreshTokenStore,
+  createRefreshHandler: refresh.createRefreshHandler,
+
+  // Audit logging
+  AUDIT_EVENTS: audit.AUDIT_EVENTS,
+  createAuditLogger: audit.createAuditLogger,
+  createPgAuditSink: audit.createPgAuditSink,
+  createFileAuditSink: audit.createFileAuditSink,
+  createCallbackAuditSink: audit.createCallbackAuditSink,
+  queryAuditLog: audit.queryAuditLog
 };
@@ -0,0 +1,188 @@
+/**
+ * JSON Web Key Sets (JWKS)
+ * Publish public keys for asymmetric tokens and resolve verification keys by `kid`
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { toPublicKey } = require('./jwt');
+const { toSeconds } = require('./utils');
+
+/**
+ * Export the public half of a key as a JWK
+ * @param {Object} entry - Key entry
+ * @param {string} entry.kid - Key ID
+ * @param {string|KeyObject} entry.key - Private or public key (PEM or KeyObject)
+ * @param {string} entry.algorithm - Signing algorithm (RS256, ES256, EdDSA, ...)
+ * @returns {Object} Public JWK with kid, alg and use
+ */
+function toPublicJwk({ kid, key, algorithm }) {
+  const publicKey = toPublicKey(key);
+
+  return {
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+    alg: algorithm,
+    use: 'sig'
+  };
+}
+
+/**
+ * Create an Express handler serving a JWKS document
+ * Mount it at /.well-known/jwks.json
+ * @param {Object} config - Configuration options
+ * @param {Object[]} [config.keys] - Key entries ({ kid, key, algorithm }); private keys are reduced to their public half
+ * @param {Object} [config.keyRing] - Key ring (see createKeyRing); its active asymmetric keys are published
+ * @param {number|string} [config.maxAge='10m'] - Cache-Control max-age for clients
+ * @returns {Function} Express route handler
+ */
+function createJwksHandler(config = {}) {
+  const { keys, keyRing, maxAge = '10m' } = config;
+
+  if (!keyRing && (!Array.isArray(keys) || keys.length === 0)) {
+    throw new Error('@latanda/auth-middleware: createJwksHandler requires at least one key');
+  }
+
+  // A key ring changes as keys rotate, so its document is built per request
+  const staticDocument = keyRing ? null : { keys: keys.map(toPublicJwk) };
+  const cacheControl = `public, max-age=${toSeconds(maxAge)}`;
+
+  return function jwksHandler(req, res) {
+    const document = staticDocument || { keys: keyRing.jwksKeys().map(toPublicJwk) };
+
+    res.setHeader('Cache-Control', cacheControl);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(document));
+  };
+}
+
+/**
+ * Fetch a JWKS document over HTTP(S)
+ * @param {string} uri - JWKS URL
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<Object>} JWKS document
+ */
+function fetchJwks(uri, timeout) {
+  const client = uri.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(uri, { headers: { accept: 'application/json' } }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`@latanda/auth-middleware: JWKS request failed with status ${response.statusCode}`));
+      }
+
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error('@latanda/auth-middleware: JWKS response is not valid JSON'));
+        }
+      });
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error('@latanda/auth-middleware: JWKS request timed out'));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Create a key resolver that selects verification keys by `kid`
+ * Keys come from a local JWKS document or are fetched (and cached) from a JWKS URL.
+ * @param {Object} config - Configuration options
+ * @param {Object} [config.jwks] - Local JWKS document ({ keys: [...] })
+ * @param {string} [config.jwksUri] - JWKS URL
+ * @param {number|string} [config.cacheMaxAge='10m'] - How long fetched keys are cached
+ * @param {number|string} [config.minRefreshInterval='30s'] - Minimum delay between refetches for unknown kids
+ * @param {number} [config.timeout=5000] - Fetch timeout in ms
+ * @returns {Object} Key resolver with getKey(kid)
+ */
+function createJwksKeyResolver(config = {}) {
+  const {
+    jwks,
+    jwksUri,
+    cacheMaxAge = '10m',
+    minRefreshInterval = '30s',
+    timeout = 5000
+  } = config;
+
+  if (!jwks && !jwksUri) {
+    throw new Error('@latanda/auth-middleware: jwks or jwksUri is required');
+  }
+
+  const cacheMs = toSeconds(cacheMaxAge) * 1000;
+  const minRefreshMs = toSeconds(minRefreshInterval) * 1000;
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pending = null;
+
+  function load(document) {
+    const next = new Map();
+    for (const jwk of (document && document.keys) || []) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+      next.set(jwk.kid, {
+        kid: jwk.kid,
+        key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        algorithm: jwk.alg
+      });
+    }
+    keys = next;
+  }
+
+  if (jwks) load(jwks);
+
+  async function refresh() {
+    if (!jwksUri) return;
+
+    // Share one in-flight request between concurrent callers
+    if (!pending) {
+      pending = fetchJwks(jwksUri, timeout)
+        .then((document) => {
+          load(document);
+          fetchedAt = Date.now();
+        })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  }
+
+  /**
+   * Resolve the verification key for a kid
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<Object|null>} { kid, key, algorithm } or null if unknown
+   */
+  async function getKey(kid) {
+    const age = Date.now() - fetchedAt;
+    const stale = age > cacheMs;
+
+    // Refetch when the cache is stale, or for an unknown kid (the issuer may have rotated keys)
+    if (jwksUri && (stale || (!keys.has(kid) && age > minRefreshMs))) {
+      try {
+        await refresh();
+      } catch (error) {
+        // Keep serving cached keys if the JWKS endpoint is briefly unavailable
+        if (keys.size === 0) throw error;
+      }
+    }
+
+    return keys.get(kid) || null;
+  }
+
+  return {
+    getKey,
+    refresh
+  };
+}
+
+module.exports = {
+  toPublicJwk,
+  createJwksHandler,
+  createJwksKeyResolver
+};
@@ -4,52 +4,215 @@
  * Battle-tested with 30+ users, 16+ groups
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { toSeconds } = require('./utils');
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'HS384', 'HS512', 'RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+/**
+ * Get the public KeyObject for a PEM string or a private/public KeyObject
+ * @param {string|Buffer|KeyObject} key - Key material
+ * @returns {KeyObject} Public key
+ */
+function toPublicKey(key) {
+  if (key instanceof crypto.KeyObject && key.type === 'public') return key;
+  return crypto.createPublicKey(key);
+}
+
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign an EdDSA (Ed25519/Ed448) token - jsonwebtoken has no EdDSA support
+ */
+function signEdDSA(payload, privateKey, { expiresIn, issuer, audience, jwtid, keyid }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'EdDSA', typ: 'JWT' };
+  if (keyid) header.kid = keyid;
+
+  const claims = {
+    ...payload,
+    iat: now,
+    exp: now + toSeconds(expiresIn),
+    aud: audience,
+    iss: issuer,
+    jti: jwtid
+  };
+
+  const signingInput = `${base64urlJson(header)}.${base64urlJson(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Verify an EdDSA token, throwing the same error types as jwt.verify()
+ */
+function verifyEdDSA(token, key, { issuer, audience }) {
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+
+  let publicKey;
+  try {
+    publicKey = toPublicKey(key);
+  } catch (error) {
+    throw new jwt.JsonWebTokenError('secretOrPublicKey must be an asymmetric key when using EdDSA');
+  }
+  if (!['ed25519', 'ed448'].includes(publicKey.asymmetricKeyType)) {
+    throw new jwt.JsonWebTokenError('"alg" parameter for "ed" key type must be EdDSA');
+  }
+
+  const signatureValid = crypto.verify(
+    null,
+    Buffer.from(`${headerPart}.${payloadPart}`),
+    publicKey,
+    Buffer.from(signaturePart, 'base64url')
+  );
+  if (!signatureValid) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString());
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.nbf === 'number' && payload.nbf > now) {
+    throw new jwt.NotBeforeError('jwt not active', new Date(payload.nbf * 1000));
+  }
+  if (typeof payload.exp === 'number' && payload.exp <= now) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(payload.exp * 1000));
+  }
+  if (payload.iss !== issuer) {
+    throw new jwt.JsonWebTokenError(`jwt issuer invalid. expected: ${issuer}`);
+  }
+  if (payload.aud !== audience) {
+    throw new jwt.JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+  }
+
+  return payload;
+}
 
 /**
  * Generate a JWT token with user data and claims
  * @param {Object} user - User object from database
- * @param {string} secret - JWT secret key
+ * @param {string|Buffer|KeyObject|Object} secret - JWT secret key, private key for RS/ES/EdDSA algorithms,
+ *   or a key ring (see createKeyRing) whose current key signs the token
  * @param {Object} options - Additional options
+ * @param {string} [options.algorithm='HS256'] - Signing algorithm (HS256, RS256, ES256, EdDSA, ...)
+ * @param {string} [options.keyid] - Key ID stamped into the header as `kid`
+ * @param {string} [options.jwtid] - Token ID (jti); a random UUID by default
+ * @param {string} [options.tokenUse] - Restricted token type stamped as `token_use` (e.g. 'mfa_pending');
+ *   validateToken only accepts it when asked for that type
+ * @param {string|string[]} [options.scope] - Limit the token to these scopes (see SCOPES); unrestricted when omitted
+ * @param {Object} [options.actor] - { id, email, role } of the staff member acting as the user
+ *   (impersonation), stamped as the RFC 8693 `act` claim
  * @returns {string} JWT token
  */
 function generateToken(user, secret, options = {}) {
+  // A key ring signs with its current key and stamps that key's kid
+  if (secret && secret.isKeyRing) {
+    const signingKey = secret.current();
+    return generateToken(user, signingKey.signingKey, {
+      ...options,
+      algorithm: signingKey.algorithm,
+      keyid: signingKey.kid
+    });
+  }
+
   const {
     expiresIn = '8h',
     issuer = 'latanda.online',
-    audience = 'latanda-web-app'
+    audience = 'latanda-web-app',
+    algorithm = 'HS256',
+    keyid,
+    jwtid = crypto.randomUUID(),
+    tokenUse,
+    scope,
+    actor
   } = options;
 
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`@latanda/auth-middleware: unsupported algorithm ${algorithm}`);
+  }
+
   // Build JWT payload with required claims
   const payload = {
     user_id: user.id || user.user_id,
     email: user.email,
     role: user.role || 'USER',
-    permissions: user.permissions || []
+    permissions: user.permissions || [],
+    // When the user last proved who they are; refreshes keep it, logins and re-authentication set it
+    auth_time: typeof user.auth_time === 'number' ? user.auth_time : Math.floor(Date.now() / 1000)
   };
 
-  // Sign token with HS256 algorithm
-  // iss, aud, iat, exp are added automatically by jwt.sign()
+  // Per-user denies (see user_permissions.effect) only travel when present
+  if (user.denied_permissions && user.denied_permissions.length > 0) {
+    payload.denied_permissions = user.denied_permissions;
+  }
+
+  // users.email_verified, when the user row carries it
+  if (typeof user.email_verified === 'boolean') {
+    payload.email_verified = user.email_verified;
+  }
+
+  // Authentication methods (RFC 8176), e.g. ['pwd', 'otp', 'mfa']
+  if (Array.isArray(user.amr) && user.amr.length > 0) {
+    payload.amr = user.amr;
+  }
+
+  if (tokenUse) {
+    payload.token_use = tokenUse;
+  }
+
+  // OAuth2 form: space-separated
+  if (scope !== undefined && scope !== null) {
+    payload.scope = Array.isArray(scope) ? scope.join(' ') : String(scope);
+  }
+
+  // RFC 8693 actor claim: who is really behind an impersonation token
+  if (actor) {
+    payload.act = { sub: String(actor.id || actor.user_id), email: actor.email, role: actor.role };
+  }
+
+  if (algorithm === 'EdDSA') {
+    return signEdDSA(payload, secret, { expiresIn, issuer, audience, jwtid, keyid });
+  }
+
+  // iss, aud, iat, exp, jti are added automatically by jwt.sign()
   return jwt.sign(payload, secret, {
-    algorithm: 'HS256',
+    algorithm,
     expiresIn,
     issuer,
-    audience
+    audience,
+    jwtid,
+    ...(keyid && { keyid })
   });
 }
 
 /**
  * Validate JWT token with comprehensive checks
  * @param {string} token - JWT token to validate
- * @param {string} secret - JWT secret key
+ * @param {string|Buffer|KeyObject|Object} secret - JWT secret key, public key for RS/ES/EdDSA algorithms,
+ *   or a key ring (see createKeyRing) - the key is then selected by the token's kid
  * @param {Object} options - Validation options
+ * @param {string[]} [options.algorithms=['HS256']] - Accepted signing algorithms
+ * @param {Object} [options.revocationStore] - Synchronous revocation store (see createMemoryRevocationStore)
+ * @param {string} [options.tokenUse] - Accept only tokens of this restricted type (e.g. 'mfa_pending');
+ *   without it, restricted tokens are rejected
  * @returns {Object} Validation result with decoded token or error
  */
 function validateToken(token, secret, options = {}) {
   const {
     issuer = 'latanda.online',
-    audience = 'latanda-web-app'
+    audience = 'latanda-web-app',
+    revocationStore,
+    tokenUse
   } = options;
+  let { algorithms = ['HS256'] } = options;
+
+  if (revocationStore && !revocationStore.synchronous) {
+    throw new Error('@latanda/auth-middleware: validateToken() requires a synchronous revocation store; use createAuthMiddleware for asynchronous stores');
+  }
 
   try {
     // 1. Check token format (must have 3 parts)
@@ -62,12 +225,35 @@ function validateToken(token, secret, options = {}) {
       return { valid: false, error: 'Malformed token structure' };
     }
 
-    // 2. Decode and verify token
-    const decoded = jwt.verify(token, secret, {
-      algorithms: ['HS256'],
-      issuer,
-      audience
-    });
+    // 2. Decode and verify token (only the configured algorithms are accepted)
+    const header = jwt.decode(token, { complete: true });
+    if (!header) {
+      return { valid: false, error: 'Malformed token structure' };
+    }
+
+    // Select the key from a key ring by kid
+    if (secret && secret.isKeyRing) {
+      const entry = secret.getKey(header.header.kid);
+      if (!entry) {
+        return { valid: false, error: 'Unknown or retired signing key' };
+      }
+      secret = entry.key;
+      algorithms = [entry.algorithm];
+    }
+
+    let decoded;
+    if (header.header.alg === 'EdDSA') {
+      if (!algorithms.includes('EdDSA')) {
+        return { valid: false, error: 'Invalid token signature' };
+      }
+      decoded = verifyEdDSA(token, secret, { issuer, audience });
+    } else {
+      decoded = jwt.verify(token, secret, {
+        algorithms: algorithms.filter(alg => alg !== 'EdDSA'),
+        issuer,
+        audience
+      });
+    }
 
     // 3. Validate required claims
     const requiredClaims = ['user_id', 'email', 'role', 'iss', 'aud', 'exp', 'iat'];
@@ -91,13 +277,32 @@ function validateToken(token, secret, options = {}) {
       return { valid: false, error: 'Invalid audience' };
     }
 
+    // 6. Restricted tokens (such as an MFA-pending token) are only good for their own endpoint
+    if ((decoded.token_use || undefined) !== tokenUse) {
+      return { valid: false, error: 'Token not valid for this use', code: 'WRONG_TOKEN_USE' };
+    }
+
+    // 7. Check the revocation denylist (tokens issued before jti was added cannot be revoked)
+    if (revocationStore && decoded.jti) {
+      if (revocationStore.isRevoked(decoded.jti)) {
+        return { valid: false, error: 'Token revoked', code: 'TOKEN_REVOKED', revoked: true };
+      }
+    }
+
     return {
       valid: true,
       decoded,
+      jti: decoded.jti,
       user_id: decoded.user_id,
       email: decoded.email,
       role: decoded.role,
-      permissions: decoded.permissions || []
+      permissions: decoded.permissions || [],
+      denied_permissions: decoded.denied_permissions || [],
+      email_verified: decoded.email_verified,
+      amr: decoded.amr || [],
+      auth_time: decoded.auth_time,
+      scope: typeof decoded.scope === 'string' ? decoded.scope.split(' ').filter(Boolean) : null,
+      act: decoded.act && decoded.act.sub ? decoded.act : null
     };
 
   } catch (error) {
@@ -107,6 +312,9 @@ function validateToken(token, secret, options = {}) {
     if (error.name === 'JsonWebTokenError') {
       return { valid: false, error: 'Invalid token signature' };
     }
+    if (error.name === 'NotBeforeError') {
+      return { valid: false, error: 'Token not yet valid' };
+    }
     return { valid: false, error: error.message };
   }
 }
@@ -143,41 +351,75 @@ function isTokenExpiringSoon(token, thresholdMinutes = 15) {
   return (exp - now) <= thresholdSeconds;
 }
 
+let refreshDeprecationWarned = false;
+
 /**
  * Refresh a token (generate new token with same user data)
+ * @deprecated Re-signing from the access token lets a stolen token be refreshed indefinitely.
+ * Use createRefreshTokenStore() / createRefreshHandler() instead (see MIGRATION.md).
  * @param {string} oldToken - Current token to refresh
  * @param {string} secret - JWT secret key
  * @param {Object} options - Refresh options
+ * @param {boolean} [options.allowExpired=false] - Legacy behavior: also refresh expired tokens
  * @returns {Object} Result with new token or error
  */
 function refreshToken(oldToken, secret, options = {}) {
-  const validation = validateToken(oldToken, secret, options);
+  const { allowExpired = false, ...tokenOptions } = options;
+
+  if (!refreshDeprecationWarned) {
+    refreshDeprecationWarned = true;
+    process.emitWarning(
+      'refreshToken() is deprecated. Use createRefreshTokenStore() and createRefreshHandler() for refresh-token rotation.',
+      'DeprecationWarning'
+    );
+  }
 
-  if (!validation.valid && !validation.expired) {
-    return { success: false, error: 'Invalid token cannot be refreshed' };
+  const validation = validateToken(oldToken, secret, tokenOptions);
+
+  if (!validation.valid && !(validation.expired && allowExpired)) {
+    return {
+      success: false,
+      error: validation.expired ? 'Expired token cannot be refreshed' : 'Invalid token cannot be refreshed'
+    };
   }
 
   // Extract user data from old token
   const decoded = validation.decoded || decodeToken(oldToken).payload;
+
+  // Impersonation is short-lived on purpose; the actor starts a new one instead
+  if (decoded.act) {
+    return { success: false, error: 'Impersonation tokens cannot be refreshed' };
+  }
+  // Restricted tokens (such as an MFA-pending token) would come back as full access tokens
+  if (decoded.token_use) {
+    return { success: false, error: 'Restricted tokens cannot be refreshed', code: 'WRONG_TOKEN_USE' };
+  }
+
   const user = {
     id: decoded.user_id,
     email: decoded.email,
     role: decoded.role,
-    permissions: decoded.permissions
+    permissions: decoded.permissions,
+    denied_permissions: decoded.denied_permissions,
+    email_verified: decoded.email_verified,
+    amr: decoded.amr,
+    auth_time: decoded.auth_time
   };
 
-  // Generate new token
-  const newToken = generateToken(user, secret, options);
+  // Generate new token (never wider than the old one)
+  const newToken = generateToken(user, secret, { ...tokenOptions, scope: decoded.scope });
 
   return {
     success: true,
     token: newToken,
     user_id: user.id,
-    expires_in: options.expiresIn || '8h'
+    expires_in: tokenOptions.expiresIn || '8h'
   };
 }
 
 module.exports = {
+  SUPPORTED_ALGORITHMS,
+  toPublicKey,
   generateToken,
   validateToken,
   decodeToken,
@@ -0,0 +1,222 @@
+/**
+ * Signing Key Ring
+ * Several active keys identified by `kid`: one signs new tokens, the others keep
+ * verifying tokens they signed until they are retired. Enables zero-downtime rotation.
+ */
+
+const { toPublicKey, SUPPORTED_ALGORITHMS } = require('./jwt');
+const { toSeconds } = require('./utils');
+
+/**
+ * Create a key ring
+ * @param {Object} config - Configuration options
+ * @param {Object[]} config.keys - Key entries
+ * @param {string} config.keys[].kid - Key ID
+ * @param {string} [config.keys[].secret] - Shared secret (HS algorithms)
+ * @param {string|KeyObject} [config.keys[].privateKey] - Private key (RS/ES/EdDSA); required to sign
+ * @param {string|KeyObject} [config.keys[].publicKey] - Public key; derived from privateKey when omitted
+ * @param {string} [config.keys[].algorithm='HS256'] - Signing algorithm
+ * @param {boolean} [config.keys[].current] - Sign new tokens with this key (exactly one)
+ * @param {Date|string|number} [config.keys[].retireAt] - Stop accepting this key after this time
+ * @param {string} [config.defaultKid] - Key for tokens without a kid (e.g. issued before the key ring); defaults to the current key
+ * @returns {Object} Key ring
+ */
+function createKeyRing(config = {}) {
+  const { keys = [], defaultKid } = config;
+  const entries = new Map();
+  let currentKid = null;
+
+  function normalize(entry) {
+    const { kid, secret, privateKey, publicKey, algorithm = 'HS256', retireAt } = entry;
+
+    if (!kid) {
+      throw new Error('@latanda/auth-middleware: every key ring entry needs a kid');
+    }
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`@latanda/auth-middleware: unsupported algorithm ${algorithm} for key ${kid}`);
+    }
+
+    const symmetric = algorithm.startsWith('HS');
+    if (symmetric && !secret) {
+      throw new Error(`@latanda/auth-middleware: key ${kid} needs a secret for ${algorithm}`);
+    }
+    if (!symmetric && !privateKey && !publicKey) {
+      throw new Error(`@latanda/auth-middleware: key ${kid} needs a privateKey or publicKey for ${algorithm}`);
+    }
+
+    return {
+      kid,
+      algorithm,
+      signingKey: symmetric ? secret : privateKey || null,
+      verificationKey: symmetric ? secret : toPublicKey(publicKey || privateKey),
+      retireAt: retireAt ? new Date(retireAt).getTime() : null
+    };
+  }
+
+  function isActive(entry) {
+    return entry.retireAt === null || entry.retireAt > Date.now();
+  }
+
+  /**
+   * Add a key (verification only unless it is made current)
+   * @param {Object} entry - Key entry, see createKeyRing
+   */
+  function add(entry) {
+    if (entries.has(entry.kid)) {
+      throw new Error(`@latanda/auth-middleware: duplicate key ID ${entry.kid}`);
+    }
+    entries.set(entry.kid, normalize(entry));
+    if (entry.current) setCurrent(entry.kid);
+  }
+
+  /**
+   * Sign new tokens with the given key
+   * @param {string} kid - Key ID
+   */
+  function setCurrent(kid) {
+    const entry = entries.get(kid);
+    if (!entry) {
+      throw new Error(`@latanda/auth-middleware: unknown key ID ${kid}`);
+    }
+    if (!entry.signingKey) {
+      throw new Error(`@latanda/auth-middleware: key ${kid} has no private key and cannot sign`);
+    }
+    entry.retireAt = null;
+    currentKid = kid;
+  }
+
+  /**
+   * Get the key used to sign new tokens
+   * @returns {Object} { kid, algorithm, signingKey }
+   */
+  function current() {
+    if (!currentKid) {
+      throw new Error('@latanda/auth-middleware: the key ring has no current signing key');
+    }
+    return entries.get(currentKid);
+  }
+
+  /**
+   * Get the verification key for a kid (null if unknown or retired)
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Object|null} { kid, key, algorithm }
+   */
+  function getKey(kid) {
+    const entry = entries.get(kid || defaultKid || currentKid);
+    if (!entry || !isActive(entry)) return null;
+
+    return { kid: entry.kid, key: entry.verificationKey, algorithm: entry.algorithm };
+  }
+
+  /**
+   * Schedule when a key stops being accepted
+   * @param {string} kid - Key ID
+   * @param {Date|string|number} retireAt - Retirement time
+   */
+  function scheduleRetirement(kid, retireAt) {
+    const entry = entries.get(kid);
+    if (!entry) {
+      throw new Error(`@latanda/auth-middleware: unknown key ID ${kid}`);
+    }
+    if (kid === currentKid) {
+      throw new Error('@latanda/auth-middleware: cannot retire the current signing key; rotate first');
+    }
+    entry.retireAt = new Date(retireAt).getTime();
+  }
+
+  /**
+   * Retire a key immediately
+   * @param {string} kid - Key ID
+   */
+  function retire(kid) {
+    scheduleRetirement(kid, Date.now());
+  }
+
+  /**
+   * Make a new key current and schedule retirement of the previous one
+   * @param {Object} entry - New key entry
+   * @param {Object} [options] - Rotation options
+   * @param {number|string} [options.retireAfter='8h'] - Keep verifying the old key this long (use the token lifetime)
+   * @returns {Object} { kid, previousKid, retireAt }
+   */
+  function rotate(entry, options = {}) {
+    const { retireAfter = '8h' } = options;
+    const previousKid = currentKid;
+
+    add({ ...entry, current: false });
+    setCurrent(entry.kid);
+
+    let retireAt = null;
+    if (previousKid) {
+      retireAt = new Date(Date.now() + toSeconds(retireAfter) * 1000);
+      scheduleRetirement(previousKid, retireAt);
+    }
+
+    return { kid: entry.kid, previousKid, retireAt };
+  }
+
+  /**
+   * Remove retired keys from memory
+   * @returns {string[]} Removed key IDs
+   */
+  function pruneRetired() {
+    const removed = [];
+    for (const [kid, entry] of entries) {
+      if (!isActive(entry)) {
+        entries.delete(kid);
+        removed.push(kid);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * List active keys
+   * @returns {Object[]} { kid, algorithm, current, retireAt }
+   */
+  function list() {
+    return [...entries.values()].filter(isActive).map(entry => ({
+      kid: entry.kid,
+      algorithm: entry.algorithm,
+      current: entry.kid === currentKid,
+      retireAt: entry.retireAt ? new Date(entry.retireAt) : null
+    }));
+  }
+
+  /**
+   * Active asymmetric keys in the shape createJwksHandler() expects
+   * @returns {Object[]} { kid, key, algorithm }
+   */
+  function jwksKeys() {
+    return [...entries.values()]
+      .filter(entry => isActive(entry) && !entry.algorithm.startsWith('HS'))
+      .map(entry => ({ kid: entry.kid, key: entry.verificationKey, algorithm: entry.algorithm }));
+  }
+
+  for (const entry of keys) add(entry);
+
+  if (!currentKid) {
+    throw new Error('@latanda/auth-middleware: mark exactly one key ring entry as current');
+  }
+  if (keys.filter(entry => entry.current).length > 1) {
+    throw new Error('@latanda/auth-middleware: only one key ring entry can be current');
+  }
+
+  return {
+    isKeyRing: true,
+    add,
+    setCurrent,
+    current,
+    getKey,
+    scheduleRetirement,
+    retire,
+    rotate,
+    pruneRetired,
+    list,
+    jwksKeys
+  };
+}
+
+module.exports = {
+  createKeyRing
+};
@@ -0,0 +1,77 @@
+/**
+ * Koa Adapter
+ * Koa middleware built on the core (see core.js), answering with the same JSON bodies and codes
+ * as the Express middleware. The user is set on ctx.state.user (Koa convention) and on ctx.user,
+ * which the checks and their callbacks (getGroupId, getResourceOwnerId, loadPermissions) read.
+ */
+
+const { createAuthenticator, createGuards, renderDecision, unauthorizedInfo } = require('./core');
+
+function sendDenial(ctx, decision) {
+  const { status, headers, body } = renderDecision(ctx, decision);
+  ctx.set(headers);
+  ctx.status = status;
+  ctx.body = body;
+}
+
+function attach(ctx, decision) {
+  Object.assign(ctx, decision.attach);
+  if ('user' in decision.attach) {
+    ctx.state.user = decision.attach.user;
+  }
+}
+
+/**
+ * Turn a core check into Koa middleware
+ * @param {Function} check - (ctx) => decision
+ * @returns {Function} async (ctx, next) middleware
+ */
+function koaMiddleware(check) {
+  return async function guardMiddleware(ctx, next) {
+    const decision = await check(ctx);
+    if (!decision.allow) {
+      return sendDenial(ctx, decision);
+    }
+    attach(ctx, decision);
+    await next();
+  };
+}
+
+/**
+ * Create Koa authentication and authorization middleware
+ *
+ * @example
+ * const auth = createKoaAuth({ jwtSecret: process.env.JWT_SECRET });
+ * router.get('/api/payments', auth.authenticate, auth.requirePermission('make_payments'), listPayments);
+ *
+ * @param {Object} config - Same options as createAuthMiddleware; onUnauthorized is (ctx, { message, code, error })
+ * @returns {Object} { authenticate, optionalAuth, requirePermission, requireScope, requireRecentAuth,
+ *   requireRole, requireOwnership, requireGroupRole, requireGroupMember, requireMfa, requireVerifiedEmail, requirePolicy }
+ */
+function createKoaAuth(config) {
+  const { onUnauthorized, legacyUnauthorizedCodes } = config;
+  const authenticate = createAuthenticator(config);
+  const authenticateOptional = createAuthenticator(config, { optional: true });
+
+  return {
+    authenticate: async function authMiddleware(ctx, next) {
+      const decision = await authenticate(ctx);
+
+      if (!decision.allow) {
+        if (onUnauthorized && decision.status === 401) {
+          return onUnauthorized(ctx, unauthorizedInfo(decision, legacyUnauthorizedCodes));
+        }
+        return sendDenial(ctx, decision);
+      }
+
+      attach(ctx, decision);
+      await next();
+    },
+    optionalAuth: koaMiddleware(authenticateOptional),
+    ...createGuards(koaMiddleware)
+  };
+}
+
+module.exports = {
+  createKoaAuth
+};
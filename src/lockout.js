@@ -0,0 +1,390 @@
+/**
+ * Login Throttling and Account Lockout
+ * Counts failed logins per email and per IP, adds progressive delays between attempts,
+ * and locks the email (or IP) for a while after too many failures.
+ * Use the PostgreSQL store to share counters between processes behind Nginx.
+ */
+
+const { AUDIT_EVENTS } = require('./audit');
+const { requestContext, toSeconds } = require('./utils');
+const { authError, sendError } = require('./errors');
+
+/**
+ * In-memory attempt store (single process)
+ * @returns {Object} Attempt store
+ */
+function createMemoryAttemptStore() {
+  const attempts = new Map(); // key -> { failures, lastFailureAt, lockedUntil }
+
+  return {
+    async get(key) {
+      return attempts.get(key) || null;
+    },
+
+    async recordFailure(key, windowSeconds) {
+      const now = Date.now();
+      const previous = attempts.get(key);
+      const fresh = !previous || previous.lastFailureAt < now - windowSeconds * 1000;
+
+      const state = {
+        failures: fresh ? 1 : previous.failures + 1,
+        lastFailureAt: now,
+        lockedUntil: previous ? previous.lockedUntil : null
+      };
+      attempts.set(key, state);
+      return state;
+    },
+
+    async lock(key, lockedUntil) {
+      const state = attempts.get(key);
+      if (state) state.lockedUntil = lockedUntil;
+    },
+
+    async release(key) {
+      const state = attempts.get(key);
+      if (state && state.failures > 0) state.failures -= 1;
+    },
+
+    async reset(key) {
+      return attempts.delete(key);
+    },
+
+    async purgeExpired(maxAgeSeconds = 24 * 60 * 60) {
+      const cutoff = Date.now() - maxAgeSeconds * 1000;
+      let purged = 0;
+      for (const [key, state] of attempts) {
+        if (state.lastFailureAt < cutoff && (!state.lockedUntil || state.lockedUntil < Date.now())) {
+          attempts.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    }
+  };
+}
+
+/**
+ * PostgreSQL attempt store backed by the `login_attempts` table (shared across processes)
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @returns {Object} Attempt store
+ */
+function createPgAttemptStore(config = {}) {
+  const { pool } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the PostgreSQL attempt store');
+  }
+
+  function toState(row) {
+    if (!row) return null;
+    return {
+      failures: Number(row.failures),
+      lastFailureAt: new Date(row.last_failure_at).getTime(),
+      lockedUntil: row.locked_until ? new Date(row.locked_until).getTime() : null
+    };
+  }
+
+  return {
+    async get(key) {
+      const result = await pool.query(
+        'SELECT failures, last_failure_at, locked_until FROM login_attempts WHERE key = $1',
+        [key]
+      );
+      return toState(result.rows[0]);
+    },
+
+    // One statement, so concurrent failures from several processes are all counted
+    async recordFailure(key, windowSeconds) {
+      const result = await pool.query(
+        `INSERT INTO login_attempts (key, failures, last_failure_at)
+         VALUES ($1, 1, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET
+           failures = CASE
+             WHEN login_attempts.last_failure_at < CURRENT_TIMESTAMP - make_interval(secs => $2) THEN 1
+             ELSE login_attempts.failures + 1
+           END,
+           last_failure_at = CURRENT_TIMESTAMP
+         RETURNING failures, last_failure_at, locked_until`,
+        [key, windowSeconds]
+      );
+      return toState(result.rows[0]);
+    },
+
+    async lock(key, lockedUntil) {
+      await pool.query(
+        'UPDATE login_attempts SET locked_until = $2 WHERE key = $1',
+        [key, new Date(lockedUntil)]
+      );
+    },
+
+    // Gives back a failure reserved for an attempt that turned out not to be a failed login
+    async release(key) {
+      await pool.query(
+        'UPDATE login_attempts SET failures = GREATEST(failures - 1, 0) WHERE key = $1',
+        [key]
+      );
+    },
+
+    async reset(key) {
+      const result = await pool.query('DELETE FROM login_attempts WHERE key = $1', [key]);
+      return result.rowCount > 0;
+    },
+
+    async purgeExpired() {
+      const result = await pool.query('SELECT cleanup_login_attempts() AS deleted');
+      return Number(result.rows[0].deleted);
+    }
+  };
+}
+
+/**
+ * Create a login throttle
+ * @param {Object} [config] - Configuration options
+ * @param {Object} [config.store] - Attempt store (default: in-memory)
+ * @param {number} [config.maxAttempts=5] - Failures per email before lockout
+ * @param {number} [config.maxAttemptsPerIp=20] - Failures per IP before lockout
+ * @param {number|string} [config.window='15m'] - Failures older than this (since the last one) are forgotten
+ * @param {number|string} [config.lockoutDuration='15m'] - How long a lockout lasts
+ * @param {number} [config.freeAttempts=2] - Failures allowed before delays start
+ * @param {number|string} [config.baseDelay='1s'] - First delay; doubles with every further failure
+ * @param {number|string} [config.maxDelay='30s'] - Longest delay
+ * @param {Object} [config.auditLogger] - Records account_locked events
+ * @returns {Object} Throttle with check, recordFailure, recordSuccess, unlock and middleware
+ */
+function createLoginThrottle(config = {}) {
+  const {
+    store = createMemoryAttemptStore(),
+    maxAttempts = 5,
+    maxAttemptsPerIp = 20,
+    window = '15m',
+    lockoutDuration = '15m',
+    freeAttempts = 2,
+    baseDelay = '1s',
+    maxDelay = '30s',
+    auditLogger
+  } = config;
+
+  const windowSeconds = toSeconds(window);
+  const lockoutSeconds = toSeconds(lockoutDuration);
+  const baseDelaySeconds = toSeconds(baseDelay);
+  const maxDelaySeconds = toSeconds(maxDelay);
+
+  function keysFor({ email, ip }) {
+    const keys = [];
+    if (email) keys.push({ key: `email:${String(email).trim().toLowerCase()}`, limit: maxAttempts });
+    if (ip) keys.push({ key: `ip:${ip}`, limit: maxAttemptsPerIp });
+    return keys;
+  }
+
+  /**
+   * Delay required after a number of failures
+   * @param {number} failures - Consecutive failures
+   * @returns {number} Seconds
+   */
+  function delayFor(failures) {
+    if (failures <= freeAttempts) return 0;
+    return Math.min(baseDelaySeconds * 2 ** (failures - freeAttempts - 1), maxDelaySeconds);
+  }
+
+  function blocked(state, now) {
+    if (!state) return null;
+
+    if (state.lockedUntil && state.lockedUntil > now) {
+      return { code: 'LOGIN_LOCKED', retryAfter: Math.ceil((state.lockedUntil - now) / 1000) };
+    }
+
+    const waitUntil = state.lastFailureAt + delayFor(state.failures) * 1000;
+    if (state.lastFailureAt >= now - windowSeconds * 1000 && waitUntil > now) {
+      return { code: 'TOO_MANY_ATTEMPTS', retryAfter: Math.ceil((waitUntil - now) / 1000) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {Object} attempt - { email, ip }
+   * @returns {Promise<Object>} { allowed: true } or { allowed: false, code, retryAfter }
+   */
+  async function check(attempt) {
+    const now = Date.now();
+    let result = { allowed: true };
+
+    for (const { key } of keysFor(attempt)) {
+      const block = blocked(await store.get(key), now);
+      // Report the longest wait
+      if (block && (result.allowed || block.retryAfter > result.retryAfter)) {
+        result = { allowed: false, ...block };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Record a failed login; locks the email or IP once its limit is reached
+   * @param {Object} attempt - { email, ip }
+   * @returns {Promise<Object>} { locked, retryAfter } - retryAfter is the wait before the next attempt
+   */
+  async function recordFailure(attempt) {
+    const { locked, retryAfter } = await countFailure(attempt);
+    return { locked, retryAfter };
+  }
+
+  async function lockAtLimit(key, limit, state, attempt, now) {
+    if (state.failures < limit || (state.lockedUntil && state.lockedUntil > now)) return;
+
+    state.lockedUntil = now + lockoutSeconds * 1000;
+    await store.lock(key, state.lockedUntil);
+
+    if (auditLogger) {
+      auditLogger.log({
+        eventType: AUDIT_EVENTS.ACCOUNT_LOCKED,
+        ipAddress: attempt.ip || null,
+        success: false,
+        errorMessage: `${state.failures} failed login attempts`,
+        metadata: { key, lockedUntil: new Date(state.lockedUntil) }
+      });
+    }
+  }
+
+  // A reservation counts the attempt but leaves locking to its outcome
+  async function countFailure(attempt, { reserve = false } = {}) {
+    const now = Date.now();
+    let locked = false;
+    let retryAfter = 0;
+    let overLimit = false;
+
+    for (const { key, limit } of keysFor(attempt)) {
+      const state = await store.recordFailure(key, windowSeconds);
+      // Already locked, or attempts running side by side went past the limit
+      overLimit = overLimit || (state.lockedUntil ? state.lockedUntil > now : state.failures > limit);
+
+      if (!reserve) await lockAtLimit(key, limit, state, attempt, now);
+
+      const block = blocked(state, now);
+      if (block) {
+        locked = locked || block.code === 'LOGIN_LOCKED';
+        retryAfter = Math.max(retryAfter, block.retryAfter);
+      }
+    }
+
+    return { locked, retryAfter, overLimit };
+  }
+
+  // The reserved attempt failed: lock now if it reached the limit
+  async function confirmFailure(attempt) {
+    const now = Date.now();
+    for (const { key, limit } of keysFor(attempt)) {
+      const state = await store.get(key);
+      if (state) await lockAtLimit(key, limit, state, attempt, now);
+    }
+  }
+
+  async function release(attempt) {
+    for (const { key } of keysFor(attempt)) {
+      await store.release(key);
+    }
+  }
+
+  /**
+   * Record a successful login (clears the email's failures)
+   * @param {Object} attempt - { email }
+   * @returns {Promise<void>}
+   */
+  async function recordSuccess(attempt) {
+    if (attempt.email) {
+      await store.reset(keysFor({ email: attempt.email })[0].key);
+    }
+  }
+
+  /**
+   * Lift a lockout (admin action)
+   * @param {Object} target - { email } and/or { ip }
+   * @returns {Promise<boolean>} True if anything was cleared
+   */
+  async function unlock(target) {
+    let cleared = false;
+    for (const { key } of keysFor(target)) {
+      cleared = (await store.reset(key)) || cleared;
+    }
+    return cleared;
+  }
+
+  /**
+   * Express middleware for a login route
+   * Rejects throttled attempts with 429 and Retry-After. Each attempt is counted as a failure
+   * before the route runs, so concurrent attempts cannot all pass the check; a 2xx response
+   * records a success and any other non-failure status gives the failure back.
+   * @param {Object} [options] - Options
+   * @param {Function} [options.getEmail] - (req) => email; defaults to req.body.email
+   * @param {number[]} [options.failureStatuses=[401]] - Statuses that count as a failed login
+   * @param {Function} [options.onError] - Called with errors from the attempt store after the response
+   * @returns {Function} Express middleware
+   */
+  function middleware(options = {}) {
+    const {
+      getEmail = req => (req.body ? req.body.email : undefined),
+      failureStatuses = [401],
+      onError = () => {}
+    } = options;
+
+    function reject(req, res, code, retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      const message = code === 'LOGIN_LOCKED'
+        ? 'Too many failed login attempts. Try again later.'
+        : 'Too many login attempts. Slow down.';
+      return sendError(req, res, authError(429, code, message, { retryAfter }));
+    }
+
+    return async function loginThrottle(req, res, next) {
+      const attempt = { email: getEmail(req), ip: requestContext(req).ipAddress };
+
+      try {
+        const result = await check(attempt);
+        if (!result.allowed) {
+          return reject(req, res, result.code, result.retryAfter);
+        }
+
+        // Reserve the attempt: attempts running side by side each see the others' failures
+        const reserved = await countFailure(attempt, { reserve: true });
+        if (reserved.overLimit) {
+          release(attempt).catch(onError);
+          return reject(req, res, 'LOGIN_LOCKED', reserved.retryAfter || lockoutSeconds);
+        }
+      } catch (error) {
+        return sendError(req, res, authError(500, 'THROTTLE_CHECK_FAILED', 'Login throttle check failed'));
+      }
+
+      res.on('finish', () => {
+        let recording = null;
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          // The IP's reservation is given back; other accounts' failures on it still count
+          recording = Promise.all([recordSuccess(attempt), release({ ip: attempt.ip })]);
+        } else if (failureStatuses.includes(res.statusCode)) {
+          recording = confirmFailure(attempt);
+        } else {
+          recording = release(attempt);
+        }
+        if (recording) recording.catch(onError);
+      });
+
+      next();
+    };
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess,
+    unlock,
+    middleware
+  };
+}
+
+module.exports = {
+  createMemoryAttemptStore,
+  createPgAttemptStore,
+  createLoginThrottle
+};
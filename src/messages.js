@@ -0,0 +1,202 @@
+/**
+ * Error Message Catalog
+ * Response messages by locale and key (the error code, or the error's own key such as TOKEN_EXPIRED).
+ * `{name}` placeholders are filled from the error's details. Add or override locales with
+ * createErrorRenderer({ messages }).
+ */
+
+const MESSAGES = {
+  en: {
+    // Authentication
+    NO_TOKEN: 'Authentication required',
+    NO_AUTH: 'Authentication required',
+    NO_TRUSTED_IDENTITY: 'Authentication required',
+    INVALID_TOKEN: 'Invalid token',
+    TOKEN_EXPIRED: 'Token expired',
+    TOKEN_REVOKED: 'Token revoked',
+    WRONG_TOKEN_USE: 'Token not valid for this use',
+    INVALID_SESSION: 'Session not found',
+    INVALID_API_KEY: 'Invalid API key',
+    API_KEY_REVOKED: 'API key revoked',
+    API_KEY_EXPIRED: 'API key expired',
+    CSRF_TOKEN_INVALID: 'Missing or invalid CSRF token',
+    AUTH_CHECK_FAILED: 'Failed to verify token status',
+    USER_MISMATCH: 'Token belongs to another user',
+    ORIGIN_NOT_ALLOWED: 'Origin not allowed',
+    AUTH_TIMEOUT: 'Authentication timed out',
+
+    // Authorization
+    FORBIDDEN: 'Insufficient permissions',
+    INSUFFICIENT_SCOPE: 'Token scope does not cover this permission',
+    INSUFFICIENT_ROLE: 'Requires {required} role or higher',
+    NOT_OWNER: 'You can only access your own resources',
+    NO_GROUP_ID: 'Group ID is required',
+    NOT_GROUP_MEMBER: 'You are not a member of this group',
+    INSUFFICIENT_GROUP_ROLE: 'Requires {required} role in this group',
+    REAUTH_REQUIRED: 'Recent authentication required',
+    MFA_REQUIRED: 'Two-factor authentication required',
+    EMAIL_NOT_VERIFIED: 'Email address not verified',
+    POLICY_DENIED: 'Not allowed to {action}',
+    RESOURCE_NOT_FOUND: 'Resource not found',
+    PERMISSION_CHECK_FAILED: 'Failed to load user permissions',
+    OWNERSHIP_CHECK_FAILED: 'Failed to verify resource ownership',
+    GROUP_CHECK_FAILED: 'Failed to verify group membership',
+    POLICY_CHECK_FAILED: 'Failed to evaluate access policy',
+
+    // Login, re-authentication and logout
+    MISSING_CREDENTIALS: 'email and password are required',
+    INVALID_CREDENTIALS: 'Invalid email or password',
+    ACCOUNT_DISABLED: 'Account is disabled',
+    LOGIN_FAILED: 'Login failed',
+    LOGIN_LOCKED: 'Too many failed login attempts. Try again later.',
+    TOO_MANY_ATTEMPTS: 'Too many login attempts. Slow down.',
+    THROTTLE_CHECK_FAILED: 'Login throttle check failed',
+    REAUTH_FAILED: 'Re-authentication failed',
+    LOGOUT_FAILED: 'Logout failed',
+
+    // Two-factor authentication
+    MISSING_MFA_CODE: 'code is required',
+    INVALID_MFA_TOKEN: 'Invalid MFA token',
+    INVALID_MFA_CODE: 'Invalid authentication code',
+    MFA_LOCKED: 'Too many invalid codes',
+    MFA_NOT_ENABLED: 'MFA is not enabled',
+    MFA_NOT_ENROLLING: 'No MFA enrollment in progress',
+
+    // Refresh tokens and scopes
+    NO_REFRESH_TOKEN: 'refresh_token is required',
+    INVALID_REFRESH_TOKEN: 'Invalid refresh token',
+    REFRESH_TOKEN_REVOKED: 'Refresh token revoked',
+    REFRESH_TOKEN_REUSED: 'Refresh token reuse detected',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token expired',
+    REFRESH_FAILED: 'Failed to refresh token',
+    INVALID_SCOPE: 'Invalid scope',
+
+    // Email verification and password reset
+    MISSING_EMAIL: 'email is required',
+    MISSING_TOKEN: 'token is required',
+    EMAIL_ALREADY_VERIFIED: 'Email is already verified',
+    INVALID_OR_EXPIRED_TOKEN: 'Invalid or expired token',
+    VERIFICATION_FAILED: 'Failed to verify email',
+    VERIFICATION_CHECK_FAILED: 'Failed to check email verification',
+    PASSWORD_RESET_FAILED: 'Failed to reset password',
+    PASSWORD_TOO_SHORT: 'Password is too short',
+    PASSWORD_TOO_LONG: 'Password is too long',
+    PASSWORD_BREACHED: 'Password appears in a list of breached passwords',
+    PASSWORD_REUSED: 'Password was used recently',
+
+    // Sessions
+    INVALID_SESSION_ID: 'Invalid session ID',
+    SESSION_NOT_FOUND: 'Session not found',
+    NO_CURRENT_SESSION: 'No current session',
+    SESSION_UPDATE_FAILED: 'Failed to update sessions',
+
+    // Impersonation
+    IMPERSONATION_BLOCKED: 'Not allowed while impersonating a user',
+    IMPERSONATION_NOT_ALLOWED: 'Impersonation not allowed',
+    NOT_IMPERSONATING: 'Not an impersonation token',
+    MISSING_USER_ID: 'userId is required',
+    USER_NOT_FOUND: 'User not found',
+    IMPERSONATION_FAILED: 'Impersonation failed',
+
+    INTERNAL_ERROR: 'Internal server error'
+  },
+
+  es: {
+    // Authentication
+    NO_TOKEN: 'Se requiere autenticación',
+    NO_AUTH: 'Se requiere autenticación',
+    NO_TRUSTED_IDENTITY: 'Se requiere autenticación',
+    INVALID_TOKEN: 'Token no válido',
+    TOKEN_EXPIRED: 'El token ha expirado',
+    TOKEN_REVOKED: 'El token fue revocado',
+    WRONG_TOKEN_USE: 'El token no es válido para este uso',
+    INVALID_SESSION: 'Sesión no encontrada',
+    INVALID_API_KEY: 'Clave de API no válida',
+    API_KEY_REVOKED: 'La clave de API fue revocada',
+    API_KEY_EXPIRED: 'La clave de API ha expirado',
+    CSRF_TOKEN_INVALID: 'Token CSRF ausente o no válido',
+    AUTH_CHECK_FAILED: 'No se pudo verificar el estado del token',
+    USER_MISMATCH: 'El token pertenece a otro usuario',
+    ORIGIN_NOT_ALLOWED: 'Origen no permitido',
+    AUTH_TIMEOUT: 'Se agotó el tiempo de autenticación',
+
+    // Authorization
+    FORBIDDEN: 'Permisos insuficientes',
+    INSUFFICIENT_SCOPE: 'El alcance del token no cubre este permiso',
+    INSUFFICIENT_ROLE: 'Requiere el rol {required} o superior',
+    NOT_OWNER: 'Solo puede acceder a sus propios recursos',
+    NO_GROUP_ID: 'Se requiere el ID del grupo',
+    NOT_GROUP_MEMBER: 'No es miembro de este grupo',
+    INSUFFICIENT_GROUP_ROLE: 'Requiere el rol {required} en este grupo',
+    REAUTH_REQUIRED: 'Debe autenticarse de nuevo',
+    MFA_REQUIRED: 'Se requiere autenticación de dos factores',
+    EMAIL_NOT_VERIFIED: 'Correo electrónico no verificado',
+    POLICY_DENIED: 'No tiene permiso para {action}',
+    RESOURCE_NOT_FOUND: 'Recurso no encontrado',
+    PERMISSION_CHECK_FAILED: 'No se pudieron cargar los permisos del usuario',
+    OWNERSHIP_CHECK_FAILED: 'No se pudo verificar la propiedad del recurso',
+    GROUP_CHECK_FAILED: 'No se pudo verificar la membresía del grupo',
+    POLICY_CHECK_FAILED: 'No se pudo evaluar la política de acceso',
+
+    // Login, re-authentication and logout
+    MISSING_CREDENTIALS: 'Se requieren el correo y la contraseña',
+    INVALID_CREDENTIALS: 'Correo o contraseña incorrectos',
+    ACCOUNT_DISABLED: 'La cuenta está desactivada',
+    LOGIN_FAILED: 'No se pudo iniciar sesión',
+    LOGIN_LOCKED: 'Demasiados intentos fallidos. Inténtelo más tarde.',
+    TOO_MANY_ATTEMPTS: 'Demasiados intentos de inicio de sesión. Espere un momento.',
+    THROTTLE_CHECK_FAILED: 'No se pudo verificar el límite de intentos',
+    REAUTH_FAILED: 'No se pudo volver a autenticar',
+    LOGOUT_FAILED: 'No se pudo cerrar la sesión',
+
+    // Two-factor authentication
+    MISSING_MFA_CODE: 'Se requiere el código',
+    INVALID_MFA_TOKEN: 'Token de verificación no válido',
+    INVALID_MFA_CODE: 'Código de autenticación incorrecto',
+    MFA_LOCKED: 'Demasiados códigos incorrectos',
+    MFA_NOT_ENABLED: 'La autenticación de dos factores no está activada',
+    MFA_NOT_ENROLLING: 'No hay una activación de dos factores en curso',
+
+    // Refresh tokens and scopes
+    NO_REFRESH_TOKEN: 'Se requiere refresh_token',
+    INVALID_REFRESH_TOKEN: 'Token de actualización no válido',
+    REFRESH_TOKEN_REVOKED: 'El token de actualización fue revocado',
+    REFRESH_TOKEN_REUSED: 'Se detectó la reutilización del token de actualización',
+    REFRESH_TOKEN_EXPIRED: 'El token de actualización ha expirado',
+    REFRESH_FAILED: 'No se pudo renovar el token',
+    INVALID_SCOPE: 'Alcance no válido',
+
+    // Email verification and password reset
+    MISSING_EMAIL: 'Se requiere el correo electrónico',
+    MISSING_TOKEN: 'Se requiere el token',
+    EMAIL_ALREADY_VERIFIED: 'El correo electrónico ya está verificado',
+    INVALID_OR_EXPIRED_TOKEN: 'Token no válido o expirado',
+    VERIFICATION_FAILED: 'No se pudo verificar el correo electrónico',
+    VERIFICATION_CHECK_FAILED: 'No se pudo comprobar la verificación del correo',
+    PASSWORD_RESET_FAILED: 'No se pudo restablecer la contraseña',
+    PASSWORD_TOO_SHORT: 'La contraseña es demasiado corta',
+    PASSWORD_TOO_LONG: 'La contraseña es demasiado larga',
+    PASSWORD_BREACHED: 'La contraseña aparece en una lista de contraseñas filtradas',
+    PASSWORD_REUSED: 'La contraseña se usó recientemente',
+
+    // Sessions
+    INVALID_SESSION_ID: 'ID de sesión no válido',
+    SESSION_NOT_FOUND: 'Sesión no encontrada',
+    NO_CURRENT_SESSION: 'No hay una sesión actual',
+    SESSION_UPDATE_FAILED: 'No se pudieron actualizar las sesiones',
+
+    // Impersonation
+    IMPERSONATION_BLOCKED: 'No permitido mientras suplanta a un usuario',
+    IMPERSONATION_NOT_ALLOWED: 'Suplantación no permitida',
+    NOT_IMPERSONATING: 'No es un token de suplantación',
+    MISSING_USER_ID: 'Se requiere userId',
+    USER_NOT_FOUND: 'Usuario no encontrado',
+    IMPERSONATION_FAILED: 'No se pudo completar la suplantación',
+
+    INTERNAL_ERROR: 'Error interno del servidor'
+  }
+};
+
+module.exports = {
+  MESSAGES
+};
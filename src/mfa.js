@@ -0,0 +1,504 @@
+/**
+ * Two-Factor Authentication (TOTP, RFC 6238)
+ * Authenticator app codes with a drift window, one-time recovery codes stored hashed,
+ * and a login step that turns an mfa_pending token into a full token with `amr` claims.
+ */
+
+const crypto = require('crypto');
+const { validateToken } = require('./jwt');
+const { completeLogin } = require('./password');
+const { AUDIT_EVENTS } = require('./audit');
+const { hashToken, toSeconds } = require('./utils');
+const { mfaGuard } = require('./core');
+const { expressMiddleware } = require('./middleware');
+const { authError, sendError } = require('./errors');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('@latanda/auth-middleware: invalid base32 TOTP secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} [bytes=20] - Secret length (RFC 4226 recommends 160 bits)
+ * @returns {string} Base32 secret
+ */
+function generateTotpSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - Options
+ * @param {number} [options.time=Date.now()] - Time in milliseconds
+ * @param {number} [options.step=30] - Step length in seconds
+ * @param {number} [options.digits=6] - Code length
+ * @param {string} [options.algorithm='sha1'] - HMAC algorithm (authenticator apps expect sha1)
+ * @returns {string} Code, zero-padded
+ */
+function generateTotp(secret, options = {}) {
+  const { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1' } = options;
+  const counter = options.counter !== undefined ? options.counter : Math.floor(time / 1000 / step);
+
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - generateTotp options, plus:
+ * @param {number} [options.window=1] - Steps accepted either side of now (1 = ±30 seconds)
+ * @param {number} [options.afterStep] - Only accept steps after this one (replay protection)
+ * @returns {Object} { valid, step }
+ */
+function verifyTotp(code, secret, options = {}) {
+  const { time = Date.now(), step = 30, digits = 6, window = 1, afterStep } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return { valid: false };
+  }
+
+  const current = Math.floor(time / 1000 / step);
+  const given = Buffer.from(normalized);
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (afterStep !== undefined && afterStep !== null && counter <= afterStep) continue;
+
+    const expected = Buffer.from(generateTotp(secret, { ...options, counter }));
+    if (crypto.timingSafeEqual(expected, given)) {
+      return { valid: true, step: counter };
+    }
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Build the otpauth:// URI shown as a QR code during enrollment
+ * @param {Object} options - Options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} [options.issuer='La Tanda'] - Name shown in the authenticator app
+ * @param {number} [options.digits=6] - Code length
+ * @param {number} [options.step=30] - Step length in seconds
+ * @returns {string} Provisioning URI
+ */
+function totpProvisioningUri(options) {
+  const { secret, accountName, issuer = 'La Tanda', digits = 6, step = 30 } = options;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(step)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate one-time recovery codes (shown to the user once; store only their hashes)
+ * @param {number} [count=10] - Number of codes
+ * @returns {string[]} Codes like 'k7mq-2xwp-9rtd'
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(8)).toLowerCase().slice(0, 12);
+    return raw.match(/.{4}/g).join('-');
+  });
+}
+
+/**
+ * Encrypt/decrypt TOTP secrets at rest (AES-256-GCM)
+ */
+function createSecretCipher(encryptionKey) {
+  if (!encryptionKey) {
+    return { encrypt: secret => secret, decrypt: stored => stored };
+  }
+
+  const key = crypto.createHash('sha256').update(encryptionKey).digest();
+
+  return {
+    encrypt(secret) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+      return ['v1', iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), encrypted.toString('base64url')].join(':');
+    },
+    decrypt(stored) {
+      if (!stored.startsWith('v1:')) return stored;
+      const [, iv, tag, encrypted] = stored.split(':');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+    }
+  };
+}
+
+/**
+ * Create an MFA store backed by the `user_mfa` and `mfa_recovery_codes` tables
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @param {string|Buffer} [config.encryptionKey] - Encrypt TOTP secrets at rest (strongly recommended)
+ * @param {string} [config.issuer='La Tanda'] - Issuer shown in authenticator apps
+ * @param {number} [config.window=1] - Accepted clock drift in 30-second steps
+ * @param {number} [config.recoveryCodeCount=10] - Recovery codes per user
+ * @param {number} [config.maxAttempts=5] - Wrong codes before verification is locked
+ * @param {number|string} [config.lockoutDuration='15m'] - How long verification stays locked
+ * @returns {Object} MFA store
+ */
+function createMfaStore(config = {}) {
+  const {
+    pool,
+    encryptionKey,
+    issuer = 'La Tanda',
+    window = 1,
+    recoveryCodeCount = 10,
+    maxAttempts = 5,
+    lockoutDuration = '15m'
+  } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the MFA store');
+  }
+
+  const cipher = createSecretCipher(encryptionKey);
+  const lockoutSeconds = toSeconds(lockoutDuration);
+
+  async function replaceRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes(recoveryCodeCount);
+
+    await pool.query(
+      `WITH removed AS (DELETE FROM mfa_recovery_codes WHERE user_id = $1)
+       INSERT INTO mfa_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+    );
+
+    return codes;
+  }
+
+  /**
+   * Start (or restart) enrollment: a new secret that is not enforced until confirmed
+   * @param {number|string} userId - User ID
+   * @param {string} accountName - Label in the authenticator app (usually the email)
+   * @returns {Promise<Object>} { secret, uri }
+   */
+  async function beginEnrollment(userId, accountName) {
+    const secret = generateTotpSecret();
+
+    const result = await pool.query(
+      `INSERT INTO user_mfa (user_id, totp_secret)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET totp_secret = EXCLUDED.totp_secret, last_used_step = NULL
+       WHERE user_mfa.enabled_at IS NULL`,
+      [userId, cipher.encrypt(secret)]
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('@latanda/auth-middleware: MFA is already enabled; disable it before enrolling again');
+    }
+
+    return { secret, uri: totpProvisioningUri({ secret, accountName, issuer }) };
+  }
+
+  /**
+   * Finish enrollment with a first code from the app
+   * @param {number|string} userId - User ID
+   * @param {string} code - Current code
+   * @returns {Promise<Object>} { success, recoveryCodes } or { success: false, error, code }
+   */
+  async function confirmEnrollment(userId, code) {
+    const result = await pool.query(
+      'SELECT totp_secret, enabled_at FROM user_mfa WHERE user_id = $1',
+      [userId]
+    );
+    const row = result.rows[0];
+
+    if (!row || row.enabled_at) {
+      return { success: false, error: 'No MFA enrollment in progress', code: 'MFA_NOT_ENROLLING' };
+    }
+
+    const check = verifyTotp(code, cipher.decrypt(row.totp_secret), { window });
+    if (!check.valid) {
+      return { success: false, error: 'Invalid authentication code', code: 'INVALID_MFA_CODE' };
+    }
+
+    await pool.query(
+      'UPDATE user_mfa SET enabled_at = CURRENT_TIMESTAMP, last_used_step = $2 WHERE user_id = $1',
+      [userId, check.step]
+    );
+
+    return { success: true, recoveryCodes: await replaceRecoveryCodes(userId) };
+  }
+
+  /**
+   * Check whether a user must pass a second factor
+   * @param {number|string} userId - User ID
+   * @returns {Promise<boolean>} True once enrollment is confirmed
+   */
+  async function isEnabled(userId) {
+    const result = await pool.query(
+      'SELECT 1 FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL',
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async function recordFailure(userId) {
+    await pool.query(
+      `UPDATE user_mfa SET
+         failed_attempts = CASE WHEN failed_attempts + 1 >= $2 THEN 0 ELSE failed_attempts + 1 END,
+         locked_until = CASE WHEN failed_attempts + 1 >= $2
+           THEN CURRENT_TIMESTAMP + make_interval(secs => $3) ELSE locked_until END
+       WHERE user_id = $1`,
+      [userId, maxAttempts, lockoutSeconds]
+    );
+  }
+
+  /**
+   * Verify a second factor: a TOTP code or an unused recovery code
+   * Each TOTP step and each recovery code is accepted once.
+   * @param {number|string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<Object>} { valid, method: 'otp'|'recovery', remainingRecoveryCodes? }
+   *   or { valid: false, error, code, retryAfter? }
+   */
+  async function verify(userId, code) {
+    const result = await pool.query(
+      `SELECT totp_secret, last_used_step,
+              GREATEST(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)), 0) AS lock_seconds
+       FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL`,
+      [userId]
+    );
+    const row = result.rows[0];
+
+    if (!row) {
+      return { valid: false, error: 'MFA is not enabled', code: 'MFA_NOT_ENABLED' };
+    }
+
+    if (Number(row.lock_seconds) > 0) {
+      return {
+        valid: false,
+        error: 'Too many invalid codes',
+        code: 'MFA_LOCKED',
+        retryAfter: Math.ceil(Number(row.lock_seconds))
+      };
+    }
+
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (/^\d+$/.test(normalized)) {
+      const check = verifyTotp(normalized, cipher.decrypt(row.totp_secret), {
+        window,
+        afterStep: row.last_used_step === null ? undefined : Number(row.last_used_step)
+      });
+
+      // The step moves forward in one statement, so the same code cannot win twice concurrently
+      if (check.valid) {
+        const updated = await pool.query(
+          `UPDATE user_mfa SET last_used_step = $2, failed_attempts = 0, locked_until = NULL
+           WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+          [userId, check.step]
+        );
+        if (updated.rowCount > 0) {
+          return { valid: true, method: 'otp' };
+        }
+      }
+    } else {
+      const used = await pool.query(
+        `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING (SELECT COUNT(*) FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL) - 1 AS remaining`,
+        [userId, hashToken(normalizeRecoveryCode(normalized))]
+      );
+      if (used.rowCount > 0) {
+        await pool.query('UPDATE user_mfa SET failed_attempts = 0, locked_until = NULL WHERE user_id = $1', [userId]);
+        return { valid: true, method: 'recovery', remainingRecoveryCodes: Number(used.rows[0].remaining) };
+      }
+    }
+
+    await recordFailure(userId);
+    return { valid: false, error: 'Invalid authentication code', code: 'INVALID_MFA_CODE' };
+  }
+
+  /**
+   * Replace a user's recovery codes (the old ones stop working)
+   * @param {number|string} userId - User ID
+   * @returns {Promise<string[]>} New codes
+   */
+  async function regenerateRecoveryCodes(userId) {
+    return replaceRecoveryCodes(userId);
+  }
+
+  /**
+   * Turn MFA off and delete the secret and recovery codes
+   * @param {number|string} userId - User ID
+   * @returns {Promise<boolean>} True if MFA was set up
+   */
+  async function disable(userId) {
+    await pool.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    const result = await pool.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+    return result.rowCount > 0;
+  }
+
+  return {
+    beginEnrollment,
+    confirmEnrollment,
+    isEnabled,
+    verify,
+    regenerateRecoveryCodes,
+    disable
+  };
+}
+
+/**
+ * Create an Express route completing a login that answered { mfa_required: true }
+ * POST { mfa_token, code } → same response as createLoginHandler, with amr ['pwd', 'otp', 'mfa']
+ * (or ['pwd', 'recovery', 'mfa'] when a recovery code was used).
+ * @param {Object} config - Configuration options
+ * @param {Object} config.mfaStore - MFA store (see createMfaStore)
+ * @param {string|Object} config.jwtSecret - JWT secret key (or a key ring)
+ * @param {Object} [config.tokenOptions] - Options passed to generateToken/validateToken
+ * @param {Object} [config.sessionStore] - Record a session for the token
+ * @param {Object} [config.refreshStore] - Also return a refresh_token
+ * @param {Object} [config.cookies] - Cookie transport (see createCookieTransport)
+ * @param {Object} [config.auditLogger] - Records login and failed_login
+ * @returns {Function} Express route handler
+ */
+function createMfaVerifyHandler(config = {}) {
+  const { mfaStore, jwtSecret, tokenOptions = {}, auditLogger } = config;
+
+  if (!mfaStore) {
+    throw new Error('@latanda/auth-middleware: mfaStore is required');
+  }
+  if (!jwtSecret) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required');
+  }
+
+  return async function mfaVerifyHandler(req, res) {
+    const { mfa_token: mfaToken, code } = req.body || {};
+
+    if (!mfaToken || !code) {
+      return sendError(req, res, authError(400, 'MISSING_MFA_CODE', 'mfa_token and code are required'));
+    }
+
+    const pending = validateToken(mfaToken, jwtSecret, { ...tokenOptions, tokenUse: 'mfa_pending' });
+    if (!pending.valid) {
+      return sendError(req, res, authError(401, 'INVALID_MFA_TOKEN', pending.expired ? 'MFA token expired, log in again' : 'Invalid MFA token'));
+    }
+
+    try {
+      const check = await mfaStore.verify(pending.user_id, code);
+
+      if (!check.valid) {
+        if (auditLogger) {
+          auditLogger.logRequest(req, AUDIT_EVENTS.LOGIN_FAILED, {
+            userId: pending.user_id,
+            success: false,
+            errorMessage: check.error,
+            metadata: { code: check.code }
+          });
+        }
+        if (check.retryAfter) {
+          res.set('Retry-After', String(check.retryAfter));
+        }
+        const status = check.code === 'MFA_LOCKED' ? 429 : 401;
+        return sendError(req, res, authError(status, check.code, check.error, check.retryAfter && { retryAfter: check.retryAfter }));
+      }
+
+      const user = {
+        id: pending.user_id,
+        email: pending.email,
+        role: pending.role,
+        permissions: pending.permissions,
+        denied_permissions: pending.denied_permissions,
+        email_verified: pending.email_verified,
+        amr: [...new Set([...pending.amr, check.method, 'mfa'])]
+      };
+
+      return await completeLogin(req, res, user, config);
+    } catch (error) {
+      return sendError(req, res, authError(500, 'LOGIN_FAILED', 'Login failed'));
+    }
+  };
+}
+
+/**
+ * Middleware to require a second factor in the current token (`amr` contains 'mfa')
+ * Must be used AFTER authMiddleware.
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.forPermissions] - Only require MFA from users holding any of these permissions
+ * @param {string[]} [options.methods] - Require one of these amr values instead of 'mfa' (e.g. ['otp'])
+ * @param {Object} [options.rbac] - RBAC instance used for forPermissions
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
+ * @returns {Function} Express middleware
+ */
+function requireMfa(options = {}) {
+  return expressMiddleware(mfaGuard(options));
+}
+
+module.exports = {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  totpProvisioningUri,
+  generateRecoveryCodes,
+  createMfaStore,
+  createMfaVerifyHandler,
+  requireMfa
+};
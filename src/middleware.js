@@ -1,79 +1,89 @@
 /**
  * Express Middleware for JWT Authentication
  * Production-ready authentication middleware from latanda.online
+ * The Express adapter of the framework-agnostic core (see core.js)
  */
 
-const { validateToken } = require('./jwt');
-const { hasPermission, hasRoleLevel, isValidRole } = require('./rbac');
+const {
+  createAuthenticator,
+  permissionGuard,
+  scopeGuard,
+  recentAuthGuard,
+  roleGuard,
+  ownershipGuard,
+  groupGuard,
+  settle,
+  unauthorizedInfo
+} = require('./core');
+const { sendError } = require('./errors');
+
+function sendDenial(req, res, decision) {
+  return sendError(req, res, decision.error, decision.errorRenderer);
+}
+
+/**
+ * Turn a core check into Express middleware
+ * @param {Function} check - (req) => decision
+ * @returns {Function} Express middleware
+ */
+function expressMiddleware(check) {
+  return function guardMiddleware(req, res, next) {
+    return settle(check(req), (decision) => {
+      if (!decision.allow) {
+        return sendDenial(req, res, decision);
+      }
+      Object.assign(req, decision.attach);
+      next();
+    });
+  };
+}
 
 /**
  * Create authentication middleware
  * @param {Object} config - Configuration options
- * @param {string} config.jwtSecret - JWT secret key
+ * @param {string} config.jwtSecret - JWT secret key (HS256 tokens)
+ * @param {Object} [config.keyRing] - Key ring (see createKeyRing); the key is selected by the token's kid
+ * @param {string|KeyObject} [config.publicKey] - Public key for RS/ES/EdDSA tokens, instead of jwtSecret
+ * @param {Object} [config.jwks] - Local JWKS document; the key is selected by the token's kid
+ * @param {string} [config.jwksUri] - JWKS URL (fetched and cached); the key is selected by the token's kid
+ * @param {Object} [config.keyResolver] - Custom resolver with async getKey(kid) => { key, algorithm }
+ * @param {string[]} [config.algorithms] - Accepted algorithms (HS256 with jwtSecret, else RS256/ES256/EdDSA)
  * @param {string} [config.issuer='latanda.online'] - Token issuer
  * @param {string} [config.audience='latanda-web-app'] - Token audience
- * @param {Function} [config.onUnauthorized] - Custom unauthorized handler
+ * @param {Object} [config.sessionStore] - Session store (see createSessionStore); when set, tokens must have a live session
+ * @param {Object} [config.revocationStore] - Revocation store (memory or PostgreSQL) checked for the token's jti
+ * @param {Object} [config.cookies] - Cookie transport (see createCookieTransport); accepts the token from its
+ *   cookie and enforces its CSRF check on unsafe methods (403 CSRF_TOKEN_INVALID)
+ * @param {string[]} [config.tokenSources] - Where to look for the token, in order: 'header', 'cookie'
+ *   (default ['header', 'cookie'] with cookies, else ['header'])
+ * @param {Object} [config.apiKeyStore] - API key store (see createApiKeyStore); also accepts API keys in
+ *   the API key header or as `Bearer <key>`, setting req.user to a `type: 'api_key'` principal
+ * @param {string} [config.apiKeyHeader='x-api-key'] - Header carrying an API key
+ * @param {Object} [config.auditLogger] - Audit logger (see createAuditLogger); records failed validations
+ *   and is attached as req.auditLogger for the authorization middlewares
+ * @param {Object} [config.errorRenderer] - Error renderer (see createErrorRenderer) for this middleware's
+ *   responses, attached as req.errorRenderer for the authorization middlewares and handlers
+ * @param {Function} [config.onUnauthorized] - Custom handler for 401 responses: (req, res, { message, code, error })
+ * @param {boolean} [config.legacyUnauthorizedCodes=false] - Give onUnauthorized only NO_TOKEN or INVALID_TOKEN
+ *   codes, as in 1.0 (see MIGRATION.md)
  * @returns {Function} Express middleware
  */
 function createAuthMiddleware(config) {
-  const {
-    jwtSecret,
-    issuer = 'latanda.online',
-    audience = 'latanda-web-app',
-    onUnauthorized
-  } = config;
+  const { onUnauthorized, legacyUnauthorizedCodes } = config;
+  const authenticate = createAuthenticator(config);
 
-  if (!jwtSecret) {
-    throw new Error('@latanda/auth-middleware: jwtSecret is required');
-  }
+  return async function authMiddleware(req, res, next) {
+    const decision = await authenticate(req);
 
-  return function authMiddleware(req, res, next) {
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      const error = { message: 'Missing or invalid Authorization header', code: 'NO_TOKEN' };
-
-      if (onUnauthorized) {
-        return onUnauthorized(req, res, error);
+    if (!decision.allow) {
+      if (onUnauthorized && decision.status === 401) {
+        return onUnauthorized(req, res, unauthorizedInfo(decision, legacyUnauthorizedCodes));
       }
-
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        code: 'NO_TOKEN'
-      });
-    }
-
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-    // Validate token
-    const validation = validateToken(token, jwtSecret, { issuer, audience });
-
-    if (!validation.valid) {
-      const error = { message: validation.error, code: 'INVALID_TOKEN' };
-
-      if (onUnauthorized) {
-        return onUnauthorized(req, res, error);
-      }
-
-      return res.status(401).json({
-        success: false,
-        error: validation.error,
-        code: 'INVALID_TOKEN',
-        expired: validation.expired || false
-      });
+      return sendDenial(req, res, decision);
     }
 
     // Attach user data to request object
-    req.user = {
-      id: validation.user_id,
-      email: validation.email,
-      role: validation.role,
-      permissions: validation.permissions
-    };
-    req.token = token;
-
+    Object.assign(req, decision.attach);
     next();
   };
 }
@@ -81,79 +91,69 @@ function createAuthMiddleware(config) {
 /**
  * Middleware to require specific permission
  * Must be used AFTER authMiddleware
+ * Effective permissions are the role's permissions plus the user's grants, minus the user's denies.
  * @param {string|string[]} requiredPermissions - Permission(s) required
  * @param {Object} options - Options
  * @param {boolean} [options.requireAll=false] - Require all permissions vs any
+ * @param {Function} [options.loadPermissions] - async (req) => { grants, denies }; resolves per-user
+ *   permissions live (see createPermissionLoader) instead of using the ones in the token
+ * @param {Object} [options.rbac] - RBAC instance (see createRBAC); defaults to ADMIN/MIT/IT/USER
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
+ * @param {number|string} [options.maxAuthAge] - Also require a login or re-authentication this recent
+ *   (see requireRecentAuth)
+ * @param {Object} [options.scopes] - Scope catalog (see createScopeCatalog); a scoped token must also
+ *   have a scope covering the permission
  * @returns {Function} Express middleware
  */
 function requirePermission(requiredPermissions, options = {}) {
-  const { requireAll = false } = options;
-  const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
-
-  return function permissionMiddleware(req, res, next) {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required before permission check',
-        code: 'NO_AUTH'
-      });
-    }
-
-    const userRole = req.user.role;
-
-    // Check permissions
-    const hasAccess = requireAll
-      ? permissions.every(perm => hasPermission(userRole, perm))
-      : permissions.some(perm => hasPermission(userRole, perm));
+  return expressMiddleware(permissionGuard(requiredPermissions, options));
+}
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        error: 'Insufficient permissions',
-        code: 'FORBIDDEN',
-        required: permissions,
-        userRole
-      });
-    }
+/**
+ * Middleware to require token scope(s), e.g. requireScope('transactions:read')
+ * Must be used AFTER authMiddleware. Passes when the token's scope includes it (unscoped tokens
+ * are unrestricted) AND the user holds at least one permission the scope covers.
+ * @param {string|string[]} requiredScopes - Scope(s) required
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireAll=false] - Require all scopes vs any
+ * @param {Object} [options.scopes] - Scope catalog (see createScopeCatalog)
+ * @param {Object} [options.rbac] - RBAC instance
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
+ * @returns {Function} Express middleware
+ */
+function requireScope(requiredScopes, options = {}) {
+  return expressMiddleware(scopeGuard(requiredScopes, options));
+}
 
-    next();
-  };
+/**
+ * Middleware to require a recent login or re-authentication (the token's auth_time)
+ * Must be used AFTER authMiddleware. Answers 403 REAUTH_REQUIRED: the client should ask for the
+ * password again and call the re-authentication route (see createReauthHandler), not log the user out.
+ * @param {Object} [options] - Options
+ * @param {number|string} [options.maxAge='5m'] - Maximum age of auth_time
+ * @param {string[]} [options.forPermissions] - Only apply to users holding any of these permissions
+ * @param {Object} [options.rbac] - RBAC instance used for forPermissions
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
+ * @returns {Function} Express middleware
+ */
+function requireRecentAuth(options = {}) {
+  return expressMiddleware(recentAuthGuard(options));
 }
 
 /**
  * Middleware to require specific role level or higher
  * Must be used AFTER authMiddleware
  * @param {string} minimumRole - Minimum role required (ADMIN, MIT, IT, USER)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.rbac] - RBAC instance (see createRBAC); defaults to ADMIN/MIT/IT/USER
+ * @param {string} [options.permission] - Permission the route needs; scoped tokens and API keys pass only
+ *   when their scopes cover it, and are refused (403 INSUFFICIENT_SCOPE / FORBIDDEN) when it is not set
+ * @param {Object} [options.scopes] - Scope catalog (see createScopeCatalog)
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
  * @returns {Function} Express middleware
  */
-function requireRole(minimumRole) {
-  if (!isValidRole(minimumRole)) {
-    throw new Error(`Invalid role: ${minimumRole}. Must be ADMIN, MIT, IT, or USER`);
-  }
-
-  return function roleMiddleware(req, res, next) {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required before role check',
-        code: 'NO_AUTH'
-      });
-    }
-
-    const userRole = req.user.role;
-
-    if (!hasRoleLevel(userRole, minimumRole)) {
-      return res.status(403).json({
-        success: false,
-        error: `Requires ${minimumRole} role or higher`,
-        code: 'INSUFFICIENT_ROLE',
-        required: minimumRole,
-        current: userRole
-      });
-    }
-
-    next();
-  };
+function requireRole(minimumRole, options = {}) {
+  return expressMiddleware(roleGuard(minimumRole, options));
 }
 
 /**
@@ -161,88 +161,63 @@ function requireRole(minimumRole) {
  * Ensures user can only access their own resources (unless ADMIN)
  * Must be used AFTER authMiddleware
  * @param {Function} getResourceOwnerId - Function to extract owner ID from request
+ * @param {Object} [options] - Options
+ * @param {Object} [options.rbac] - RBAC instance (see createRBAC); its superuser roles bypass the check
+ * @param {string} [options.permission] - Permission the route needs; scoped tokens and API keys pass only
+ *   when their scopes cover it, and are refused (403 INSUFFICIENT_SCOPE / FORBIDDEN) when it is not set
+ * @param {Object} [options.scopes] - Scope catalog (see createScopeCatalog)
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
  * @returns {Function} Express middleware
  */
-function requireOwnership(getResourceOwnerId) {
-  return async function ownershipMiddleware(req, res, next) {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        code: 'NO_AUTH'
-      });
-    }
-
-    // ADMIN bypasses ownership checks
-    if (req.user.role === 'ADMIN') {
-      return next();
-    }
-
-    try {
-      // Get resource owner ID
-      const resourceOwnerId = typeof getResourceOwnerId === 'function'
-        ? await getResourceOwnerId(req)
-        : getResourceOwnerId;
+function requireOwnership(getResourceOwnerId, options = {}) {
+  return expressMiddleware(ownershipGuard(getResourceOwnerId, options));
+}
 
-      if (req.user.id !== resourceOwnerId) {
-        return res.status(403).json({
-          success: false,
-          error: 'You can only access your own resources',
-          code: 'NOT_OWNER'
-        });
-      }
+/**
+ * Middleware to require a role inside a group (ADMIN bypasses the check)
+ * Must be used AFTER authMiddleware
+ * @param {string} groupRole - Minimum group role (coordinator, member)
+ * @param {Function|string|number} getGroupId - (req) => group ID, or a fixed group ID
+ * @param {Object} options - Options (loadMembership or pool is required)
+ * @param {Function} [options.loadMembership] - async (req, groupId) => { role } | null
+ * @param {Object} [options.pool] - pg Pool; reads the `group_memberships` table
+ * @param {Object} [options.rbac] - RBAC instance (see createRBAC) with the group roles
+ * @param {string} [options.permission] - Permission the route needs; scoped tokens and API keys pass only
+ *   when their scopes cover it, and are refused (403 INSUFFICIENT_SCOPE / FORBIDDEN) when it is not set
+ * @param {Object} [options.scopes] - Scope catalog (see createScopeCatalog)
+ * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
+ * @returns {Function} Express middleware; sets req.groupMembership
+ */
+function requireGroupRole(groupRole, getGroupId, options = {}) {
+  return expressMiddleware(groupGuard(groupRole, getGroupId, options));
+}
 
-      next();
-    } catch (error) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to verify resource ownership',
-        code: 'OWNERSHIP_CHECK_FAILED'
-      });
-    }
-  };
+/**
+ * Middleware to require membership in a group, in any role (ADMIN bypasses the check)
+ * Must be used AFTER authMiddleware
+ * @param {Function|string|number} getGroupId - (req) => group ID, or a fixed group ID
+ * @param {Object} options - Same options as requireGroupRole
+ * @returns {Function} Express middleware; sets req.groupMembership
+ */
+function requireGroupMember(getGroupId, options = {}) {
+  return expressMiddleware(groupGuard(null, getGroupId, options));
 }
 
 /**
  * Optional authentication middleware
  * Validates token if present, but doesn't require it
  * Useful for endpoints that work with or without auth
+ * @param {Object} config - Same options as createAuthMiddleware (onUnauthorized is ignored)
+ * @returns {Function} Express middleware
  */
 function optionalAuth(config) {
-  const {
-    jwtSecret,
-    issuer = 'latanda.online',
-    audience = 'latanda-web-app'
-  } = config;
-
-  if (!jwtSecret) {
-    throw new Error('@latanda/auth-middleware: jwtSecret is required');
-  }
-
-  return function optionalAuthMiddleware(req, res, next) {
-    const authHeader = req.headers.authorization;
+  const authenticate = createAuthenticator(config, { optional: true });
 
-    // No token provided - continue without user
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      req.user = null;
-      return next();
-    }
-
-    const token = authHeader.substring(7);
-    const validation = validateToken(token, jwtSecret, { issuer, audience });
-
-    if (validation.valid) {
-      req.user = {
-        id: validation.user_id,
-        email: validation.email,
-        role: validation.role,
-        permissions: validation.permissions
-      };
-      req.token = token;
-    } else {
-      req.user = null;
-    }
+  return async function optionalAuthMiddleware(req, res, next) {
+    const decision = await authenticate(req);
 
+    // No token or invalid token - continue without user
+    Object.assign(req, decision.attach);
     next();
   };
 }
@@ -252,5 +227,12 @@ module.exports = {
   requirePermission,
   requireRole,
   requireOwnership,
-  optionalAuth
+  requireGroupRole,
+  requireGroupMember,
+  requireRecentAuth,
+  requireScope,
+  optionalAuth,
+
+  // Internal: wraps core checks for the Express middlewares of other modules (mfa, verification, policy)
+  expressMiddleware
 };
@@ -0,0 +1,247 @@
+/**
+ * Nginx Integration
+ * An `auth_request` endpoint that validates tokens at the edge, and a middleware for
+ * upstream services that trusts the identity headers Nginx forwards from it.
+ */
+
+const crypto = require('crypto');
+const { defaultRBAC } = require('./rbac');
+const { resolveAuthSettings, authenticateRequest } = require('./core');
+const { AUDIT_EVENTS } = require('./audit');
+const { defaultScopeCatalog } = require('./scopes');
+const { toSeconds } = require('./utils');
+const { authError, defaultErrorRenderer, sendError } = require('./errors');
+
+const HEADERS = {
+  id: 'x-user-id',
+  role: 'x-user-role',
+  permissions: 'x-user-permissions',
+  deniedPermissions: 'x-user-denied-permissions',
+  actorId: 'x-user-actor-id',
+  scope: 'x-user-scope',
+  authTime: 'x-user-auth-time',
+  amr: 'x-user-amr',
+  timestamp: 'x-user-timestamp',
+  signature: 'x-user-signature'
+};
+
+function signIdentity(secret, fields) {
+  const parts = [fields.id, fields.role, fields.permissions, fields.deniedPermissions, fields.timestamp];
+  // Only signed when present, so signatures without impersonation are unchanged
+  if (fields.actorId) parts.push(fields.actorId);
+  if (typeof fields.scope === 'string') parts.push(`scope=${fields.scope}`);
+  if (fields.authTime) parts.push(`auth_time=${fields.authTime}`);
+  if (fields.amr) parts.push(`amr=${fields.amr}`);
+  const payload = parts.join('\n');
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function splitList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Create an endpoint for Nginx `auth_request`
+ * Answers 204 with identity headers (plus X-User-Actor-Id during impersonation, X-User-Scope for
+ * scoped tokens, and X-User-Auth-Time / X-User-Amr when the token carries them), 401 without a valid token,
+ * or 403 when `authorize` refuses.
+ * @param {Object} config - Same options as createAuthMiddleware, plus:
+ * @param {Function} [config.authorize] - (user, req) => boolean | Promise<boolean>; false answers 403.
+ *   req.headers['x-original-uri'] and ['x-original-method'] describe the original request.
+ * @param {string} [config.sharedSecret] - Sign the identity headers (X-User-Timestamp, X-User-Signature)
+ *   for trustProxyIdentity({ sharedSecret })
+ * @param {Object} [config.rbac] - RBAC instance used to compute X-User-Permissions
+ * @param {Object} [config.scopes] - Scope catalog; a scoped token only forwards the permissions its scope covers
+ * @returns {Function} Request handler (Express or plain Node http)
+ */
+function createAuthRequestHandler(config) {
+  const {
+    authorize,
+    sharedSecret,
+    rbac = defaultRBAC,
+    scopes = defaultScopeCatalog,
+    auditLogger,
+    errorRenderer = defaultErrorRenderer
+  } = config;
+  const settings = resolveAuthSettings(config);
+
+  function respond(res, status, headers = {}) {
+    res.statusCode = status;
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.end();
+  }
+
+  return async function authRequestHandler(req, res) {
+    // The subrequest's own method says nothing about the original request (CSRF checks need it)
+    const original = Object.create(req, {
+      method: { value: (req.headers['x-original-method'] || req.method).toUpperCase() }
+    });
+
+    let result;
+    try {
+      result = await authenticateRequest(original, settings);
+    } catch (error) {
+      // Nginx turns anything other than 2xx/401/403 into a 500 for the client
+      return respond(res, 500);
+    }
+
+    if (result.error) {
+      if (auditLogger && result.error.code !== 'NO_TOKEN') {
+        auditLogger.logRequest(req, AUDIT_EVENTS.TOKEN_INVALID, {
+          success: false,
+          errorMessage: result.error.reason,
+          metadata: { code: result.error.code, uri: req.headers['x-original-uri'] || null }
+        });
+      }
+      // Nginx passes WWW-Authenticate from a 401 subrequest on to the client
+      const { headers } = errorRenderer.render(result.error, original);
+      const challenge = headers['WWW-Authenticate'] ? { 'WWW-Authenticate': headers['WWW-Authenticate'] } : {};
+      return respond(res, result.error.status === 403 ? 403 : 401, challenge);
+    }
+
+    const { user } = result;
+
+    try {
+      if (authorize && !(await authorize(user, original))) {
+        return respond(res, 403);
+      }
+    } catch (error) {
+      return respond(res, 500);
+    }
+
+    const denied = user.deniedPermissions || [];
+    const permissions = rbac.getEffectivePermissions(user.role, { grants: user.permissions || [], denies: denied })
+      .filter(permission => scopes.allowsPermission(user.scope, permission));
+    const fields = {
+      id: String(user.id),
+      role: user.role || '',
+      permissions: permissions.join(','),
+      deniedPermissions: denied.join(','),
+      actorId: user.actor ? String(user.actor.id) : '',
+      scope: Array.isArray(user.scope) ? user.scope.join(' ') : null,
+      authTime: typeof user.authTime === 'number' ? String(user.authTime) : '',
+      amr: Array.isArray(user.amr) ? user.amr.join(',') : '',
+      timestamp: String(Math.floor(Date.now() / 1000))
+    };
+
+    const headers = {
+      'X-User-Id': fields.id,
+      'X-User-Role': fields.role,
+      'X-User-Permissions': fields.permissions,
+      'X-User-Denied-Permissions': fields.deniedPermissions
+    };
+    if (fields.actorId) {
+      headers['X-User-Actor-Id'] = fields.actorId;
+    }
+    if (fields.scope !== null) {
+      headers['X-User-Scope'] = fields.scope;
+    }
+    if (fields.authTime) {
+      headers['X-User-Auth-Time'] = fields.authTime;
+    }
+    if (fields.amr) {
+      headers['X-User-Amr'] = fields.amr;
+    }
+    if (sharedSecret) {
+      headers['X-User-Timestamp'] = fields.timestamp;
+      headers['X-User-Signature'] = signIdentity(sharedSecret, fields);
+    }
+
+    return respond(res, 204, headers);
+  };
+}
+
+/**
+ * Normalize an address for comparison (IPv4-mapped IPv6 → IPv4)
+ */
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+/**
+ * Middleware for upstream services behind Nginx: fill req.user from the identity headers
+ * set by createAuthRequestHandler, but only for requests from the trusted proxy.
+ * Requests that are not trusted continue with req.user = null.
+ * @param {Object} config - Configuration options (at least one of sharedSecret, trustedIps)
+ * @param {string} [config.sharedSecret] - Require a valid X-User-Signature
+ * @param {string[]} [config.trustedIps] - Require the connection to come from one of these addresses
+ *   (the socket address, not X-Forwarded-For)
+ * @param {number|string} [config.maxAge='60s'] - Reject signatures older than this (replay window)
+ * @param {boolean} [config.required=false] - Answer 401 instead of continuing without a user
+ * @returns {Function} Express middleware
+ */
+function trustProxyIdentity(config = {}) {
+  const { sharedSecret, trustedIps, maxAge = '60s', required = false } = config;
+
+  if (!sharedSecret && !(trustedIps && trustedIps.length > 0)) {
+    throw new Error('@latanda/auth-middleware: trustProxyIdentity requires sharedSecret or trustedIps');
+  }
+
+  const maxAgeSeconds = toSeconds(maxAge);
+  const trusted = (trustedIps || []).map(normalizeIp);
+
+  function isTrusted(req) {
+    if (trusted.length > 0) {
+      const remote = normalizeIp(req.socket && req.socket.remoteAddress);
+      if (!trusted.includes(remote)) return false;
+    }
+
+    if (sharedSecret) {
+      const fields = {
+        id: req.headers[HEADERS.id],
+        role: req.headers[HEADERS.role] || '',
+        permissions: req.headers[HEADERS.permissions] || '',
+        deniedPermissions: req.headers[HEADERS.deniedPermissions] || '',
+        actorId: req.headers[HEADERS.actorId] || '',
+        scope: req.headers[HEADERS.scope],
+        authTime: req.headers[HEADERS.authTime] || '',
+        amr: req.headers[HEADERS.amr] || '',
+        timestamp: req.headers[HEADERS.timestamp]
+      };
+      const signature = req.headers[HEADERS.signature];
+      const age = Math.floor(Date.now() / 1000) - Number(fields.timestamp);
+
+      if (!signature || !fields.timestamp || !(age >= -5 && age <= maxAgeSeconds)) return false;
+
+      const expected = Buffer.from(signIdentity(sharedSecret, fields));
+      const actual = Buffer.from(String(signature));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+    }
+
+    return true;
+  }
+
+  return function proxyIdentityMiddleware(req, res, next) {
+    if (!req.headers[HEADERS.id] || !isTrusted(req)) {
+      req.user = null;
+      if (required) {
+        return sendError(req, res, authError(401, 'NO_TRUSTED_IDENTITY', 'Authentication required'));
+      }
+      return next();
+    }
+
+    req.user = {
+      id: req.headers[HEADERS.id],
+      role: req.headers[HEADERS.role] || null,
+      permissions: splitList(req.headers[HEADERS.permissions]),
+      deniedPermissions: splitList(req.headers[HEADERS.deniedPermissions]),
+      actor: req.headers[HEADERS.actorId] ? { id: req.headers[HEADERS.actorId] } : null,
+      // Without it, guards would re-derive the role's permissions and ignore the token's scope
+      scope: typeof req.headers[HEADERS.scope] === 'string' ? req.headers[HEADERS.scope].split(' ').filter(Boolean) : null,
+      // requireRecentAuth and requireMfa read these
+      authTime: req.headers[HEADERS.authTime] ? Number(req.headers[HEADERS.authTime]) : undefined,
+      amr: splitList(req.headers[HEADERS.amr])
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  createAuthRequestHandler,
+  trustProxyIdentity
+};
@@ -0,0 +1,564 @@
+/**
+ * Password Credentials
+ * bcrypt hashing with a configurable cost, a password policy, and a ready-made login route
+ */
+
+const fs = require('fs');
+const bcrypt = require('bcrypt');
+const { generateToken, decodeToken } = require('./jwt');
+const { attachUserPermissions } = require('./permissions');
+const { AUDIT_EVENTS } = require('./audit');
+const { randomToken, requestContext } = require('./utils');
+const {
+  AuthenticationRequiredError,
+  ImpersonationBlockedError,
+  InvalidSessionError,
+  authError,
+  sendError
+} = require('./errors');
+
+const DEFAULT_COST = 12;
+
+// bcrypt ignores everything after the first 72 bytes
+const BCRYPT_MAX_BYTES = 72;
+
+/**
+ * Hash a password with bcrypt
+ * @param {string} password - Plain-text password
+ * @param {Object} [options] - Options
+ * @param {number} [options.cost=12] - bcrypt cost factor (4-31)
+ * @returns {Promise<string>} bcrypt hash
+ */
+async function hashPassword(password, options = {}) {
+  const { cost = DEFAULT_COST } = options;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('@latanda/auth-middleware: password must be a non-empty string');
+  }
+
+  return bcrypt.hash(password, cost);
+}
+
+/**
+ * Check whether a hash was made with a different cost (or is not a bcrypt hash)
+ * @param {string} hash - Stored bcrypt hash
+ * @param {number} [cost=12] - Current cost factor
+ * @returns {boolean} True if the password should be hashed again
+ */
+function needsRehash(hash, cost = DEFAULT_COST) {
+  try {
+    return bcrypt.getRounds(hash) !== cost;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Verify a password against a stored hash
+ * When the hash used a different cost, a new hash is returned for the caller to store.
+ * @param {string} password - Plain-text password
+ * @param {string} hash - Stored bcrypt hash
+ * @param {Object} [options] - Options
+ * @param {number} [options.cost=12] - Current cost factor
+ * @returns {Promise<Object>} { valid, newHash } - newHash is null unless a rehash is due
+ */
+async function verifyPassword(password, hash, options = {}) {
+  const { cost = DEFAULT_COST } = options;
+
+  if (typeof password !== 'string' || typeof hash !== 'string') {
+    return { valid: false, newHash: null };
+  }
+
+  let valid;
+  try {
+    valid = await bcrypt.compare(password, hash);
+  } catch (error) {
+    // Malformed hash (e.g. a placeholder row)
+    valid = false;
+  }
+
+  if (!valid) {
+    return { valid: false, newHash: null };
+  }
+
+  return {
+    valid: true,
+    newHash: needsRehash(hash, cost) ? await hashPassword(password, { cost }) : null
+  };
+}
+
+/**
+ * Load a breached-password list: one password per line, compared case-insensitively
+ * @param {string} path - File path
+ * @returns {Set<string>} Lowercased passwords
+ */
+function loadPasswordList(path) {
+  const entries = fs.readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+
+  return new Set(entries);
+}
+
+/**
+ * Create a password policy
+ * @param {Object} [config] - Configuration options
+ * @param {number} [config.minLength=8] - Minimum length in characters
+ * @param {number} [config.maxLength=72] - Maximum length in bytes (bcrypt ignores anything past 72)
+ * @param {string} [config.breachedPasswordsFile] - File with one known-breached password per line
+ * @param {string[]} [config.breachedPasswords] - Extra breached passwords
+ * @param {number} [config.historySize=0] - Reject the current and this many previous passwords (needs pool)
+ * @param {Object} [config.pool] - pg Pool for the `password_history` table
+ * @returns {Object} Policy with validate(password, { userId })
+ */
+function createPasswordPolicy(config = {}) {
+  const {
+    minLength = 8,
+    maxLength = BCRYPT_MAX_BYTES,
+    breachedPasswordsFile,
+    breachedPasswords = [],
+    historySize = 0,
+    pool
+  } = config;
+
+  if (maxLength > BCRYPT_MAX_BYTES) {
+    throw new Error(`@latanda/auth-middleware: maxLength cannot exceed ${BCRYPT_MAX_BYTES} bytes (bcrypt limit)`);
+  }
+  if (historySize > 0 && !pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for password history checks');
+  }
+
+  const breached = breachedPasswordsFile ? loadPasswordList(breachedPasswordsFile) : new Set();
+  breachedPasswords.forEach(password => breached.add(password.toLowerCase()));
+
+  /**
+   * Checks that do not need the database
+   * @param {string} password - Candidate password
+   * @returns {Object[]} Failures as { code, message }
+   */
+  function check(password) {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < minLength) {
+      errors.push({ code: 'PASSWORD_TOO_SHORT', message: `Password must be at least ${minLength} characters` });
+      return errors;
+    }
+    if (Buffer.byteLength(password, 'utf8') > maxLength) {
+      errors.push({ code: 'PASSWORD_TOO_LONG', message: `Password must be at most ${maxLength} bytes` });
+    }
+    if (breached.has(password.toLowerCase())) {
+      errors.push({ code: 'PASSWORD_BREACHED', message: 'Password appears in a list of breached passwords' });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check whether the user has used this password recently
+   * @param {string} password - Candidate password
+   * @param {number|string} userId - User ID
+   * @returns {Promise<boolean>} True if reused
+   */
+  async function isReused(password, userId) {
+    const result = await pool.query(
+      `(SELECT password_hash FROM users WHERE id = $1)
+       UNION ALL
+       (SELECT password_hash FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2)`,
+      [userId, historySize]
+    );
+
+    for (const row of result.rows) {
+      if (await bcrypt.compare(password, row.password_hash).catch(() => false)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Validate a candidate password
+   * @param {string} password - Candidate password
+   * @param {Object} [context] - Context
+   * @param {number|string} [context.userId] - Enables the reuse check for an existing user
+   * @returns {Promise<Object>} { valid, error, code, errors }
+   */
+  async function validate(password, context = {}) {
+    const errors = check(password);
+
+    if (errors.length === 0 && historySize > 0 && context.userId !== undefined) {
+      if (await isReused(password, context.userId)) {
+        errors.push({ code: 'PASSWORD_REUSED', message: `Password must differ from the last ${historySize + 1} passwords` });
+      }
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, error: errors[0].message, code: errors[0].code, errors };
+    }
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    check,
+    validate,
+    historySize
+  };
+}
+
+/**
+ * Validate, hash and store a new password; the previous hash goes to `password_history`
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User ID
+ * @param {string} password - New plain-text password
+ * @param {Object} [options] - Options
+ * @param {Object} [options.policy] - Password policy (see createPasswordPolicy)
+ * @param {number} [options.cost=12] - bcrypt cost factor
+ * @returns {Promise<Object>} { success: true } or { success: false, error, code, errors }
+ */
+async function setPassword(pool, userId, password, options = {}) {
+  const { policy, cost = DEFAULT_COST } = options;
+
+  if (policy) {
+    const validation = await policy.validate(password, { userId });
+    if (!validation.valid) {
+      return { success: false, error: validation.error, code: validation.code, errors: validation.errors };
+    }
+  }
+
+  const passwordHash = await hashPassword(password, { cost });
+  const result = await pool.query(
+    `WITH previous AS (SELECT id, password_hash FROM users WHERE id = $1 FOR UPDATE),
+     archived AS (
+       INSERT INTO password_history (user_id, password_hash)
+       SELECT id, password_hash FROM previous
+     )
+     UPDATE users SET password_hash = $2
+     FROM previous
+     WHERE users.id = previous.id`,
+    [userId, passwordHash]
+  );
+
+  if (result.rowCount === 0) {
+    return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+  }
+
+  // Keep only as much history as the policy checks
+  if (policy && policy.historySize > 0) {
+    await pool.query(
+      `DELETE FROM password_history
+       WHERE user_id = $1 AND id NOT IN (
+         SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2
+       )`,
+      [userId, policy.historySize]
+    );
+  }
+
+  return { success: true };
+}
+
+/**
+ * Issue the access token (and optional refresh token and cookie) for an authenticated user
+ * Shared by the password login and the MFA verification step.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User with id, email, role, permissions, amr, ...
+ * @param {Object} settings - { jwtSecret, tokenOptions, sessionStore, refreshStore, cookies, auditLogger }
+ * @returns {Promise<Object>} The response sent
+ */
+async function completeLogin(req, res, user, settings) {
+  const { jwtSecret, tokenOptions = {}, sessionStore, refreshStore, cookies, auditLogger } = settings;
+
+  // Issued first so the session is linked to its refresh token family
+  const refresh = refreshStore
+    ? await refreshStore.issue(user.id, { amr: user.amr, scope: tokenOptions.scope })
+    : null;
+
+  let token;
+  if (sessionStore) {
+    const context = { ...requestContext(req), refreshFamilyId: refresh ? refresh.familyId : undefined };
+    token = (await sessionStore.issueToken(user, jwtSecret, tokenOptions, context)).token;
+  } else {
+    token = generateToken(user, jwtSecret, tokenOptions);
+    if (auditLogger) {
+      auditLogger.logRequest(req, AUDIT_EVENTS.LOGIN, { userId: user.id, metadata: { amr: user.amr } });
+    }
+  }
+
+  const response = {
+    success: true,
+    token,
+    expires_in: tokenOptions.expiresIn || '8h',
+    user: { id: user.id, email: user.email, role: user.role }
+  };
+
+  // Cookie mode: the token stays out of reach of page scripts
+  if (cookies) {
+    delete response.token;
+    response.csrf_token = cookies.setAuthCookie(res, token);
+  }
+
+  if (refresh) {
+    response.refresh_token = refresh.token;
+  }
+
+  return res.json(response);
+}
+
+/**
+ * Create an Express login route: POST { email, password } → { token, user }
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool with the `users` table
+ * @param {string|Object} config.jwtSecret - JWT secret key (or a key ring)
+ * @param {Object} [config.tokenOptions] - Options passed to generateToken
+ * @param {number} [config.cost=12] - bcrypt cost; older hashes are upgraded on login
+ * @param {Object} [config.sessionStore] - Record a session for the token (its auditLogger records the login)
+ * @param {Object} [config.refreshStore] - Also return a refresh_token (see createRefreshTokenStore)
+ * @param {Object} [config.cookies] - Cookie transport (see createCookieTransport); sets the token cookie
+ *   and returns csrf_token instead of token
+ * @param {Object} [config.auditLogger] - Audit logger; records login and failed_login
+ * @param {Object} [config.mfaStore] - MFA store (see createMfaStore); users with MFA enabled get
+ *   { mfa_required: true, mfa_token } instead of a token, to be completed with createMfaVerifyHandler
+ * @param {number|string} [config.mfaTokenExpiresIn='5m'] - Lifetime of the mfa_token
+ * @returns {Function} Express route handler
+ */
+function createLoginHandler(config = {}) {
+  const {
+    pool,
+    jwtSecret,
+    tokenOptions = {},
+    cost = DEFAULT_COST,
+    sessionStore,
+    refreshStore,
+    cookies,
+    auditLogger,
+    mfaStore,
+    mfaTokenExpiresIn = '5m'
+  } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the login handler');
+  }
+  if (!jwtSecret) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required');
+  }
+
+  // Compared against when the email is unknown, so both paths take as long
+  const dummyHash = hashPassword(randomToken(), { cost });
+
+  function auditFailure(req, userId, reason) {
+    if (!auditLogger) return;
+    auditLogger.logRequest(req, AUDIT_EVENTS.LOGIN_FAILED, {
+      userId,
+      success: false,
+      errorMessage: reason
+    });
+  }
+
+  return async function loginHandler(req, res) {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return sendError(req, res, authError(400, 'MISSING_CREDENTIALS', 'email and password are required'));
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT id, email, role, password_hash, is_active, email_verified FROM users WHERE email = $1',
+        [email.trim()]
+      );
+      const row = result.rows[0];
+
+      const { valid, newHash } = await verifyPassword(password, row ? row.password_hash : await dummyHash, { cost });
+
+      if (!row || !valid) {
+        auditFailure(req, row ? row.id : null, 'Invalid credentials');
+        return sendError(req, res, authError(401, 'INVALID_CREDENTIALS', 'Invalid email or password'));
+      }
+
+      // Checked after the password so disabled accounts are not revealed to guessers
+      if (row.is_active === false) {
+        auditFailure(req, row.id, 'Account disabled');
+        return sendError(req, res, authError(403, 'ACCOUNT_DISABLED', 'Account is disabled'));
+      }
+
+      if (newHash) {
+        await pool.query(
+          'UPDATE users SET password_hash = $1, last_login = CURRENT_TIMESTAMP WHERE id = $2',
+          [newHash, row.id]
+        );
+      } else {
+        await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+      }
+
+      const user = await attachUserPermissions(pool, {
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        email_verified: row.email_verified,
+        amr: ['pwd']
+      });
+
+      // Second factor pending: a short-lived token good only for the MFA verification route
+      if (mfaStore && await mfaStore.isEnabled(user.id)) {
+        return res.json({
+          success: true,
+          mfa_required: true,
+          mfa_token: generateToken(user, jwtSecret, {
+            ...tokenOptions,
+            expiresIn: mfaTokenExpiresIn,
+            tokenUse: 'mfa_pending'
+          }),
+          expires_in: mfaTokenExpiresIn
+        });
+      }
+
+      return await completeLogin(req, res, user, { jwtSecret, tokenOptions, sessionStore, refreshStore, cookies, auditLogger });
+    } catch (error) {
+      return sendError(req, res, authError(500, 'LOGIN_FAILED', 'Login failed'));
+    }
+  };
+}
+
+/**
+ * Create an Express re-authentication route: POST { password, code? } → a new token with auth_time = now
+ * Must be used AFTER authMiddleware. The token keeps the current token's claims and expiry; with a
+ * sessionStore the existing session moves to the new token instead of a new session being created.
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool with the `users` table
+ * @param {string|Object} config.jwtSecret - JWT secret key (or a key ring)
+ * @param {Object} [config.tokenOptions] - Options passed to generateToken
+ * @param {Object} [config.mfaStore] - Users with MFA enabled must also send a code
+ * @param {Object} [config.sessionStore] - Move the session to the new token
+ * @param {Object} [config.revocationStore] - Revoke the previous token
+ * @param {Object} [config.refreshStore] - Update the family of `refresh_token` from the body, so refreshed
+ *   tokens keep the new auth_time
+ * @param {Object} [config.cookies] - Cookie transport; sets the new token cookie and returns csrf_token
+ * @param {Object} [config.auditLogger] - Records reauthentication and failed_login
+ * @returns {Function} Express route handler
+ */
+function createReauthHandler(config = {}) {
+  const {
+    pool,
+    jwtSecret,
+    tokenOptions = {},
+    mfaStore,
+    sessionStore,
+    revocationStore,
+    refreshStore,
+    cookies,
+    auditLogger
+  } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the re-authentication handler');
+  }
+  if (!jwtSecret) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required');
+  }
+
+  function reject(req, res, status, error, code) {
+    if (auditLogger) {
+      auditLogger.logRequest(req, AUDIT_EVENTS.LOGIN_FAILED, {
+        success: false,
+        errorMessage: error,
+        metadata: { code, reauthentication: true }
+      });
+    }
+    return sendError(req, res, authError(status, code, error));
+  }
+
+  return async function reauthHandler(req, res) {
+    if (!req.user || !req.token) {
+      return sendError(req, res, new AuthenticationRequiredError());
+    }
+
+    // The password belongs to the impersonated member, not to the staff member behind the token
+    if (req.user.actor) {
+      return sendError(req, res, new ImpersonationBlockedError());
+    }
+
+    const { password, code } = req.body || {};
+
+    if (typeof password !== 'string' || !password) {
+      return sendError(req, res, authError(400, 'MISSING_CREDENTIALS', 'password is required'));
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT password_hash, is_active FROM users WHERE id = $1',
+        [req.user.id]
+      );
+      const row = result.rows[0];
+
+      if (!row || row.is_active === false || !(await verifyPassword(password, row.password_hash)).valid) {
+        return reject(req, res, 401, 'Invalid password', 'INVALID_CREDENTIALS');
+      }
+
+      let amr = ['pwd'];
+      if (mfaStore && await mfaStore.isEnabled(req.user.id)) {
+        if (!code) {
+          return sendError(req, res, authError(400, 'MISSING_MFA_CODE', 'code is required'));
+        }
+
+        const check = await mfaStore.verify(req.user.id, code);
+        if (!check.valid) {
+          if (check.retryAfter) res.set('Retry-After', String(check.retryAfter));
+          return reject(req, res, check.code === 'MFA_LOCKED' ? 429 : 401, check.error, check.code);
+        }
+        amr = ['pwd', check.method, 'mfa'];
+      }
+
+      // Same claims and the same expiry as the current token: only auth_time (and amr) move
+      const now = Math.floor(Date.now() / 1000);
+      const decoded = decodeToken(req.token);
+      const expiresIn = Math.max((decoded && decoded.payload.exp ? decoded.payload.exp : now) - now, 1);
+
+      const token = generateToken({
+        id: req.user.id,
+        email: req.user.email,
+        role: req.user.role,
+        permissions: req.user.permissions,
+        denied_permissions: req.user.deniedPermissions,
+        email_verified: req.user.emailVerified,
+        amr,
+        auth_time: now
+      }, jwtSecret, { ...tokenOptions, expiresIn, scope: req.user.scope || undefined });
+
+      if (sessionStore && !(await sessionStore.replaceToken(req.token, token))) {
+        return sendError(req, res, new InvalidSessionError());
+      }
+      if (revocationStore) {
+        await revocationStore.revokeToken(req.token);
+      }
+
+      const refreshToken = req.body.refresh_token;
+      if (refreshStore && refreshToken) {
+        await refreshStore.updateAuthentication(refreshToken, req.user.id, { authTime: now, amr });
+      }
+
+      if (auditLogger) {
+        auditLogger.logRequest(req, AUDIT_EVENTS.REAUTHENTICATION, { metadata: { amr } });
+      }
+
+      const response = { success: true, token, auth_time: now, expires_in: expiresIn };
+      if (cookies) {
+        delete response.token;
+        response.csrf_token = cookies.setAuthCookie(res, token);
+      }
+
+      return res.json(response);
+    } catch (error) {
+      return sendError(req, res, authError(500, 'REAUTH_FAILED', 'Re-authentication failed'));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_COST,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createPasswordPolicy,
+  setPassword,
+  completeLogin,
+  createLoginHandler,
+  createReauthHandler
+};
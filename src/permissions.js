@@ -0,0 +1,189 @@
+/**
+ * Per-User Permissions (PostgreSQL)
+ * Grants and denies from the `user_permissions` table, on top of role defaults
+ */
+
+const { defaultRBAC } = require('./rbac');
+const { AUDIT_EVENTS } = require('./audit');
+
+/**
+ * Load a user's per-user grants and denies
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User ID
+ * @returns {Promise<Object>} { grants, denies }
+ */
+async function loadUserPermissions(pool, userId) {
+  const result = await pool.query(
+    'SELECT permission, effect FROM user_permissions WHERE user_id = $1',
+    [userId]
+  );
+
+  const grants = [];
+  const denies = [];
+  for (const row of result.rows) {
+    (row.effect === 'deny' ? denies : grants).push(row.permission);
+  }
+
+  return { grants, denies };
+}
+
+/**
+ * Add per-user grants and denies to a user object before calling generateToken()
+ * @param {Object} pool - pg Pool
+ * @param {Object} user - User object from database
+ * @returns {Promise<Object>} User with `permissions` and `denied_permissions`
+ */
+async function attachUserPermissions(pool, user) {
+  const { grants, denies } = await loadUserPermissions(pool, user.id || user.user_id);
+
+  return { ...user, permissions: grants, denied_permissions: denies };
+}
+
+async function setUserPermission(pool, userId, permission, effect, grantedBy, options) {
+  if (!grantedBy) {
+    throw new Error('@latanda/auth-middleware: grantedBy is required');
+  }
+
+  await pool.query(
+    `INSERT INTO user_permissions (user_id, permission, effect, granted_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, permission)
+     DO UPDATE SET effect = EXCLUDED.effect, granted_by = EXCLUDED.granted_by, granted_at = CURRENT_TIMESTAMP`,
+    [userId, permission, effect, grantedBy]
+  );
+
+  if (options.auditLogger) {
+    await options.auditLogger.log({
+      eventType: AUDIT_EVENTS.PERMISSION_CHANGE,
+      userId,
+      metadata: { permission, effect, changedBy: grantedBy }
+    });
+  }
+}
+
+/**
+ * Grant a permission to a user
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User receiving the permission
+ * @param {string} permission - Permission name
+ * @param {number|string} grantedBy - User ID of the admin granting it
+ * @param {Object} [options] - Options
+ * @param {Object} [options.auditLogger] - Records a permission_change event
+ * @returns {Promise<void>}
+ */
+async function grantPermission(pool, userId, permission, grantedBy, options = {}) {
+  await setUserPermission(pool, userId, permission, 'allow', grantedBy, options);
+}
+
+/**
+ * Deny a permission to a user, even if their role includes it
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User losing the permission
+ * @param {string} permission - Permission name
+ * @param {number|string} grantedBy - User ID of the admin recording the deny
+ * @param {Object} [options] - Options
+ * @param {Object} [options.auditLogger] - Records a permission_change event
+ * @returns {Promise<void>}
+ */
+async function denyPermission(pool, userId, permission, grantedBy, options = {}) {
+  await setUserPermission(pool, userId, permission, 'deny', grantedBy, options);
+}
+
+/**
+ * Remove a per-user grant or deny (the user falls back to role defaults)
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User ID
+ * @param {string} permission - Permission name
+ * @param {Object} [options] - Options
+ * @param {number|string} [options.changedBy] - User ID of the admin removing it (audit only)
+ * @param {Object} [options.auditLogger] - Records a permission_change event
+ * @returns {Promise<boolean>} True if a grant or deny was removed
+ */
+async function revokePermission(pool, userId, permission, options = {}) {
+  const { changedBy = null, auditLogger } = options;
+  const result = await pool.query(
+    'DELETE FROM user_permissions WHERE user_id = $1 AND permission = $2',
+    [userId, permission]
+  );
+
+  if (auditLogger && result.rowCount > 0) {
+    await auditLogger.log({
+      eventType: AUDIT_EVENTS.PERMISSION_CHANGE,
+      userId,
+      metadata: { permission, effect: null, changedBy }
+    });
+  }
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Change a user's role
+ * Tokens already issued keep the old role until they expire or are revoked.
+ * @param {Object} pool - pg Pool
+ * @param {number|string} userId - User ID
+ * @param {string} role - New role
+ * @param {Object} [options] - Options
+ * @param {number|string} [options.changedBy] - User ID of the admin making the change
+ * @param {Object} [options.auditLogger] - Records a role_change event
+ * @param {Object} [options.rbac] - RBAC instance used to validate the role (default: ADMIN, MIT, IT, USER)
+ * @returns {Promise<Object|null>} { from, to }, or null if the user does not exist
+ */
+async function setUserRole(pool, userId, role, options = {}) {
+  const { changedBy = null, auditLogger, rbac = defaultRBAC } = options;
+
+  if (!rbac.isValidRole(role)) {
+    throw new Error(`@latanda/auth-middleware: unknown role ${role}`);
+  }
+
+  const result = await pool.query(
+    `WITH previous AS (SELECT id, role FROM users WHERE id = $1 FOR UPDATE)
+     UPDATE users SET role = $2
+     FROM previous
+     WHERE users.id = previous.id
+     RETURNING previous.role AS previous_role`,
+    [userId, role]
+  );
+
+  if (result.rowCount === 0) return null;
+
+  const change = { from: result.rows[0].previous_role, to: role };
+
+  if (auditLogger && change.from !== change.to) {
+    await auditLogger.log({
+      eventType: AUDIT_EVENTS.ROLE_CHANGE,
+      userId,
+      metadata: { ...change, changedBy }
+    });
+  }
+
+  return change;
+}
+
+/**
+ * Create a loader for requirePermission({ loadPermissions }) that reads grants live from PostgreSQL
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @returns {Function} async (req) => { grants, denies }
+ */
+function createPermissionLoader(config = {}) {
+  const { pool } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the permission loader');
+  }
+
+  return function loadPermissions(req) {
+    return loadUserPermissions(pool, req.user.id);
+  };
+}
+
+module.exports = {
+  loadUserPermissions,
+  attachUserPermissions,
+  grantPermission,
+  denyPermission,
+  revokePermission,
+  setUserRole,
+  createPermissionLoader
+};
@@ -0,0 +1,320 @@
+/**
+ * Policy Engine (attribute-based access control)
+ * Rules are data: who (subject attributes), what (actions), on what (resource attributes)
+ * and when (conditions such as `resource.creator_id == subject.id`).
+ * Any matching deny wins over every allow (deny-overrides); no match means deny.
+ */
+
+const { policyGuard } = require('./core');
+const { expressMiddleware } = require('./middleware');
+
+const ROOTS = ['subject', 'resource', 'context', 'action'];
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>', 'in', 'contains'];
+
+/**
+ * Split a condition into tokens
+ * @param {string} source - Condition source
+ * @returns {Object[]} { type, value }
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][\w]*(?:\.[\w]+)*)|(==|!=|<=|>=|&&|\|\||[<>!()[\],]))/y;
+  let index = 0;
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`@latanda/auth-middleware: unexpected character in condition "${source}" at ${index}`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1] !== undefined) tokens.push({ type: 'literal', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'literal', value: match[3] });
+    else if (match[4] !== undefined) {
+      const word = match[4];
+      if (word === 'true' || word === 'false') tokens.push({ type: 'literal', value: word === 'true' });
+      else if (word === 'null') tokens.push({ type: 'literal', value: null });
+      else if (word === 'in' || word === 'contains') tokens.push({ type: 'op', value: word });
+      else tokens.push({ type: 'path', value: word });
+    } else tokens.push({ type: 'op', value: match[5] });
+  }
+
+  return tokens;
+}
+
+// == treats 42 and '42' as equal: IDs arrive as numbers from PostgreSQL and as strings from headers
+function looseEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a !== typeof b && ['number', 'string'].includes(typeof a) && ['number', 'string'].includes(typeof b)) {
+    return String(a) === String(b);
+  }
+  return false;
+}
+
+function compare(op, left, right) {
+  switch (op) {
+    case '==': return looseEqual(left, right);
+    case '!=': return !looseEqual(left, right);
+    case 'in': return Array.isArray(right) && right.some(item => looseEqual(left, item));
+    case 'contains': return Array.isArray(left) && left.some(item => looseEqual(item, right));
+    default:
+      // Ordering only between two numbers or two strings
+      if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) return false;
+      if (op === '<') return left < right;
+      if (op === '<=') return left <= right;
+      if (op === '>') return left > right;
+      return left >= right;
+  }
+}
+
+/**
+ * Compile a condition into a function of { subject, resource, context, action }
+ * Grammar: comparisons (== != < <= > >= in contains) joined with && || ! and parentheses.
+ * Operands: subject.*, resource.*, context.*, action, 'strings', numbers, true, false, null, [lists].
+ * @param {string} source - Condition source
+ * @returns {Function} (scope) => boolean
+ */
+function compileCondition(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+  const fail = (message) => {
+    throw new Error(`@latanda/auth-middleware: ${message} in condition "${source}"`);
+  };
+  const expect = (value) => {
+    if (!isOp(value)) fail(`expected "${value}"`);
+    position++;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('||')) {
+      position++;
+      const a = left;
+      const b = parseAnd();
+      left = scope => Boolean(a(scope)) || Boolean(b(scope));
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (isOp('&&')) {
+      position++;
+      const a = left;
+      const b = parseUnary();
+      left = scope => Boolean(a(scope)) && Boolean(b(scope));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('!')) {
+      position++;
+      const operand = parseUnary();
+      return scope => !operand(scope);
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+    if (token && token.type === 'op' && COMPARISONS.includes(token.value)) {
+      position++;
+      const right = parseOperand();
+      return scope => compare(token.value, left(scope), right(scope));
+    }
+    return left;
+  }
+
+  function parseOperand() {
+    const token = peek();
+    if (!token) fail('unexpected end');
+
+    if (token.type === 'literal') {
+      position++;
+      return () => token.value;
+    }
+
+    if (token.type === 'path') {
+      position++;
+      const [root, ...keys] = token.value.split('.');
+      if (!ROOTS.includes(root)) fail(`unknown attribute "${token.value}" (use ${ROOTS.join(', ')})`);
+      return (scope) => {
+        let value = scope[root];
+        for (const key of keys) {
+          if (value === null || value === undefined) return undefined;
+          value = value[key];
+        }
+        return value;
+      };
+    }
+
+    if (isOp('(')) {
+      position++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    if (isOp('[')) {
+      position++;
+      const items = [];
+      while (!isOp(']')) {
+        items.push(parseOperand());
+        if (!isOp(']')) expect(',');
+      }
+      position++;
+      return scope => items.map(item => item(scope));
+    }
+
+    return fail(`unexpected "${token.value}"`);
+  }
+
+  const evaluate = parseOr();
+  if (position < tokens.length) fail(`unexpected "${peek().value}"`);
+  return evaluate;
+}
+
+/**
+ * Check attributes against a matcher: { role: 'MIT' } or { role: ['MIT', 'ADMIN'] }
+ */
+function matchesAttributes(matcher, attributes) {
+  if (!matcher) return true;
+  if (!attributes) return false;
+
+  return Object.entries(matcher).every(([key, expected]) => {
+    const actual = attributes[key];
+    return Array.isArray(expected)
+      ? expected.some(item => looseEqual(actual, item))
+      : looseEqual(actual, expected);
+  });
+}
+
+function normalizeRule(rule, index) {
+  const id = rule.id || `rule_${index}`;
+  const effect = rule.effect || 'allow';
+
+  if (!['allow', 'deny'].includes(effect)) {
+    throw new Error(`@latanda/auth-middleware: policy rule ${id} has invalid effect ${effect}`);
+  }
+
+  const actions = [].concat(rule.actions || rule.action || '*');
+  const conditions = [].concat(rule.condition || rule.conditions || []).map((condition) => {
+    if (typeof condition === 'function') return condition;
+    if (typeof condition === 'string') return compileCondition(condition);
+    throw new Error(`@latanda/auth-middleware: policy rule ${id} has an invalid condition`);
+  });
+
+  return {
+    id,
+    effect,
+    actions,
+    subject: rule.subject,
+    resource: rule.resource,
+    conditions,
+    description: rule.description || null
+  };
+}
+
+/**
+ * Create a policy engine
+ * @param {Object} config - Configuration options
+ * @param {Object[]} config.rules - Rules:
+ *   { id, effect: 'allow'|'deny', actions: ['edit'] | '*', subject?: { role: 'MIT' },
+ *     resource?: { type: 'group' }, condition?: 'resource.creator_id == subject.id' | [...] | fn, description? }
+ * @returns {Object} Engine with evaluate, explain and requirePolicy
+ */
+function createPolicyEngine(config = {}) {
+  const { rules } = config;
+
+  if (!Array.isArray(rules)) {
+    throw new Error('@latanda/auth-middleware: createPolicyEngine requires rules');
+  }
+
+  // Compile every rule up front so a typo fails at startup, not on the first request
+  const compiled = rules.map(normalizeRule);
+
+  /**
+   * Evaluate a request and report which rules matched
+   * @param {Object} subject - Who (usually req.user)
+   * @param {string} action - What
+   * @param {Object} [resource] - On what
+   * @param {Object} [context] - Extra attributes (time, IP, ...)
+   * @returns {Object} { allowed, effect, rule, reason, matched: [ids] }
+   */
+  function explain(subject, action, resource = {}, context = {}) {
+    const scope = { subject, resource, context, action };
+    const matched = [];
+
+    for (const rule of compiled) {
+      if (!rule.actions.includes('*') && !rule.actions.includes(action)) continue;
+      if (!matchesAttributes(rule.subject, subject)) continue;
+      if (!matchesAttributes(rule.resource, resource)) continue;
+      if (!rule.conditions.every(condition => condition(scope))) continue;
+      matched.push(rule);
+    }
+
+    const deny = matched.find(rule => rule.effect === 'deny');
+    const allow = matched.find(rule => rule.effect === 'allow');
+    const decisive = deny || allow || null;
+
+    let reason;
+    if (deny) reason = `Denied by rule ${deny.id}`;
+    else if (allow) reason = `Allowed by rule ${allow.id}`;
+    else reason = `No rule allows ${action}`;
+
+    return {
+      allowed: !deny && Boolean(allow),
+      effect: deny ? 'deny' : allow ? 'allow' : 'default-deny',
+      rule: decisive ? decisive.id : null,
+      description: decisive ? decisive.description : null,
+      reason,
+      matched: matched.map(rule => rule.id)
+    };
+  }
+
+  /**
+   * Check whether an action is allowed
+   * @returns {boolean} True if allowed
+   */
+  function evaluate(subject, action, resource, context) {
+    return explain(subject, action, resource, context).allowed;
+  }
+
+  /**
+   * Middleware enforcing a policy decision for an action
+   * @param {string} action - Action name
+   * @param {Function} [loadResource] - async (req) => resource; null answers 404
+   * @param {Object} [options] - Options
+   * @param {Function} [options.getContext] - (req) => context attributes
+   * @param {string} [options.permission] - Permission the action needs; scoped tokens and API keys pass
+   *   only when their scopes cover it, and are refused (403 INSUFFICIENT_SCOPE / FORBIDDEN) when it is not set
+   * @param {Object} [options.scopes] - Scope catalog (see createScopeCatalog)
+   * @param {Object} [options.auditLogger] - Audit logger for denials (defaults to req.auditLogger)
+   * @returns {Function} Express middleware
+   */
+  function requirePolicy(action, loadResource, options = {}) {
+    return expressMiddleware(policyGuard({ explain }, action, loadResource, options));
+  }
+
+  return {
+    rules: compiled.map(({ id, effect, actions, description }) => ({ id, effect, actions, description })),
+    evaluate,
+    explain,
+    requirePolicy
+  };
+}
+
+module.exports = {
+  compileCondition,
+  createPolicyEngine
+};
@@ -2,6 +2,8 @@
  * Role-Based Access Control (RBAC) System
  * Extracted from La Tanda production system
  * Supports: ADMIN, MIT (Member-in-Trust), IT (Information Technology), USER
+ * Custom role sets: createRBAC({ roles })
+ * Group-scoped roles (coordinator, member) sit alongside the global ladder: GROUP_ROLES
  */
 
 /**
@@ -11,6 +13,7 @@ const ROLES = {
   ADMIN: {
     name: 'ADMIN',
     level: 100,
+    superuser: true, // ADMIN has all permissions
     permissions: [
       'full_access',
       'user_management',
@@ -59,75 +62,337 @@ const ROLES = {
 };
 
 /**
- * Check if user has specific permission
- * @param {string} userRole - User's role (ADMIN, MIT, IT, USER)
- * @param {string} requiredPermission - Permission to check
- * @returns {boolean} True if user has permission
+ * Roles a user holds inside one group (`group_memberships.role`)
+ * Independent of the global role: a USER can coordinate one tanda and be a member of another.
  */
-function hasPermission(userRole, requiredPermission) {
-  const role = ROLES[userRole];
-  if (!role) return false;
-
-  // ADMIN has all permissions
-  if (userRole === 'ADMIN') return true;
-
-  return role.permissions.includes(requiredPermission);
-}
+const GROUP_ROLES = {
+  coordinator: {
+    name: 'coordinator',
+    level: 50,
+    permissions: [
+      'edit_group_settings',
+      'approve_members',
+      'remove_members',
+      'view_group_analytics',
+      'record_payments'
+    ]
+  },
+  member: {
+    name: 'member',
+    level: 10,
+    permissions: [
+      'view_group',
+      'make_payments',
+      'view_group_members'
+    ]
+  }
+};
 
 /**
- * Check if user has any of the specified permissions
- * @param {string} userRole - User's role
- * @param {string[]} permissions - Array of permissions to check
- * @returns {boolean} True if user has at least one permission
+ * Normalize per-user permissions: an array of grants or { grants, denies }
+ * @param {string[]|Object} [userPermissions] - Per-user permissions
+ * @returns {Object} { grants, denies }
  */
-function hasAnyPermission(userRole, permissions) {
-  return permissions.some(permission => hasPermission(userRole, permission));
+function normalizeUserPermissions(userPermissions) {
+  if (!userPermissions) return { grants: [], denies: [] };
+  if (Array.isArray(userPermissions)) return { grants: userPermissions, denies: [] };
+
+  return {
+    grants: userPermissions.grants || [],
+    denies: userPermissions.denies || []
+  };
 }
 
 /**
- * Check if user has all of the specified permissions
- * @param {string} userRole - User's role
- * @param {string[]} permissions - Array of permissions to check
- * @returns {boolean} True if user has all permissions
+ * Format role names as "A, B, or C" for error messages
  */
-function hasAllPermissions(userRole, permissions) {
-  return permissions.every(permission => hasPermission(userRole, permission));
+function formatRoleList(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}`;
 }
 
 /**
- * Check if user's role is at or above required level
- * @param {string} userRole - User's role
- * @param {string} requiredRole - Minimum required role
- * @returns {boolean} True if user's role level meets requirement
+ * Check role definitions: unknown inherited roles, inheritance cycles, unknown permissions
+ * @param {Object} roles - Role definitions
+ * @param {string[]} [catalog] - Known permissions; when given, every role permission must be listed
  */
-function hasRoleLevel(userRole, requiredRole) {
-  const userRoleData = ROLES[userRole];
-  const requiredRoleData = ROLES[requiredRole];
+function validateRoles(roles, catalog) {
+  const names = Object.keys(roles);
+  if (names.length === 0) {
+    throw new Error('@latanda/auth-middleware: createRBAC requires at least one role');
+  }
 
-  if (!userRoleData || !requiredRoleData) return false;
+  for (const name of names) {
+    const role = roles[name];
 
-  return userRoleData.level >= requiredRoleData.level;
-}
+    if (!Array.isArray(role.permissions || [])) {
+      throw new Error(`@latanda/auth-middleware: permissions of role ${name} must be an array`);
+    }
+    if (role.level !== undefined && typeof role.level !== 'number') {
+      throw new Error(`@latanda/auth-middleware: level of role ${name} must be a number`);
+    }
+    for (const parent of role.inherits || []) {
+      if (!roles[parent]) {
+        throw new Error(`@latanda/auth-middleware: role ${name} inherits unknown role ${parent}`);
+      }
+    }
+    if (catalog) {
+      for (const permission of role.permissions || []) {
+        if (!catalog.includes(permission)) {
+          throw new Error(`@latanda/auth-middleware: role ${name} has unknown permission ${permission}`);
+        }
+      }
+    }
+  }
 
-/**
- * Get all permissions for a role
- * @param {string} role - Role name
- * @returns {string[]} Array of permissions
- */
-function getRolePermissions(role) {
-  const roleData = ROLES[role];
-  return roleData ? roleData.permissions : [];
+  // Depth-first search for inheritance cycles
+  const state = {}; // name -> 'visiting' | 'done'
+  function visit(name, path) {
+    if (state[name] === 'done') return;
+    if (state[name] === 'visiting') {
+      throw new Error(`@latanda/auth-middleware: role inheritance cycle ${[...path, name].join(' -> ')}`);
+    }
+    state[name] = 'visiting';
+    for (const parent of roles[name].inherits || []) {
+      visit(parent, [...path, name]);
+    }
+    state[name] = 'done';
+  }
+  names.forEach(name => visit(name, []));
 }
 
 /**
- * Check if role is valid
- * @param {string} role - Role to validate
- * @returns {boolean} True if role exists
+ * Create an RBAC instance for a custom set of roles
+ * @param {Object} config - Configuration options
+ * @param {Object} config.roles - Role definitions keyed by name:
+ *   { level?, permissions: [], inherits?: ['OTHER_ROLE'], superuser?: boolean }
+ * @param {string[]} [config.permissions] - Permission catalog used to reject unknown permissions
+ * @param {Object} [config.groupRoles=GROUP_ROLES] - Group-scoped roles keyed by name: { level, permissions? }
+ * @returns {Object} RBAC instance with role-bound checks and middleware
  */
-function isValidRole(role) {
-  return Object.keys(ROLES).includes(role);
+function createRBAC(config = {}) {
+  const { roles, permissions: catalog, groupRoles = GROUP_ROLES } = config;
+
+  if (!roles || typeof roles !== 'object') {
+    throw new Error('@latanda/auth-middleware: createRBAC requires roles');
+  }
+  validateRoles(roles, catalog);
+
+  for (const [name, role] of Object.entries(groupRoles)) {
+    if (typeof role.level !== 'number') {
+      throw new Error(`@latanda/auth-middleware: level of group role ${name} must be a number`);
+    }
+  }
+
+  // Role names including every inherited role, nearest first
+  function getRoleLineage(roleName) {
+    const lineage = [];
+    const queue = [roleName];
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (!roles[name] || lineage.includes(name)) continue;
+      lineage.push(name);
+      queue.push(...(roles[name].inherits || []));
+    }
+    return lineage;
+  }
+
+  /**
+   * Check if a role (or a role it inherits) has every permission
+   * @param {string} roleName - Role name
+   * @returns {boolean} True for superuser roles
+   */
+  function isSuperuser(roleName) {
+    return getRoleLineage(roleName).some(name => roles[name].superuser);
+  }
+
+  /**
+   * Check if user has specific permission
+   * Per-user denies win over role defaults and grants (even for superusers)
+   * @param {string} userRole - User's role
+   * @param {string} requiredPermission - Permission to check
+   * @param {string[]|Object} [userPermissions] - Per-user grants, or { grants, denies }
+   * @returns {boolean} True if user has permission
+   */
+  function hasPermission(userRole, requiredPermission, userPermissions) {
+    const { grants, denies } = normalizeUserPermissions(userPermissions);
+
+    if (denies.includes(requiredPermission)) return false;
+    if (grants.includes(requiredPermission)) return true;
+
+    if (!roles[userRole]) return false;
+    if (isSuperuser(userRole)) return true;
+
+    return getRolePermissions(userRole).includes(requiredPermission);
+  }
+
+  /**
+   * Check if user has any of the specified permissions
+   * @param {string} userRole - User's role
+   * @param {string[]} permissions - Array of permissions to check
+   * @param {string[]|Object} [userPermissions] - Per-user grants, or { grants, denies }
+   * @returns {boolean} True if user has at least one permission
+   */
+  function hasAnyPermission(userRole, permissions, userPermissions) {
+    return permissions.some(permission => hasPermission(userRole, permission, userPermissions));
+  }
+
+  /**
+   * Check if user has all of the specified permissions
+   * @param {string} userRole - User's role
+   * @param {string[]} permissions - Array of permissions to check
+   * @param {string[]|Object} [userPermissions] - Per-user grants, or { grants, denies }
+   * @returns {boolean} True if user has all permissions
+   */
+  function hasAllPermissions(userRole, permissions, userPermissions) {
+    return permissions.every(permission => hasPermission(userRole, permission, userPermissions));
+  }
+
+  /**
+   * Check if user's role is at or above required role
+   * A role meets the requirement if it is the required role, inherits it,
+   * or both roles have a numeric level and the user's is at least as high.
+   * @param {string} userRole - User's role
+   * @param {string} requiredRole - Minimum required role
+   * @returns {boolean} True if user's role meets requirement
+   */
+  function hasRoleLevel(userRole, requiredRole) {
+    const userRoleData = roles[userRole];
+    const requiredRoleData = roles[requiredRole];
+
+    if (!userRoleData || !requiredRoleData) return false;
+
+    if (getRoleLineage(userRole).includes(requiredRole)) return true;
+
+    if (typeof userRoleData.level === 'number' && typeof requiredRoleData.level === 'number') {
+      return userRoleData.level >= requiredRoleData.level;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get all permissions for a role, including inherited ones
+   * @param {string} role - Role name
+   * @returns {string[]} Array of permissions
+   */
+  function getRolePermissions(role) {
+    if (!roles[role]) return [];
+
+    const permissions = new Set();
+    for (const name of getRoleLineage(role)) {
+      (roles[name].permissions || []).forEach(permission => permissions.add(permission));
+    }
+    return [...permissions];
+  }
+
+  /**
+   * Get effective permissions: role permissions plus per-user grants, minus per-user denies
+   * @param {string} role - Role name
+   * @param {string[]|Object} [userPermissions] - Per-user grants, or { grants, denies }
+   * @returns {string[]} Array of permissions
+   */
+  function getEffectivePermissions(role, userPermissions) {
+    const { grants, denies } = normalizeUserPermissions(userPermissions);
+    const permissions = new Set([...getRolePermissions(role), ...grants]);
+
+    return [...permissions].filter(permission => !denies.includes(permission));
+  }
+
+  /**
+   * Check if role is valid
+   * @param {string} role - Role to validate
+   * @returns {boolean} True if role exists
+   */
+  function isValidRole(role) {
+    return Object.keys(roles).includes(role);
+  }
+
+  /**
+   * Human-readable list of valid roles ("ADMIN, MIT, IT, or USER")
+   * @returns {string} Role list
+   */
+  function describeRoles() {
+    return formatRoleList(Object.keys(roles));
+  }
+
+  /**
+   * Check if a group role is valid
+   * @param {string} groupRole - Group role to validate
+   * @returns {boolean} True if the group role exists
+   */
+  function isValidGroupRole(groupRole) {
+    return Object.keys(groupRoles).includes(groupRole);
+  }
+
+  /**
+   * Check if a group role is at or above the required group role
+   * @param {string} groupRole - User's role in the group
+   * @param {string} requiredGroupRole - Minimum group role
+   * @returns {boolean} True if the group role meets the requirement
+   */
+  function hasGroupRoleLevel(groupRole, requiredGroupRole) {
+    if (!isValidGroupRole(groupRole) || !isValidGroupRole(requiredGroupRole)) return false;
+    return groupRoles[groupRole].level >= groupRoles[requiredGroupRole].level;
+  }
+
+  /**
+   * Check if a group role has a group permission (lower group roles' permissions included)
+   * @param {string} groupRole - User's role in the group
+   * @param {string} permission - Permission to check
+   * @returns {boolean} True if the group role has the permission
+   */
+  function hasGroupPermission(groupRole, permission) {
+    if (!isValidGroupRole(groupRole)) return false;
+    return Object.keys(groupRoles).some(name =>
+      hasGroupRoleLevel(groupRole, name) && (groupRoles[name].permissions || []).includes(permission)
+    );
+  }
+
+  /**
+   * Human-readable list of valid group roles ("coordinator, or member")
+   * @returns {string} Group role list
+   */
+  function describeGroupRoles() {
+    return formatRoleList(Object.keys(groupRoles));
+  }
+
+  const instance = {
+    roles,
+    groupRoles,
+    hasPermission,
+    hasAnyPermission,
+    hasAllPermissions,
+    hasRoleLevel,
+    getRolePermissions,
+    getEffectivePermissions,
+    isValidRole,
+    isSuperuser,
+    describeRoles,
+    isValidGroupRole,
+    hasGroupRoleLevel,
+    hasGroupPermission,
+    describeGroupRoles,
+
+    // Middleware bound to this instance (required lazily: middleware.js depends on this module)
+    requireRole: (minimumRole, options = {}) =>
+      require('./middleware').requireRole(minimumRole, { ...options, rbac: instance }),
+    requirePermission: (requiredPermissions, options = {}) =>
+      require('./middleware').requirePermission(requiredPermissions, { ...options, rbac: instance }),
+    requireOwnership: (getResourceOwnerId, options = {}) =>
+      require('./middleware').requireOwnership(getResourceOwnerId, { ...options, rbac: instance }),
+    requireGroupRole: (groupRole, getGroupId, options = {}) =>
+      require('./middleware').requireGroupRole(groupRole, getGroupId, { ...options, rbac: instance }),
+    requireGroupMember: (getGroupId, options = {}) =>
+      require('./middleware').requireGroupMember(getGroupId, { ...options, rbac: instance })
+  };
+
+  return instance;
 }
 
+// Default instance backing the module-level functions (ADMIN, MIT, IT, USER)
+const defaultRBAC = createRBAC({ roles: ROLES });
+
 /**
  * Enforce resource ownership (user can only access their own resources)
  * @param {string} userId - Authenticated user ID
@@ -169,12 +434,19 @@ function canPerformGroupAction(userId, group, userRole, action) {
 
 module.exports = {
   ROLES,
-  hasPermission,
-  hasAnyPermission,
-  hasAllPermissions,
-  hasRoleLevel,
-  getRolePermissions,
-  isValidRole,
+  GROUP_ROLES,
+  createRBAC,
+  defaultRBAC,
+  hasPermission: defaultRBAC.hasPermission,
+  hasAnyPermission: defaultRBAC.hasAnyPermission,
+  hasAllPermissions: defaultRBAC.hasAllPermissions,
+  hasRoleLevel: defaultRBAC.hasRoleLevel,
+  getRolePermissions: defaultRBAC.getRolePermissions,
+  getEffectivePermissions: defaultRBAC.getEffectivePermissions,
+  isValidRole: defaultRBAC.isValidRole,
+  isValidGroupRole: defaultRBAC.isValidGroupRole,
+  hasGroupRoleLevel: defaultRBAC.hasGroupRoleLevel,
+  hasGroupPermission: defaultRBAC.hasGroupPermission,
   canAccessResource,
   canPerformGroupAction
 };
@@ -0,0 +1,367 @@
+/**
+ * Refresh Token Rotation
+ * Long-lived opaque refresh tokens stored hashed in PostgreSQL and grouped into families.
+ * Every refresh rotates the token; presenting an already-used token revokes the whole family.
+ */
+
+const crypto = require('crypto');
+const { generateToken } = require('./jwt');
+const { attachUserPermissions } = require('./permissions');
+const { AUDIT_EVENTS } = require('./audit');
+const { defaultScopeCatalog } = require('./scopes');
+const { hashToken, randomToken, requestContext, toSeconds } = require('./utils');
+const { authError, sendError } = require('./errors');
+
+/**
+ * Create a refresh token store backed by the `refresh_tokens` table
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool (rotation needs pool.connect() for a transaction)
+ * @param {number|string} [config.expiresIn='30d'] - Lifetime of each refresh token
+ * @returns {Object} Refresh token store
+ */
+function createRefreshTokenStore(config = {}) {
+  const { pool, expiresIn = '30d' } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the refresh token store');
+  }
+
+  const ttlSeconds = toSeconds(expiresIn);
+
+  async function insertToken(db, userId, familyId, parentId, { amr, authTime, scope }) {
+    const token = `rt_${randomToken(32)}`;
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    await db.query(
+      `INSERT INTO refresh_tokens (user_id, family_id, parent_id, token_hash, expires_at, amr, auth_time, scope)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        userId, familyId, parentId, hashToken(token), expiresAt,
+        amr && amr.length > 0 ? amr : null,
+        authTime,
+        scope ? [].concat(scope).join(' ') : null
+      ]
+    );
+
+    return { token, familyId, expiresAt };
+  }
+
+  /**
+   * Issue a refresh token starting a new family (call at login)
+   * @param {number|string} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {string[]} [options.amr] - Authentication methods of the login, kept for refreshed access tokens
+   * @param {number} [options.authTime=now] - Login time (seconds), kept as auth_time for refreshed access tokens
+   * @param {string|string[]} [options.scope] - Widest scope refreshed access tokens may have (unrestricted when omitted)
+   * @returns {Promise<Object>} { token, familyId, expiresAt }
+   */
+  async function issue(userId, options = {}) {
+    const { amr, authTime = Math.floor(Date.now() / 1000), scope } = options;
+    return insertToken(pool, userId, crypto.randomUUID(), null, { amr, authTime, scope });
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family
+   * Presenting a token that was already used revokes the whole family.
+   * @param {string} token - Refresh token
+   * @returns {Promise<Object>} { success, token, userId, familyId, expiresAt, amr, authTime, scope } or { success: false, error, code }
+   */
+  async function rotate(token) {
+    if (!token || typeof token !== 'string') {
+      return { success: false, error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, user_id, family_id, expires_at, used_at, revoked_at, amr, auth_time, scope
+         FROM refresh_tokens
+         WHERE token_hash = $1
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      const current = result.rows[0];
+
+      if (!current) {
+        await client.query('ROLLBACK');
+        return { success: false, error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' };
+      }
+
+      if (current.revoked_at) {
+        await client.query('ROLLBACK');
+        return { success: false, error: 'Refresh token revoked', code: 'REFRESH_TOKEN_REVOKED' };
+      }
+
+      // Reuse of a rotated token means it was stolen (or replayed) - kill the family
+      if (current.used_at) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+          [current.family_id]
+        );
+        await client.query('COMMIT');
+        return {
+          success: false,
+          error: 'Refresh token reuse detected',
+          code: 'REFRESH_TOKEN_REUSED',
+          familyRevoked: true,
+          userId: current.user_id,
+          familyId: current.family_id
+        };
+      }
+
+      if (new Date(current.expires_at).getTime() <= Date.now()) {
+        await client.query('ROLLBACK');
+        return { success: false, error: 'Refresh token expired', code: 'REFRESH_TOKEN_EXPIRED' };
+      }
+
+      await client.query(
+        'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [current.id]
+      );
+      const authTime = current.auth_time ? Number(current.auth_time) : null;
+      const scope = current.scope ? current.scope.split(' ') : null;
+      const next = await insertToken(client, current.user_id, current.family_id, current.id, {
+        amr: current.amr,
+        authTime,
+        scope
+      });
+
+      await client.query('COMMIT');
+
+      return { success: true, userId: current.user_id, amr: current.amr || [], authTime, scope, ...next };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a re-authentication on the family a refresh token belongs to, so tokens
+   * refreshed from it keep the new auth_time (and amr)
+   * @param {string} token - Refresh token
+   * @param {number|string} userId - Owner; tokens of other users are left alone
+   * @param {Object} authentication - { authTime (seconds), amr }
+   * @returns {Promise<boolean>} True if the family was updated
+   */
+  async function updateAuthentication(token, userId, authentication) {
+    const { authTime, amr } = authentication;
+    const result = await pool.query(
+      `UPDATE refresh_tokens SET auth_time = $3, amr = COALESCE($4, amr)
+       WHERE revoked_at IS NULL AND family_id = (
+         SELECT family_id FROM refresh_tokens WHERE token_hash = $1 AND user_id = $2
+       )`,
+      [hashToken(token), userId, authTime, amr && amr.length > 0 ? amr : null]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every token in a family
+   * @param {string} familyId - Family ID
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async function revokeFamily(familyId) {
+    const result = await pool.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+      [familyId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke every refresh token belonging to a user
+   * @param {number|string} userId - User ID
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async function revokeUserTokens(userId) {
+    const result = await pool.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke the family a refresh token belongs to (logout)
+   * @param {string} token - Refresh token
+   * @returns {Promise<boolean>} True if the token was found
+   */
+  async function revoke(token) {
+    const result = await pool.query(
+      'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(token)]
+    );
+    if (!result.rows[0]) return false;
+
+    await revokeFamily(result.rows[0].family_id);
+    return true;
+  }
+
+  /**
+   * Delete expired refresh tokens (wraps the cleanup_expired_refresh_tokens() SQL function)
+   * @returns {Promise<number>} Number of tokens deleted
+   */
+  async function cleanupExpired() {
+    const result = await pool.query('SELECT cleanup_expired_refresh_tokens() AS deleted');
+    return Number(result.rows[0].deleted);
+  }
+
+  return {
+    pool,
+    issue,
+    rotate,
+    revoke,
+    revokeFamily,
+    revokeUserTokens,
+    updateAuthentication,
+    cleanupExpired
+  };
+}
+
+/**
+ * Create an Express handler that exchanges a refresh token for a new access token
+ * Expects `refresh_token` in the JSON body and answers with a rotated pair.
+ * @param {Object} config - Configuration options
+ * @param {Object} config.refreshStore - Refresh token store (see createRefreshTokenStore)
+ * @param {string} config.jwtSecret - JWT secret key
+ * @param {Function} [config.loadUser] - async (userId) => user; defaults to an active row from `users`
+ *   with its per-user permissions
+ * @param {Object} [config.tokenOptions] - Options passed to generateToken
+ * @param {Object} [config.sessionStore] - Record a session for the new access token; reuse of a refresh token
+ *   also invalidates the sessions of the family's access tokens
+ * @param {Object} [config.cookies] - Cookie transport (see createCookieTransport); sets the new token cookie
+ *   and returns csrf_token instead of token
+ * @param {Object} [config.auditLogger] - Audit logger (see createAuditLogger); records token_refresh events
+ * @param {Object} [config.scopes] - Scope catalog (see createScopeCatalog) for a requested `scope`
+ * @returns {Function} Express route handler
+ */
+function createRefreshHandler(config = {}) {
+  const {
+    refreshStore,
+    jwtSecret,
+    tokenOptions = {},
+    sessionStore,
+    cookies,
+    auditLogger,
+    scopes = defaultScopeCatalog
+  } = config;
+
+  if (!refreshStore) {
+    throw new Error('@latanda/auth-middleware: refreshStore is required');
+  }
+  if (!jwtSecret) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required');
+  }
+
+  const loadUser = config.loadUser || (async (userId) => {
+    const result = await refreshStore.pool.query(
+      'SELECT id, email, role, email_verified FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+    return result.rows[0] ? attachUserPermissions(refreshStore.pool, result.rows[0]) : null;
+  });
+
+  return async function refreshHandler(req, res) {
+    const refreshToken = req.body && req.body.refresh_token;
+    const requestedScope = req.body && req.body.scope;
+
+    if (!refreshToken) {
+      return sendError(req, res, authError(400, 'NO_REFRESH_TOKEN', 'refresh_token is required'));
+    }
+
+    // Reject unknown scopes before the refresh token is used up
+    const scopeCheck = scopes.narrow(null, requestedScope);
+    if (!scopeCheck.valid) {
+      return sendError(req, res, authError(400, scopeCheck.code, scopeCheck.error));
+    }
+
+    try {
+      const rotation = await refreshStore.rotate(refreshToken);
+
+      if (!rotation.success) {
+        // The thief may already hold an access token from the family
+        if (rotation.familyRevoked && sessionStore) {
+          await sessionStore.revokeFamilySessions(rotation.familyId);
+        }
+        if (auditLogger) {
+          auditLogger.logRequest(req, AUDIT_EVENTS.TOKEN_REFRESH, {
+            userId: rotation.userId || null,
+            success: false,
+            errorMessage: rotation.error,
+            metadata: { code: rotation.code, familyId: rotation.familyId }
+          });
+        }
+        return sendError(req, res, authError(401, rotation.code, rotation.error));
+      }
+
+      // Reload the user so role changes and deactivation take effect on refresh
+      const user = await loadUser(rotation.userId);
+      if (!user) {
+        await refreshStore.revokeFamily(rotation.familyId);
+        if (sessionStore) await sessionStore.revokeFamilySessions(rotation.familyId);
+        return sendError(req, res, authError(401, 'INVALID_REFRESH_TOKEN', 'User not found or inactive'));
+      }
+
+      // A refreshed token proves the same factors, at the same time, as the login that started the family
+      if (rotation.amr && rotation.amr.length > 0) {
+        user.amr = rotation.amr;
+      }
+      if (rotation.authTime) {
+        user.auth_time = rotation.authTime;
+      }
+
+      // The access token may be narrower than the family, never wider
+      const narrowed = scopes.narrow(rotation.scope, requestedScope);
+      if (!narrowed.valid) {
+        // The old refresh token is spent: hand out its successor so the client keeps its session
+        return sendError(req, res, authError(400, narrowed.code, narrowed.error, { refresh_token: rotation.token }));
+      }
+      const accessTokenOptions = narrowed.scope ? { ...tokenOptions, scope: narrowed.scope } : tokenOptions;
+
+      const token = generateToken(user, jwtSecret, accessTokenOptions);
+      // Not issueToken: a refresh is not a login, so no login audit event
+      if (sessionStore) {
+        await sessionStore.createSession(token, {
+          ...requestContext(req),
+          userId: user.id,
+          refreshFamilyId: rotation.familyId
+        });
+      }
+
+      if (auditLogger) {
+        auditLogger.logRequest(req, AUDIT_EVENTS.TOKEN_REFRESH, {
+          userId: user.id,
+          metadata: { familyId: rotation.familyId }
+        });
+      }
+
+      const response = {
+        success: true,
+        token,
+        refresh_token: rotation.token,
+        expires_in: tokenOptions.expiresIn || '8h'
+      };
+      if (narrowed.scope) {
+        response.scope = narrowed.scope.join(' ');
+      }
+
+      if (cookies) {
+        delete response.token;
+        response.csrf_token = cookies.setAuthCookie(res, token);
+      }
+
+      return res.json(response);
+    } catch (error) {
+      return sendError(req, res, authError(500, 'REFRESH_FAILED', 'Failed to refresh token'));
+    }
+  };
+}
+
+module.exports = {
+  createRefreshTokenStore,
+  createRefreshHandler
+};
@@ -0,0 +1,133 @@
+/**
+ * Token Revocation (jti denylist)
+ * Kill a specific token before it expires. Entries expire together with the token.
+ */
+
+const { decodeToken } = require('./jwt');
+
+/**
+ * Add revokeToken() on top of a backend exposing revoke(jti, expiresAt, userId)
+ * @param {Object} backend - Store backend
+ * @returns {Object} Revocation store
+ */
+function withRevokeToken(backend) {
+  /**
+   * Revoke a token by its jti claim
+   * @param {string} token - JWT token to revoke
+   * @returns {Object|Promise<Object>} { success, jti } or { success: false, error }
+   */
+  function revokeToken(token) {
+    const decoded = decodeToken(token);
+    if (!decoded || !decoded.payload) {
+      return { success: false, error: 'Invalid token format' };
+    }
+
+    const { jti, exp, user_id: userId } = decoded.payload;
+    if (!jti) {
+      return { success: false, error: 'Token has no jti claim' };
+    }
+
+    // Without exp the entry has to outlive any token, so keep it for a day
+    const expiresAt = exp ? new Date(exp * 1000) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const result = backend.revoke(jti, expiresAt, userId);
+
+    if (result && typeof result.then === 'function') {
+      return result.then(() => ({ success: true, jti }));
+    }
+    return { success: true, jti };
+  }
+
+  return { ...backend, revokeToken };
+}
+
+/**
+ * Create an in-memory revocation store
+ * Synchronous, so it can also be passed to validateToken(). Not shared across processes.
+ * @returns {Object} Revocation store
+ */
+function createMemoryRevocationStore() {
+  const entries = new Map(); // jti -> expiry timestamp (ms)
+
+  function purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+    for (const [jti, expiresAt] of entries) {
+      if (expiresAt <= now) {
+        entries.delete(jti);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  function revoke(jti, expiresAt) {
+    entries.set(jti, new Date(expiresAt).getTime());
+    purgeExpired();
+  }
+
+  function isRevoked(jti) {
+    const expiresAt = entries.get(jti);
+    if (expiresAt === undefined) return false;
+
+    if (expiresAt <= Date.now()) {
+      entries.delete(jti);
+      return false;
+    }
+    return true;
+  }
+
+  return withRevokeToken({
+    synchronous: true,
+    revoke,
+    isRevoked,
+    purgeExpired
+  });
+}
+
+/**
+ * Create a revocation store backed by the `revoked_tokens` table
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @returns {Object} Revocation store
+ */
+function createPgRevocationStore(config = {}) {
+  const { pool } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the revocation store');
+  }
+
+  async function revoke(jti, expiresAt, userId = null) {
+    await pool.query(
+      `INSERT INTO revoked_tokens (jti, user_id, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (jti) DO NOTHING`,
+      [jti, userId, expiresAt]
+    );
+  }
+
+  async function isRevoked(jti) {
+    const result = await pool.query(
+      'SELECT 1 FROM revoked_tokens WHERE jti = $1 AND expires_at > CURRENT_TIMESTAMP',
+      [jti]
+    );
+    return result.rows.length > 0;
+  }
+
+  async function purgeExpired() {
+    const result = await pool.query('SELECT cleanup_revoked_tokens() AS deleted');
+    return Number(result.rows[0].deleted);
+  }
+
+  return withRevokeToken({
+    synchronous: false,
+    revoke,
+    isRevoked,
+    purgeExpired
+  });
+}
+
+module.exports = {
+  createMemoryRevocationStore,
+  createPgRevocationStore
+};
@@ -0,0 +1,242 @@
+/**
+ * OAuth2-Style Token Scopes
+ * A `scope` claim limits a token to part of what its user may do (e.g. a read-only token for a
+ * reporting dashboard). Each scope maps to the permissions it covers; a request needs both the
+ * permission (role and per-user grants) and a scope covering it. Tokens without a scope claim are unrestricted.
+ */
+
+const { generateToken, validateToken, decodeToken } = require('./jwt');
+const { requestContext, toSeconds } = require('./utils');
+const { AuthenticationRequiredError, InvalidTokenError, authError, sendError } = require('./errors');
+
+/**
+ * Default scopes and the permissions they cover (see ROLES in rbac.js)
+ */
+const SCOPES = {
+  'profile:read': ['view_own_profile'],
+  'profile:write': ['view_own_profile', 'edit_own_profile'],
+  'transactions:read': ['view_own_transactions'],
+  'payments:write': ['make_payments'],
+  'groups:read': ['view_group', 'view_group_members', 'view_group_analytics'],
+  'groups:write': ['create_groups', 'join_groups', 'manage_own_groups', 'edit_group_settings', 'approve_members'],
+  'analytics:read': ['view_analytics', 'view_group_analytics'],
+  'deposits:approve': ['approve_deposits'],
+  'logs:read': ['view_system_logs'],
+  admin: ['full_access', 'user_management', 'system_config', 'manage_groups', 'manage_roles', 'delete_users', 'system_settings']
+};
+
+/**
+ * Parse a scope claim or request parameter
+ * @param {string|string[]|null} value - 'a b' (OAuth form) or ['a', 'b']
+ * @returns {string[]|null} Scopes, or null when absent (unrestricted)
+ */
+function parseScope(value) {
+  if (value === undefined || value === null) return null;
+  const scopes = Array.isArray(value) ? value : String(value).split(' ');
+  return [...new Set(scopes.map(scope => String(scope).trim()).filter(Boolean))];
+}
+
+/**
+ * Create a scope catalog
+ * @param {Object} [definitions=SCOPES] - Scope name → permissions it covers
+ * @returns {Object} Catalog
+ */
+function createScopeCatalog(definitions = SCOPES) {
+  for (const [name, permissions] of Object.entries(definitions)) {
+    if (/\s/.test(name) || !Array.isArray(permissions)) {
+      throw new Error(`@latanda/auth-middleware: invalid scope definition ${name}`);
+    }
+  }
+
+  /**
+   * Check that every scope is defined
+   * @param {string[]} scopes - Scopes
+   * @returns {string[]} Unknown scopes
+   */
+  function unknownScopes(scopes) {
+    return scopes.filter(scope => !Object.prototype.hasOwnProperty.call(definitions, scope));
+  }
+
+  /**
+   * Permissions covered by a set of scopes
+   * @param {string[]} scopes - Scopes
+   * @returns {string[]} Permissions
+   */
+  function permissionsFor(scopes) {
+    const permissions = new Set();
+    for (const scope of scopes) {
+      (definitions[scope] || []).forEach(permission => permissions.add(permission));
+    }
+    return [...permissions];
+  }
+
+  /**
+   * Check whether a token's scope allows a permission
+   * @param {string[]|null} tokenScopes - Token scopes (null = unrestricted)
+   * @param {string} permission - Permission
+   * @returns {boolean} True if allowed
+   */
+  function allowsPermission(tokenScopes, permission) {
+    if (!tokenScopes) return true;
+    return tokenScopes.some(scope => (definitions[scope] || []).includes(permission));
+  }
+
+  /**
+   * Narrow a scope: the result never grants more than `current`
+   * @param {string[]|null} current - Current scopes (null = unrestricted)
+   * @param {string|string[]|null} requested - Requested scopes (absent = keep current)
+   * @returns {Object} { valid, scope } or { valid: false, error, code: 'INVALID_SCOPE' }
+   */
+  function narrow(current, requested) {
+    const wanted = parseScope(requested);
+    if (!wanted) return { valid: true, scope: current };
+
+    if (wanted.length === 0) {
+      return { valid: false, error: 'Empty scope', code: 'INVALID_SCOPE' };
+    }
+
+    const unknown = unknownScopes(wanted);
+    if (unknown.length > 0) {
+      return { valid: false, error: `Unknown scope: ${unknown.join(' ')}`, code: 'INVALID_SCOPE' };
+    }
+
+    if (current) {
+      const wider = wanted.filter(scope => !current.includes(scope));
+      if (wider.length > 0) {
+        return { valid: false, error: `Scope cannot be widened: ${wider.join(' ')}`, code: 'INVALID_SCOPE' };
+      }
+    }
+
+    return { valid: true, scope: wanted };
+  }
+
+  return {
+    scopes: Object.keys(definitions),
+    unknownScopes,
+    permissionsFor,
+    allowsPermission,
+    narrow
+  };
+}
+
+// Default catalog backing requireScope and requirePermission
+const defaultScopeCatalog = createScopeCatalog(SCOPES);
+
+/**
+ * Exchange a token for one with a narrower scope (and at most the same lifetime)
+ * @param {string} token - Current token
+ * @param {string|Object} secret - JWT secret key (or a key ring)
+ * @param {Object} options - Options
+ * @param {string|string[]} options.scope - Requested scope, within the token's scope
+ * @param {number|string} [options.expiresIn] - Shorter lifetime (a positive duration); never beyond the current token's exp
+ * @param {Object} [options.catalog] - Scope catalog (see createScopeCatalog)
+ * @param {Object} [options.tokenOptions] - Options passed to validateToken/generateToken
+ * @returns {Object} { success, token, scope, expires_in } or { success: false, error, code }
+ *   (code INVALID_TOKEN, INVALID_SCOPE or INVALID_REQUEST)
+ */
+function downscopeToken(token, secret, options = {}) {
+  const { scope, expiresIn, catalog = defaultScopeCatalog, tokenOptions = {} } = options;
+
+  const validation = validateToken(token, secret, tokenOptions);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: 'INVALID_TOKEN' };
+  }
+
+  if (parseScope(scope) === null) {
+    return { success: false, error: 'scope is required', code: 'INVALID_SCOPE' };
+  }
+
+  const narrowed = catalog.narrow(validation.scope, scope);
+  if (!narrowed.valid) {
+    return { success: false, error: narrowed.error, code: narrowed.code };
+  }
+
+  let requested = null;
+  if (expiresIn !== undefined && expiresIn !== null) {
+    try {
+      requested = toSeconds(expiresIn);
+    } catch (error) {
+      requested = NaN;
+    }
+    // A zero or negative lifetime would mint a token that is already expired
+    if (!Number.isFinite(requested) || requested <= 0) {
+      return { success: false, error: 'expires_in must be a positive duration', code: 'INVALID_REQUEST' };
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const remaining = decodeToken(token).payload.exp - now;
+  const lifetime = requested !== null ? Math.min(requested, remaining) : remaining;
+
+  const exchanged = generateToken({
+    id: validation.user_id,
+    email: validation.email,
+    role: validation.role,
+    permissions: validation.permissions,
+    denied_permissions: validation.denied_permissions,
+    email_verified: validation.email_verified,
+    amr: validation.amr,
+    auth_time: validation.auth_time
+  }, secret, {
+    ...tokenOptions,
+    expiresIn: lifetime,
+    scope: narrowed.scope,
+    actor: validation.act ? { id: validation.act.sub, email: validation.act.email, role: validation.act.role } : undefined
+  });
+
+  return { success: true, token: exchanged, scope: narrowed.scope.join(' '), expires_in: lifetime };
+}
+
+/**
+ * Create an Express token exchange route: POST { scope, expires_in? } → a down-scoped token
+ * Must be used AFTER authMiddleware (the current token is exchanged).
+ * @param {Object} config - Configuration options
+ * @param {string|Object} config.jwtSecret - JWT secret key (or a key ring)
+ * @param {Object} [config.tokenOptions] - Options passed to validateToken/generateToken
+ * @param {Object} [config.catalog] - Scope catalog (see createScopeCatalog)
+ * @param {Object} [config.sessionStore] - Record a session for the exchanged token; required when the
+ *   authMiddleware enforces sessions, which otherwise rejects the new token
+ * @returns {Function} Express route handler
+ */
+function createTokenExchangeHandler(config = {}) {
+  const { jwtSecret, tokenOptions = {}, catalog = defaultScopeCatalog, sessionStore } = config;
+
+  if (!jwtSecret) {
+    throw new Error('@latanda/auth-middleware: jwtSecret is required');
+  }
+
+  return async function tokenExchangeHandler(req, res) {
+    if (!req.token) {
+      return sendError(req, res, new AuthenticationRequiredError());
+    }
+
+    const { scope, expires_in: expiresIn } = req.body || {};
+    const result = downscopeToken(req.token, jwtSecret, { scope, expiresIn, catalog, tokenOptions });
+
+    if (!result.success) {
+      const error = result.code === 'INVALID_TOKEN'
+        ? new InvalidTokenError({}, { message: result.error })
+        : authError(400, result.code, result.error);
+      return sendError(req, res, error);
+    }
+
+    if (sessionStore) {
+      try {
+        await sessionStore.createSession(result.token, { ...requestContext(req), userId: req.user.id });
+      } catch (error) {
+        return sendError(req, res, authError(500, 'TOKEN_EXCHANGE_FAILED', 'Failed to record the exchanged token'));
+      }
+    }
+
+    return res.json(result);
+  };
+}
+
+module.exports = {
+  SCOPES,
+  parseScope,
+  createScopeCatalog,
+  defaultScopeCatalog,
+  downscopeToken,
+  createTokenExchangeHandler
+};
@@ -0,0 +1,525 @@
+/**
+ * PostgreSQL Session Store
+ * Tracks issued tokens in the `sessions` table so they can be revoked on logout,
+ * and lets users (and admins) list and revoke signed-in devices
+ */
+
+const { generateToken, decodeToken } = require('./jwt');
+const { hashToken, requestContext } = require('./utils');
+const { AUDIT_EVENTS } = require('./audit');
+const { defaultRBAC } = require('./rbac');
+const { permissionGuard } = require('./core');
+const { AuthenticationRequiredError, authError, sendError } = require('./errors');
+
+// First match wins: Edge and Opera also claim to be Chrome, Chrome also claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /OPR\/(\d+)/],
+  ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).* OS (\d+)/],
+  ['Android', /Android (\d+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X (\d+[._]\d+)/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Describe the device behind a user agent, for session listings
+ * Best effort: unknown parts are null.
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {Object} { browser, browserVersion, os, osVersion, type } (type: desktop, mobile, tablet, bot)
+ */
+function parseUserAgent(userAgent) {
+  const ua = userAgent || '';
+  const match = (list) => {
+    for (const [name, pattern] of list) {
+      const found = pattern.exec(ua);
+      if (found) return { name, version: found[1] ? found[1].replace('_', '.') : null };
+    }
+    return { name: null, version: null };
+  };
+
+  const browser = match(BROWSERS);
+  const os = match(OPERATING_SYSTEMS);
+
+  let type = ua ? 'desktop' : null;
+  if (/bot|crawler|spider|curl|wget/i.test(ua)) type = 'bot';
+  else if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) type = 'tablet';
+  else if (/Mobi|iPhone|iPod/.test(ua)) type = 'mobile';
+
+  return { browser: browser.name, browserVersion: browser.version, os: os.name, osVersion: os.version, type };
+}
+
+function toSession(row) {
+  return {
+    id: row.id,
+    current: Boolean(row.current),
+    device: parseUserAgent(row.user_agent),
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastRefreshAt: row.last_refresh_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Create a session store backed by the `sessions` table
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool (or any object with a compatible query method)
+ * @param {Object} [config.auditLogger] - Audit logger (see createAuditLogger); records login and logout
+ * @returns {Object} Session store
+ */
+function createSessionStore(config = {}) {
+  const { pool, auditLogger } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the session store');
+  }
+
+  /**
+   * Record a session row for an already-issued token
+   * @param {string} token - JWT token
+   * @param {Object} details - Session details
+   * @param {number|string} details.userId - Owner of the session
+   * @param {string} [details.ipAddress] - Client IP address
+   * @param {string} [details.userAgent] - Client user agent
+   * @param {Date} [details.expiresAt] - Defaults to the token's exp claim
+   * @param {string} [details.refreshFamilyId] - Refresh token family: refreshed tokens of one login
+   *   count as one session
+   * @returns {Promise<Object>} Created session row
+   */
+  async function createSession(token, details = {}) {
+    let { userId, ipAddress = null, userAgent = null, expiresAt, refreshFamilyId = null } = details;
+
+    if (!expiresAt) {
+      const decoded = decodeToken(token);
+      if (!decoded || !decoded.payload || !decoded.payload.exp) {
+        throw new Error('@latanda/auth-middleware: cannot create a session for a token without exp');
+      }
+      expiresAt = new Date(decoded.payload.exp * 1000);
+      if (userId === undefined) userId = decoded.payload.user_id;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO sessions (user_id, token_hash, ip_address, user_agent, expires_at, refresh_family_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, user_id, created_at, expires_at, refresh_family_id`,
+      [userId, hashToken(token), ipAddress, userAgent, expiresAt, refreshFamilyId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Generate a token and record its session in one step
+   * @param {Object} user - User object from database
+   * @param {string} secret - JWT secret key
+   * @param {Object} [options] - Options passed to generateToken
+   * @param {Object} [context] - Session context, see requestContext(); may include refreshFamilyId
+   * @returns {Promise<Object>} { token, session }
+   */
+  async function issueToken(user, secret, options = {}, context = {}) {
+    const token = generateToken(user, secret, options);
+    const userId = user.id || user.user_id;
+    const session = await createSession(token, {
+      userId,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      refreshFamilyId: context.refreshFamilyId
+    });
+
+    if (auditLogger) {
+      auditLogger.log({
+        eventType: AUDIT_EVENTS.LOGIN,
+        userId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        metadata: { sessionId: session.id }
+      });
+    }
+
+    return { token, session };
+  }
+
+  /**
+   * Check that a token still has a live session
+   * @param {string} token - JWT token
+   * @returns {Promise<Object>} { valid, session } or { valid: false, error }
+   */
+  async function validateSession(token) {
+    const result = await pool.query(
+      `SELECT id, user_id, created_at, expires_at, is_valid
+       FROM sessions
+       WHERE token_hash = $1`,
+      [hashToken(token)]
+    );
+
+    const session = result.rows[0];
+    if (!session) {
+      return { valid: false, error: 'Session not found' };
+    }
+    if (!session.is_valid) {
+      return { valid: false, error: 'Session revoked' };
+    }
+    if (new Date(session.expires_at).getTime() <= Date.now()) {
+      return { valid: false, error: 'Session expired' };
+    }
+
+    return { valid: true, session };
+  }
+
+  /**
+   * Invalidate the session for a token (logout)
+   * @param {string} token - JWT token
+   * @param {Object} [context] - Request context for the audit log, see requestContext()
+   * @returns {Promise<boolean>} True if a session was invalidated
+   */
+  async function revokeSession(token, context = {}) {
+    const result = await pool.query(
+      'UPDATE sessions SET is_valid = false WHERE token_hash = $1 AND is_valid = true RETURNING user_id',
+      [hashToken(token)]
+    );
+
+    if (auditLogger && result.rowCount > 0) {
+      auditLogger.log({
+        eventType: AUDIT_EVENTS.LOGOUT,
+        userId: result.rows[0].user_id,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Move a live session to a new token (re-authentication re-signs the token without a new session)
+   * @param {string} oldToken - Token the session was recorded for
+   * @param {string} newToken - Replacement token
+   * @returns {Promise<boolean>} True if a live session was moved
+   */
+  async function replaceToken(oldToken, newToken) {
+    const result = await pool.query(
+      `UPDATE sessions SET token_hash = $2
+       WHERE token_hash = $1 AND is_valid = true AND expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(oldToken), hashToken(newToken)]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Invalidate every session belonging to a user
+   * @param {number|string} userId - User ID
+   * @returns {Promise<number>} Number of sessions invalidated
+   */
+  async function revokeUserSessions(userId) {
+    const result = await pool.query(
+      'UPDATE sessions SET is_valid = false WHERE user_id = $1 AND is_valid = true',
+      [userId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Invalidate the sessions of every access token issued from a refresh token family
+   * @param {string} refreshFamilyId - Refresh token family ID
+   * @returns {Promise<number>} Number of sessions invalidated
+   */
+  async function revokeFamilySessions(refreshFamilyId) {
+    const result = await pool.query(
+      'UPDATE sessions SET is_valid = false WHERE refresh_family_id = $1 AND is_valid = true',
+      [refreshFamilyId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * List a user's live sessions, one per login (rows of one refresh token family are merged)
+   * @param {number|string} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.currentSessionId] - Mark the session containing this row as current (req.sessionId)
+   * @returns {Promise<Object[]>} { id, current, device, ipAddress, userAgent, createdAt, lastRefreshAt, expiresAt },
+   *   most recently refreshed first
+   */
+  async function listUserSessions(userId, options = {}) {
+    const { currentSessionId = null } = options;
+    const result = await pool.query(
+      `SELECT MAX(id) AS id,
+              COALESCE(BOOL_OR(id = $2), false) AS current,
+              (ARRAY_AGG(ip_address::text ORDER BY created_at DESC))[1] AS ip_address,
+              (ARRAY_AGG(user_agent ORDER BY created_at DESC))[1] AS user_agent,
+              MIN(created_at) AS created_at,
+              MAX(created_at) AS last_refresh_at,
+              MAX(expires_at) AS expires_at
+       FROM sessions
+       WHERE user_id = $1 AND is_valid = true AND expires_at > CURRENT_TIMESTAMP
+       GROUP BY COALESCE(refresh_family_id::text, id::text)
+       ORDER BY last_refresh_at DESC`,
+      [userId, currentSessionId]
+    );
+
+    return result.rows.map(toSession);
+  }
+
+  /**
+   * Invalidate one of a user's sessions, with the other rows of its login
+   * @param {number|string} userId - User ID (a session of another user is never touched)
+   * @param {number} sessionId - Session ID (as listed by listUserSessions)
+   * @returns {Promise<Object>} { count, refreshFamilyIds } - revoke those families to stop refreshes
+   */
+  async function revokeUserSession(userId, sessionId) {
+    const result = await pool.query(
+      `UPDATE sessions SET is_valid = false
+       WHERE user_id = $1 AND is_valid = true
+         AND (id = $2 OR refresh_family_id = (SELECT refresh_family_id FROM sessions WHERE id = $2 AND user_id = $1))
+       RETURNING refresh_family_id`,
+      [userId, sessionId]
+    );
+
+    return revokedRows(result);
+  }
+
+  /**
+   * Invalidate all of a user's sessions except the current login
+   * @param {number|string} userId - User ID
+   * @param {number} currentSessionId - Session to keep (req.sessionId), with the other rows of its login
+   * @returns {Promise<Object>} { count, refreshFamilyIds }
+   */
+  async function revokeOtherSessions(userId, currentSessionId) {
+    const result = await pool.query(
+      `UPDATE sessions SET is_valid = false
+       WHERE user_id = $1 AND is_valid = true AND id <> $2
+         AND (refresh_family_id IS NULL
+              OR refresh_family_id IS DISTINCT FROM (SELECT refresh_family_id FROM sessions WHERE id = $2))
+       RETURNING refresh_family_id`,
+      [userId, currentSessionId]
+    );
+
+    return revokedRows(result);
+  }
+
+  function revokedRows(result) {
+    const families = result.rows.map(row => row.refresh_family_id).filter(Boolean);
+    return { count: result.rowCount, refreshFamilyIds: [...new Set(families)] };
+  }
+
+  /**
+   * Delete expired sessions (wraps the cleanup_expired_sessions() SQL function)
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async function cleanupExpiredSessions() {
+    const result = await pool.query('SELECT cleanup_expired_sessions() AS deleted');
+    return Number(result.rows[0].deleted);
+  }
+
+  return {
+    createSession,
+    issueToken,
+    validateSession,
+    revokeSession,
+    replaceToken,
+    revokeUserSessions,
+    revokeFamilySessions,
+    listUserSessions,
+    revokeUserSession,
+    revokeOtherSessions,
+    cleanupExpiredSessions
+  };
+}
+
+/**
+ * Create Express handlers for session management ("log out everywhere")
+ * Must be used AFTER an authMiddleware configured with the same sessionStore, which then rejects
+ * revoked sessions on their next request. With a `userId` route parameter the handlers act on
+ * that user, which requires `user_management` (403 FORBIDDEN otherwise).
+ * @param {Object} config - Configuration options
+ * @param {Object} config.sessionStore - Session store (see createSessionStore)
+ * @param {Object} [config.refreshStore] - Also revoke the refresh tokens of revoked sessions
+ * @param {Object} [config.rbac] - RBAC instance used for the `user_management` check
+ * @param {Object} [config.auditLogger] - Audit logger; records session_revoked events
+ * @returns {Object} { list, revoke, revokeOthers, revokeAll } Express route handlers
+ */
+function createSessionHandlers(config = {}) {
+  const { sessionStore, refreshStore, rbac = defaultRBAC, auditLogger } = config;
+
+  if (!sessionStore) {
+    throw new Error('@latanda/auth-middleware: sessionStore is required for the session handlers');
+  }
+
+  const checkUserManagement = permissionGuard('user_management', { rbac, auditLogger });
+
+  /**
+   * Resolve the user the request acts on, or send the error response
+   * @returns {number|string|null} User ID, or null if a response was sent
+   */
+  function targetUser(req, res) {
+    if (!req.user) {
+      sendError(req, res, new AuthenticationRequiredError());
+      return null;
+    }
+
+    const requested = req.params && req.params.userId;
+    if (requested === undefined || String(requested) === String(req.user.id)) {
+      return req.user.id;
+    }
+
+    const decision = checkUserManagement(req);
+    if (!decision.allow) {
+      sendError(req, res, decision.error);
+      return null;
+    }
+    return requested;
+  }
+
+  async function finishRevocation(req, userId, revoked, metadata) {
+    if (refreshStore) {
+      for (const familyId of revoked.refreshFamilyIds) {
+        await refreshStore.revokeFamily(familyId);
+      }
+    }
+    if (auditLogger && revoked.count > 0) {
+      auditLogger.logRequest(req, AUDIT_EVENTS.SESSION_REVOKED, {
+        userId,
+        metadata: { ...metadata, count: revoked.count, revokedBy: req.user.id }
+      });
+    }
+  }
+
+  function failed(req, res) {
+    return sendError(req, res, authError(500, 'SESSION_UPDATE_FAILED', 'Failed to update sessions'));
+  }
+
+  /**
+   * GET: live sessions with device info; `current` marks the session of this request
+   */
+  async function list(req, res) {
+    const userId = targetUser(req, res);
+    if (userId === null) return undefined;
+
+    try {
+      const currentSessionId = String(userId) === String(req.user.id) ? req.sessionId : undefined;
+      const sessions = await sessionStore.listUserSessions(userId, { currentSessionId });
+      return res.json({ success: true, sessions });
+    } catch (error) {
+      return failed(req, res);
+    }
+  }
+
+  /**
+   * DELETE /:sessionId: revoke one session (the current one logs out)
+   */
+  async function revoke(req, res) {
+    const userId = targetUser(req, res);
+    if (userId === null) return undefined;
+
+    const sessionId = Number(req.params.sessionId);
+    if (!Number.isInteger(sessionId)) {
+      return sendError(req, res, authError(400, 'INVALID_SESSION_ID', 'Invalid session ID'));
+    }
+
+    try {
+      const revoked = await sessionStore.revokeUserSession(userId, sessionId);
+      if (revoked.count === 0) {
+        return sendError(req, res, authError(404, 'SESSION_NOT_FOUND', 'Session not found'));
+      }
+      await finishRevocation(req, userId, revoked, { sessionId });
+      return res.json({ success: true, revoked: revoked.count });
+    } catch (error) {
+      return failed(req, res);
+    }
+  }
+
+  /**
+   * DELETE /others: revoke every session except the current one
+   */
+  async function revokeOthers(req, res) {
+    const userId = targetUser(req, res);
+    if (userId === null) return undefined;
+
+    if (req.sessionId === undefined || String(userId) !== String(req.user.id)) {
+      return sendError(req, res, authError(400, 'NO_CURRENT_SESSION', 'No current session (authMiddleware needs the sessionStore)'));
+    }
+
+    try {
+      const revoked = await sessionStore.revokeOtherSessions(userId, req.sessionId);
+      await finishRevocation(req, userId, revoked, { scope: 'others' });
+      return res.json({ success: true, revoked: revoked.count });
+    } catch (error) {
+      return failed(req, res);
+    }
+  }
+
+  /**
+   * DELETE /: revoke every session, the current one included, and every refresh token
+   */
+  async function revokeAll(req, res) {
+    const userId = targetUser(req, res);
+    if (userId === null) return undefined;
+
+    try {
+      const count = await sessionStore.revokeUserSessions(userId);
+      if (refreshStore) {
+        await refreshStore.revokeUserTokens(userId);
+      }
+      await finishRevocation(req, userId, { count, refreshFamilyIds: [] }, { scope: 'all' });
+      return res.json({ success: true, revoked: count });
+    } catch (error) {
+      return failed(req, res);
+    }
+  }
+
+  return { list, revoke, revokeOthers, revokeAll };
+}
+
+/**
+ * Create an Express router for session management; mount it after authMiddleware
+ *   GET    /                        list my sessions
+ *   DELETE /others                  revoke all but the current session
+ *   DELETE /:sessionId              revoke one session
+ *   DELETE /                        revoke all sessions
+ *   GET    /users/:userId           (user_management) list a user's sessions
+ *   DELETE /users/:userId/:sessionId (user_management) revoke one of a user's sessions
+ *   DELETE /users/:userId           (user_management) revoke all of a user's sessions
+ * @param {Object} config - Same options as createSessionHandlers
+ * @returns {Object} Express router
+ */
+function createSessionRouter(config = {}) {
+  let Router;
+  try {
+    ({ Router } = require('express'));
+  } catch (error) {
+    throw new Error('@latanda/auth-middleware: createSessionRouter requires express (use createSessionHandlers otherwise)');
+  }
+
+  const handlers = createSessionHandlers(config);
+  const router = Router();
+
+  router.get('/', handlers.list);
+  router.delete('/', handlers.revokeAll);
+  router.delete('/others', handlers.revokeOthers);
+  router.get('/users/:userId', handlers.list);
+  router.delete('/users/:userId', handlers.revokeAll);
+  router.delete('/users/:userId/:sessionId', handlers.revoke);
+  router.delete('/:sessionId', handlers.revoke);
+
+  return router;
+}
+
+module.exports = {
+  createSessionStore,
+  createSessionHandlers,
+  createSessionRouter,
+  parseUserAgent,
+  requestContext
+};
@@ -0,0 +1,63 @@
+/**
+ * Internal helpers shared by the PostgreSQL-backed stores and middleware
+ * Not part of the public API (requestContext is re-exported by sessions.js)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage (tokens are never stored in plain text)
+ * @param {string} token - Token to hash
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} base64url-encoded token
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Extract session context (IP address, user agent) from an Express request
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+function requestContext(req) {
+  if (!req) return {};
+
+  return {
+    ipAddress: req.ip || (req.socket && req.socket.remoteAddress) || null,
+    userAgent: (req.headers && req.headers['user-agent']) || null
+  };
+}
+
+/**
+ * Convert a duration to seconds
+ * Accepts a number of seconds or a string such as '90s', '15m', '8h', '30d'
+ * @param {number|string} value - Duration
+ * @returns {number} Duration in seconds
+ */
+function toSeconds(value) {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+)\s*(s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`@latanda/auth-middleware: invalid duration "${value}"`);
+  }
+
+  const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+  return Number(match[1]) * units[match[2] || 's'];
+}
+
+module.exports = {
+  hashToken,
+  randomToken,
+  requestContext,
+  toSeconds
+};
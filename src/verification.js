@@ -0,0 +1,445 @@
+/**
+ * Email Verification and Password Reset
+ * Single-use, short-lived, purpose-scoped tokens stored hashed in the `auth_tokens` table,
+ * delivered through a pluggable mail transport.
+ */
+
+const fs = require('fs');
+const { setPassword } = require('./password');
+const { AUDIT_EVENTS } = require('./audit');
+const { hashToken, randomToken, toSeconds } = require('./utils');
+const { verifiedEmailGuard } = require('./core');
+const { expressMiddleware } = require('./middleware');
+const { authError, sendError } = require('./errors');
+
+/**
+ * Token purposes
+ */
+const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+};
+
+const TOKEN_PREFIXES = {
+  email_verification: 'ev',
+  password_reset: 'pr'
+};
+
+/**
+ * Create a store for single-use tokens backed by the `auth_tokens` table
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool
+ * @param {Object} [config.expiresIn] - Lifetime per purpose: { email_verification: '24h', password_reset: '1h' }
+ * @returns {Object} Token store
+ */
+function createAuthTokenStore(config = {}) {
+  const { pool } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the auth token store');
+  }
+
+  const lifetimes = {
+    email_verification: toSeconds('24h'),
+    password_reset: toSeconds('1h')
+  };
+  for (const [purpose, lifetime] of Object.entries(config.expiresIn || {})) {
+    lifetimes[purpose] = toSeconds(lifetime);
+  }
+
+  function checkPurpose(purpose) {
+    if (!TOKEN_PREFIXES[purpose]) {
+      throw new Error(`@latanda/auth-middleware: unknown token purpose ${purpose}`);
+    }
+  }
+
+  /**
+   * Issue a token; earlier unused tokens of the same purpose stop working
+   * @param {number|string} userId - User ID
+   * @param {string} purpose - One of TOKEN_PURPOSES
+   * @returns {Promise<Object>} { token, expiresAt }
+   */
+  async function issue(userId, purpose) {
+    checkPurpose(purpose);
+
+    const token = `${TOKEN_PREFIXES[purpose]}_${randomToken(32)}`;
+    const expiresAt = new Date(Date.now() + lifetimes[purpose] * 1000);
+
+    await pool.query(
+      `WITH superseded AS (
+         UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+       )
+       INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, purpose, hashToken(token), expiresAt]
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Look up a token without using it
+   * @param {string} token - Token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object|null>} { userId, expiresAt }, or null if unknown, used, expired or for another purpose
+   */
+  async function find(token, purpose) {
+    checkPurpose(purpose);
+    if (!token || typeof token !== 'string') return null;
+
+    const result = await pool.query(
+      `SELECT user_id, expires_at FROM auth_tokens
+       WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(token), purpose]
+    );
+
+    return result.rows[0] ? { userId: result.rows[0].user_id, expiresAt: result.rows[0].expires_at } : null;
+  }
+
+  /**
+   * Use a token (one statement, so two concurrent requests cannot both succeed)
+   * @param {string} token - Token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object>} { success, userId } or { success: false, error, code }
+   */
+  async function consume(token, purpose) {
+    checkPurpose(purpose);
+    if (!token || typeof token !== 'string') {
+      return { success: false, error: 'Invalid or expired token', code: 'INVALID_OR_EXPIRED_TOKEN' };
+    }
+
+    const result = await pool.query(
+      `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token), purpose]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'Invalid or expired token', code: 'INVALID_OR_EXPIRED_TOKEN' };
+    }
+
+    return { success: true, userId: result.rows[0].user_id };
+  }
+
+  /**
+   * Invalidate a user's outstanding tokens
+   * @param {number|string} userId - User ID
+   * @param {string} [purpose] - Only this purpose
+   * @returns {Promise<number>} Number of tokens invalidated
+   */
+  async function revokeUserTokens(userId, purpose) {
+    const result = purpose
+      ? await pool.query(
+        'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+      )
+      : await pool.query(
+        'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Delete expired and used tokens (wraps the cleanup_auth_tokens() SQL function)
+   * @returns {Promise<number>} Number of tokens deleted
+   */
+  async function cleanupExpired() {
+    const result = await pool.query('SELECT cleanup_auth_tokens() AS deleted');
+    return Number(result.rows[0].deleted);
+  }
+
+  return {
+    issue,
+    find,
+    consume,
+    revokeUserTokens,
+    cleanupExpired
+  };
+}
+
+/**
+ * Mail transport printing messages to the console (local development)
+ * @param {Object} [config] - Configuration options
+ * @param {Object} [config.logger=console] - Object with an info() or log() method
+ * @returns {Object} Mail transport with send(message)
+ */
+function createConsoleMailTransport(config = {}) {
+  const { logger = console } = config;
+  const print = (logger.info || logger.log).bind(logger);
+
+  return {
+    async send(message) {
+      print(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`);
+    }
+  };
+}
+
+/**
+ * Mail transport appending messages as JSON lines to a file (tests, local development)
+ * @param {Object} config - Configuration options
+ * @param {string} config.path - File path
+ * @returns {Object} Mail transport with send(message)
+ */
+function createFileMailTransport(config = {}) {
+  const { path } = config;
+
+  if (!path) {
+    throw new Error('@latanda/auth-middleware: path is required for the file mail transport');
+  }
+
+  return {
+    async send(message) {
+      await fs.promises.appendFile(path, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+    }
+  };
+}
+
+const DEFAULT_TEMPLATES = {
+  email_verification: ({ link }) => ({
+    subject: 'Confirm your email address',
+    text: `Confirm your email address by opening this link:\n\n${link}\n\nIf you did not create an account, ignore this email.`
+  }),
+  password_reset: ({ link }) => ({
+    subject: 'Reset your password',
+    text: `Reset your password by opening this link:\n\n${link}\n\nThe link expires soon and works once. If you did not ask for a reset, ignore this email.`
+  })
+};
+
+function buildLink(baseUrl, token) {
+  return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Create Express handlers for email verification and password reset
+ * @param {Object} config - Configuration options
+ * @param {Object} config.pool - pg Pool with the `users` table
+ * @param {Object} config.mailTransport - Object with async send({ to, from, subject, text, html })
+ * @param {string} config.verifyUrl - Page that confirms the email (the token is appended as ?token=)
+ * @param {string} config.resetUrl - Page that asks for the new password (the token is appended as ?token=)
+ * @param {Object} [config.tokenStore] - Token store (default: createAuthTokenStore({ pool }))
+ * @param {string} [config.from] - Sender address
+ * @param {Object} [config.templates] - { email_verification, password_reset }: ({ link, user }) => { subject, text, html }
+ * @param {Object} [config.passwordPolicy] - Policy for the new password (see createPasswordPolicy)
+ * @param {number} [config.cost] - bcrypt cost for the new password
+ * @param {Object} [config.sessionStore] - Log the user out everywhere after a reset
+ * @param {Object} [config.refreshStore] - Revoke the user's refresh tokens after a reset
+ * @param {Object} [config.auditLogger] - Records email_verified and password_reset events
+ * @param {Function} [config.onError] - Called with (error, { purpose, userId }) when an email sent after answering fails
+ * @returns {Object} { requestVerification, confirmEmail, requestPasswordReset, resetPassword }
+ */
+function createVerificationHandlers(config = {}) {
+  const {
+    pool,
+    mailTransport,
+    verifyUrl,
+    resetUrl,
+    from,
+    passwordPolicy,
+    cost,
+    sessionStore,
+    refreshStore,
+    auditLogger,
+    onError = () => {}
+  } = config;
+
+  if (!pool) {
+    throw new Error('@latanda/auth-middleware: pool is required for the verification handlers');
+  }
+  if (!mailTransport || typeof mailTransport.send !== 'function') {
+    throw new Error('@latanda/auth-middleware: mailTransport with a send() method is required');
+  }
+  if (!verifyUrl || !resetUrl) {
+    throw new Error('@latanda/auth-middleware: verifyUrl and resetUrl are required');
+  }
+
+  const tokenStore = config.tokenStore || createAuthTokenStore({ pool });
+  const templates = { ...DEFAULT_TEMPLATES, ...config.templates };
+
+  async function sendToken(user, purpose, baseUrl) {
+    const { token } = await tokenStore.issue(user.id, purpose);
+    const content = templates[purpose]({ link: buildLink(baseUrl, token), user });
+    await mailTransport.send({ to: user.email, from, ...content });
+  }
+
+  // Sent after answering: waiting for the mail server, or failing with it, would tell whether the account exists
+  function sendInBackground(user, purpose, baseUrl) {
+    sendToken(user, purpose, baseUrl).catch(error => onError(error, { purpose, userId: user.id }));
+  }
+
+  function readToken(req) {
+    return (req.body && req.body.token) || (req.query && req.query.token) || null;
+  }
+
+  /**
+   * POST: send (or resend) a verification email to the authenticated user, or to body.email
+   * Answers body.email requests before sending, the same way whether or not the account exists.
+   */
+  async function requestVerification(req, res) {
+    const email = req.user ? null : req.body && req.body.email;
+
+    if (!req.user && !email) {
+      return sendError(req, res, authError(400, 'MISSING_EMAIL', 'email is required'));
+    }
+
+    try {
+      const result = req.user
+        ? await pool.query('SELECT id, email, email_verified FROM users WHERE id = $1 AND is_active = true', [req.user.id])
+        : await pool.query('SELECT id, email, email_verified FROM users WHERE email = $1 AND is_active = true', [email]);
+      const user = result.rows[0];
+
+      if (req.user && user && user.email_verified) {
+        return sendError(req, res, authError(409, 'EMAIL_ALREADY_VERIFIED', 'Email is already verified'));
+      }
+
+      if (user && !user.email_verified) {
+        if (req.user) {
+          await sendToken(user, TOKEN_PURPOSES.EMAIL_VERIFICATION, verifyUrl);
+        } else {
+          sendInBackground(user, TOKEN_PURPOSES.EMAIL_VERIFICATION, verifyUrl);
+        }
+      }
+
+      return res.json({ success: true });
+    } catch (error) {
+      return sendError(req, res, authError(500, 'VERIFICATION_FAILED', 'Failed to send verification email'));
+    }
+  }
+
+  /**
+   * GET or POST: confirm an email address with ?token= or body.token
+   */
+  async function confirmEmail(req, res) {
+    const token = readToken(req);
+
+    if (!token) {
+      return sendError(req, res, authError(400, 'MISSING_TOKEN', 'token is required'));
+    }
+
+    try {
+      const consumed = await tokenStore.consume(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+      if (!consumed.success) {
+        return sendError(req, res, authError(400, consumed.code, consumed.error));
+      }
+
+      await pool.query('UPDATE users SET email_verified = true WHERE id = $1', [consumed.userId]);
+
+      if (auditLogger) {
+        auditLogger.logRequest(req, AUDIT_EVENTS.EMAIL_VERIFIED, { userId: consumed.userId });
+      }
+
+      return res.json({ success: true });
+    } catch (error) {
+      return sendError(req, res, authError(500, 'VERIFICATION_FAILED', 'Failed to verify email'));
+    }
+  }
+
+  /**
+   * POST { email }: send a password reset email
+   * Answers before sending, the same way whether or not the account exists.
+   */
+  async function requestPasswordReset(req, res) {
+    const email = req.body && req.body.email;
+
+    if (!email) {
+      return sendError(req, res, authError(400, 'MISSING_EMAIL', 'email is required'));
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT id, email FROM users WHERE email = $1 AND is_active = true',
+        [email]
+      );
+
+      if (result.rows[0]) {
+        sendInBackground(result.rows[0], TOKEN_PURPOSES.PASSWORD_RESET, resetUrl);
+      }
+
+      return res.json({ success: true });
+    } catch (error) {
+      return sendError(req, res, authError(500, 'PASSWORD_RESET_FAILED', 'Failed to send password reset email'));
+    }
+  }
+
+  /**
+   * POST { token, password }: set a new password
+   * The password is checked against the policy before the token is used, so a rejected
+   * password does not burn the link.
+   */
+  async function resetPassword(req, res) {
+    const token = readToken(req);
+    const password = req.body && req.body.password;
+
+    if (!token || !password) {
+      return sendError(req, res, authError(400, 'MISSING_TOKEN', 'token and password are required'));
+    }
+
+    try {
+      const pending = await tokenStore.find(token, TOKEN_PURPOSES.PASSWORD_RESET);
+      if (!pending) {
+        return sendError(req, res, authError(400, 'INVALID_OR_EXPIRED_TOKEN', 'Invalid or expired token'));
+      }
+
+      if (passwordPolicy) {
+        const validation = await passwordPolicy.validate(password, { userId: pending.userId });
+        if (!validation.valid) {
+          return sendError(req, res, authError(400, validation.code, validation.error, { errors: validation.errors }));
+        }
+      }
+
+      const consumed = await tokenStore.consume(token, TOKEN_PURPOSES.PASSWORD_RESET);
+      if (!consumed.success) {
+        return sendError(req, res, authError(400, consumed.code, consumed.error));
+      }
+
+      // With the policy, setPassword also trims password_history to what the policy checks
+      const stored = await setPassword(pool, consumed.userId, password, { policy: passwordPolicy, cost });
+      if (!stored.success) {
+        return sendError(req, res, authError(400, stored.code, stored.error, stored.errors && { errors: stored.errors }));
+      }
+
+      // Whoever had the old password (or a stolen token) is logged out
+      if (sessionStore) await sessionStore.revokeUserSessions(consumed.userId);
+      if (refreshStore) await refreshStore.revokeUserTokens(consumed.userId);
+
+      if (auditLogger) {
+        auditLogger.logRequest(req, AUDIT_EVENTS.PASSWORD_RESET, { userId: consumed.userId });
+      }
+
+      return res.json({ success: true });
+    } catch (error) {
+      return sendError(req, res, authError(500, 'PASSWORD_RESET_FAILED', 'Failed to reset password'));
+    }
+  }
+
+  return {
+    requestVerification,
+    confirmEmail,
+    requestPasswordReset,
+    resetPassword
+  };
+}
+
+/**
+ * Middleware to require a verified email address
+ * Must be used AFTER authMiddleware. Tokens issued before verification still say
+ * email_verified: false; with a pool the users table is checked in that case.
+ * @param {Object} [options] - Options
+ * @param {Object} [options.pool] - pg Pool for a live check when the token is not verified
+ * @returns {Function} Express middleware
+ */
+function requireVerifiedEmail(options = {}) {
+  return expressMiddleware(verifiedEmailGuard(options));
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createAuthTokenStore,
+  createConsoleMailTransport,
+  createFileMailTransport,
+  createVerificationHandlers,
+  requireVerifiedEmail
+};
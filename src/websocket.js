@@ -0,0 +1,485 @@
+/**
+ * WebSocket and Socket.IO Authentication
+ * Authenticates the upgrade request (Authorization header, auth cookie or API key) or the first
+ * message, keeps the principal on the connection, and ends the connection when its token expires
+ * or is revoked. Clients extend a connection by sending a fresh token in-band.
+ *
+ * In-band messages (ws): the client sends { "type": "auth", "token": "..." } and gets
+ * { "type": "auth_ok", "expiresAt" } or { "type": "auth_error", "code", "error" } back;
+ * { "type": "auth_expiring", "expiresIn" } is sent shortly before the token expires.
+ */
+
+const { decodeToken } = require('./jwt');
+const { AUDIT_EVENTS } = require('./audit');
+const { resolveAuthSettings, authenticateRequest, createGuards } = require('./core');
+const { MissingTokenError, TokenExpiredError, authError, defaultErrorRenderer } = require('./errors');
+const { toSeconds } = require('./utils');
+
+/**
+ * Close codes (4000-4999 is the application range; 4401/4403/4408 mirror HTTP statuses)
+ */
+const WS_CLOSE_CODES = {
+  TOKEN_EXPIRED: 4001,
+  TOKEN_REVOKED: 4002,
+  UNAUTHORIZED: 4401,
+  FORBIDDEN: 4403,
+  AUTH_TIMEOUT: 4408,
+  INTERNAL_ERROR: 1011
+};
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+function closeCodeFor(error) {
+  if (error.code === 'AUTH_CHECK_FAILED') return WS_CLOSE_CODES.INTERNAL_ERROR;
+  if (error.code === 'TOKEN_REVOKED' || error.code === 'INVALID_SESSION') return WS_CLOSE_CODES.TOKEN_REVOKED;
+  if (error.details && error.details.expired) return WS_CLOSE_CODES.TOKEN_EXPIRED;
+  if (error.status === 403) return WS_CLOSE_CODES.FORBIDDEN;
+  return WS_CLOSE_CODES.UNAUTHORIZED;
+}
+
+function expiryOf(token) {
+  const decoded = token ? decodeToken(token) : null;
+  const exp = decoded && decoded.payload && decoded.payload.exp;
+  return typeof exp === 'number' ? exp : null;
+}
+
+// A request-like object for a token received in-band (the core reads it like a Bearer header)
+function bearerRequest(token, base = {}) {
+  const headers = base.headers || {};
+  return {
+    method: 'GET',
+    url: base.url,
+    ip: base.ip,
+    socket: base.socket,
+    headers: { origin: headers.origin, 'user-agent': headers['user-agent'], authorization: `Bearer ${token}` }
+  };
+}
+
+/**
+ * Shared by the ws and Socket.IO helpers: authentication, origin check and the expiry/revocation watch
+ */
+function createConnectionAuth(config) {
+  const {
+    allowedOrigins,
+    checkInterval = '60s',
+    refreshWindow = '60s',
+    auditLogger,
+    errorRenderer = defaultErrorRenderer
+  } = config;
+  const settings = resolveAuthSettings(config);
+  const checkIntervalMs = toSeconds(checkInterval) * 1000;
+  const refreshWindowMs = toSeconds(refreshWindow) * 1000;
+
+  /**
+   * Authenticate a request-like object; never throws
+   * @returns {Promise<Object>} { user, token, tokenSource, sessionId } or { error }
+   */
+  async function authenticate(req) {
+    const origin = req.headers && req.headers.origin;
+    if (allowedOrigins && origin && !allowedOrigins.includes(origin)) {
+      return { error: authError(403, 'ORIGIN_NOT_ALLOWED', 'Origin not allowed') };
+    }
+
+    let result;
+    try {
+      result = await authenticateRequest(req, settings);
+    } catch (error) {
+      result = { error: authError(500, 'AUTH_CHECK_FAILED', 'Failed to verify token status') };
+    }
+
+    // Anonymous requests (NO_TOKEN) are not failed validations
+    if (result.error && auditLogger && result.error.code !== 'NO_TOKEN') {
+      auditLogger.logRequest(req, AUDIT_EVENTS.TOKEN_INVALID, {
+        success: false,
+        errorMessage: result.error.reason,
+        metadata: { code: result.error.code, transport: 'websocket' }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Watch a connection's credential: end it at the token's exp, warn refreshWindow before, and
+   * re-check revocation and sessions every checkInterval
+   * @param {Object} handlers - { onExpiring(expiresIn), onEnd(error) }
+   * @returns {Object} { watch(req, result), stop() }
+   */
+  function createWatch(handlers) {
+    // Current handle of each timer, including the ones re-scheduled past MAX_TIMER_DELAY
+    const timers = { expiry: null, warning: null };
+    let checkTimer = null;
+
+    function stop() {
+      clearTimeout(timers.expiry);
+      clearTimeout(timers.warning);
+      clearInterval(checkTimer);
+    }
+
+    function at(name, time, fn) {
+      const delay = Math.max(time - Date.now(), 0);
+      // Long-lived tokens: wake up at the timer limit and schedule again
+      timers[name] = setTimeout(() => (delay > MAX_TIMER_DELAY ? at(name, time, fn) : fn()), Math.min(delay, MAX_TIMER_DELAY));
+      if (timers[name].unref) timers[name].unref();
+    }
+
+    function watch(req, result) {
+      stop();
+
+      const exp = expiryOf(result.token);
+      if (exp) {
+        at('expiry', exp * 1000, () => {
+          stop();
+          handlers.onEnd(new TokenExpiredError({}, { code: 'TOKEN_EXPIRED' }));
+        });
+        if (refreshWindowMs > 0) {
+          at('warning', exp * 1000 - refreshWindowMs, () => handlers.onExpiring(Math.max(exp - Math.floor(Date.now() / 1000), 0)));
+        }
+      }
+
+      if (checkIntervalMs > 0) {
+        checkTimer = setInterval(async () => {
+          const check = await authenticate(req);
+          if (check.error) {
+            stop();
+            handlers.onEnd(check.error);
+          }
+        }, checkIntervalMs);
+        if (checkTimer.unref) checkTimer.unref();
+      }
+    }
+
+    return { watch, stop };
+  }
+
+  /**
+   * JSON error body in the language of the connection's request
+   */
+  function errorBody(error, req) {
+    return errorRenderer.render(error, req, { problemDetails: false }).body;
+  }
+
+  return { authenticate, createWatch, errorBody, errorRenderer };
+}
+
+/**
+ * Tell whether a ws message is an in-band auth message
+ * @param {Buffer|string} data - Message
+ * @returns {Object|null} { token } or null
+ */
+function parseAuthMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(String(data));
+  } catch (error) {
+    return null;
+  }
+  return message && message.type === 'auth' && typeof message.token === 'string' ? { token: message.token } : null;
+}
+
+/**
+ * Create authentication for `ws` WebSocket servers
+ *
+ * @example
+ * const wsAuth = createWebSocketAuth({ jwtSecret: process.env.JWT_SECRET, cookies });
+ * const wss = new WebSocketServer({ server, verifyClient: wsAuth.verifyClient });
+ * wss.on('connection', async (ws, req) => {
+ *   const user = await wsAuth.accept(ws, req);
+ *   if (!user) return; // closed with a WS_CLOSE_CODES code
+ *   ws.on('message', data => { if (!wsAuth.isAuthMessage(data)) handle(ws.user, data); });
+ * });
+ *
+ * @param {Object} config - Same options as createAuthMiddleware, plus:
+ * @param {boolean} [config.allowFirstMessage=true] - Accept upgrades without a token and wait for an
+ *   auth message (browsers cannot set headers on WebSocket requests)
+ * @param {number|string} [config.authTimeout='10s'] - How long to wait for that message
+ * @param {number|string} [config.checkInterval='60s'] - Re-check revocation and sessions this often (0 = never)
+ * @param {number|string} [config.refreshWindow='60s'] - Send auth_expiring this long before exp (0 = never)
+ * @param {string[]} [config.allowedOrigins] - Refuse upgrades from other Origins (set it with cookie auth,
+ *   as browsers send cookies on cross-site WebSocket requests)
+ * @returns {Object} { verifyClient, accept, isAuthMessage }
+ */
+function createWebSocketAuth(config) {
+  const { allowFirstMessage = true, authTimeout = '10s' } = config;
+  const authTimeoutMs = toSeconds(authTimeout) * 1000;
+  const { authenticate, createWatch, errorBody, errorRenderer } = createConnectionAuth(config);
+  const verified = new WeakMap();
+
+  function send(ws, message) {
+    if (ws.readyState === 1) ws.send(JSON.stringify(message));
+  }
+
+  function close(ws, error) {
+    ws.close(closeCodeFor(error), String(error.code).slice(0, 123));
+  }
+
+  /**
+   * Async verifyClient for `new WebSocketServer({ verifyClient })`: refuses bad tokens before the upgrade
+   * @param {Object} info - { req, origin, secure }
+   * @param {Function} callback - (result, code, message, headers)
+   */
+  function verifyClient(info, callback) {
+    authenticate(info.req).then((result) => {
+      if (result.error && !(result.error.code === 'NO_TOKEN' && allowFirstMessage)) {
+        const { headers } = errorRenderer.render(result.error, info.req);
+        const challenge = headers['WWW-Authenticate'] ? { 'WWW-Authenticate': headers['WWW-Authenticate'] } : undefined;
+        return callback(false, result.error.status, result.error.message, challenge);
+      }
+      verified.set(info.req, result);
+      callback(true);
+    });
+  }
+
+  function waitForAuthMessage(ws, req, received) {
+    return new Promise((resolve) => {
+      let timer = null;
+
+      function onMessage(data) {
+        clearTimeout(timer);
+        const message = parseAuthMessage(data);
+        if (!message) {
+          return resolve({ error: new MissingTokenError({}, { message: 'Expected an auth message' }) });
+        }
+        const source = bearerRequest(message.token, req);
+        authenticate(source).then(result => resolve({ ...result, source }));
+      }
+
+      if (received !== undefined) return onMessage(received);
+
+      timer = setTimeout(() => {
+        ws.removeListener('message', onMessage);
+        resolve({ error: authError(401, 'AUTH_TIMEOUT', 'No auth message received'), timeout: true });
+      }, authTimeoutMs);
+      ws.once('message', onMessage);
+    });
+  }
+
+  /**
+   * Authenticate a new connection and keep it authenticated
+   * Sets ws.user, ws.token and ws.tokenSource; closes the connection on failure, expiry or revocation.
+   * @param {Object} ws - WebSocket
+   * @param {Object} req - Upgrade request
+   * @returns {Promise<Object|null>} User, or null if the connection was closed
+   */
+  async function accept(ws, req) {
+    // Hold messages that arrive while the upgrade request is checked (the auth message among them)
+    const early = [];
+    const hold = data => early.push(data);
+    ws.on('message', hold);
+
+    let source = req;
+    let result = verified.get(req) || await authenticate(req);
+    verified.delete(req);
+    ws.removeListener('message', hold);
+
+    if (result.error && result.error.code === 'NO_TOKEN' && allowFirstMessage) {
+      result = await waitForAuthMessage(ws, req, early.shift());
+      if (result.timeout) {
+        ws.close(WS_CLOSE_CODES.AUTH_TIMEOUT, 'AUTH_TIMEOUT');
+        return null;
+      }
+      source = result.source || source;
+    }
+
+    if (result.error) {
+      close(ws, result.error);
+      return null;
+    }
+
+    const watch = createWatch({
+      onExpiring: expiresIn => send(ws, { type: 'auth_expiring', expiresIn }),
+      onEnd: error => close(ws, error)
+    });
+
+    function bind(current, from) {
+      ws.user = current.user;
+      ws.token = current.token;
+      ws.tokenSource = current.tokenSource;
+      watch.watch(from, current);
+    }
+
+    bind(result, source);
+
+    // A fresh token for the same principal extends the connection
+    ws.on('message', async (data) => {
+      const message = parseAuthMessage(data);
+      if (!message) return;
+
+      const from = bearerRequest(message.token, req);
+      const next = await authenticate(from);
+      const refused = next.error ||
+        (String(next.user.id) !== String(ws.user.id) ? authError(403, 'USER_MISMATCH', 'Token belongs to another user') : null);
+      if (refused) {
+        const { code, error } = errorBody(refused, req);
+        return send(ws, { type: 'auth_error', code, error });
+      }
+
+      bind(next, from);
+      send(ws, { type: 'auth_ok', expiresAt: expiryOf(next.token) });
+    });
+
+    ws.on('close', watch.stop);
+
+    // Replay held messages once the caller has attached its listeners
+    if (early.length > 0) {
+      setImmediate(() => early.forEach(data => ws.emit('message', data, false)));
+    }
+    return ws.user;
+  }
+
+  return {
+    verifyClient,
+    accept,
+    isAuthMessage: data => parseAuthMessage(data) !== null
+  };
+}
+
+/**
+ * Create Socket.IO authentication: a handshake middleware, namespace guards and per-event guards
+ * The token comes from `socket.handshake.auth.token`, then the Authorization header or auth cookie.
+ * Sets socket.data.user and socket.data.token. Refused handshakes get a connect_error whose
+ * `data` is the usual JSON error body. Clients extend the connection with
+ * socket.emit('auth', token, ack); expiry or revocation emits 'auth_error' and disconnects.
+ *
+ * @example
+ * const sioAuth = createSocketIoAuth({ jwtSecret: process.env.JWT_SECRET });
+ * const payments = io.of('/payments');
+ * payments.use(sioAuth.authenticate);
+ * payments.use(sioAuth.requirePermission('view_own_transactions'));
+ * payments.on('connection', (socket) => {
+ *   socket.use(sioAuth.guardEvents(socket, { 'payment:create': sioAuth.requirePermission('make_payments') }));
+ * });
+ *
+ * @param {Object} config - Same options as createWebSocketAuth (except allowFirstMessage, authTimeout)
+ * @returns {Object} { authenticate, guardEvents, requirePermission, requireScope, requireRecentAuth,
+ *   requireRole, requireOwnership, requireGroupRole, requireGroupMember, requireMfa, requireVerifiedEmail, requirePolicy }
+ */
+function createSocketIoAuth(config) {
+  const { auditLogger } = config;
+  const { authenticate, createWatch, errorBody, errorRenderer } = createConnectionAuth(config);
+
+  function handshakeRequest(socket) {
+    const { handshake } = socket;
+    const base = { method: 'GET', url: handshake.url, ip: handshake.address, headers: handshake.headers || {} };
+    return handshake.auth && typeof handshake.auth.token === 'string'
+      ? bearerRequest(handshake.auth.token, base)
+      : base;
+  }
+
+  function connectError(body) {
+    const error = new Error(body.error);
+    error.data = body;
+    return error;
+  }
+
+  // Request context for the core checks
+  function context(socket, extra = {}) {
+    return {
+      method: 'GET',
+      url: socket.nsp ? socket.nsp.name : '/',
+      ip: socket.handshake.address,
+      headers: socket.handshake.headers || {},
+      user: socket.data.user,
+      auditLogger,
+      errorRenderer,
+      socket,
+      ...extra
+    };
+  }
+
+  /**
+   * Handshake middleware for io.use / namespace.use
+   */
+  async function authenticateSocket(socket, next) {
+    const source = handshakeRequest(socket);
+    const result = await authenticate(source);
+
+    if (result.error) {
+      return next(connectError(errorBody(result.error, source)));
+    }
+
+    const watch = createWatch({
+      onExpiring: expiresIn => socket.emit('auth_expiring', { expiresIn }),
+      onEnd: (error) => {
+        socket.emit('auth_error', errorBody(error, source));
+        socket.disconnect(true);
+      }
+    });
+
+    socket.data.user = result.user;
+    socket.data.token = result.token;
+    watch.watch(source, result);
+
+    // A fresh token for the same principal extends the connection
+    socket.on('auth', async (token, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const from = bearerRequest(String(token), source);
+      const fresh = await authenticate(from);
+
+      if (fresh.error) return reply(errorBody(fresh.error, source));
+      if (String(fresh.user.id) !== String(socket.data.user.id)) {
+        return reply(errorBody(authError(403, 'USER_MISMATCH', 'Token belongs to another user'), source));
+      }
+
+      socket.data.user = fresh.user;
+      socket.data.token = fresh.token;
+      watch.watch(from, fresh);
+      reply({ success: true, expiresAt: expiryOf(fresh.token) });
+    });
+
+    socket.on('disconnect', watch.stop);
+    next();
+  }
+
+  // Guards double as namespace middleware; guardEvents uses their check per event
+  function namespaceGuard(check) {
+    async function guardMiddleware(socket, next) {
+      const decision = await check(context(socket));
+      if (!decision.allow) {
+        return next(connectError(errorBody(decision.error, socket.handshake)));
+      }
+      Object.assign(socket.data, decision.attach);
+      next();
+    }
+    guardMiddleware.check = check;
+    return guardMiddleware;
+  }
+
+  /**
+   * Per-event guards for socket.use: events without a guard pass through
+   * A refused event is dropped; its ack (if any) gets the JSON error body, else 'auth_error' is emitted.
+   * @param {Object} socket - Connected socket
+   * @param {Object} guards - Event name → guard (e.g. sioAuth.requirePermission('make_payments'))
+   * @returns {Function} socket.use middleware ([event, ...args], next)
+   */
+  function guardEvents(socket, guards) {
+    return async function eventGuardMiddleware(packet, next) {
+      const [event, ...args] = packet;
+      const guard = guards[event];
+      if (!guard) return next();
+
+      const decision = await guard.check(context(socket, { url: event, event, args }));
+      if (decision.allow) return next();
+
+      const body = errorBody(decision.error, socket.handshake);
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        ack(body);
+      } else {
+        socket.emit('auth_error', { event, ...body });
+      }
+    };
+  }
+
+  return {
+    authenticate: authenticateSocket,
+    guardEvents,
+    ...createGuards(namespaceGuard)
+  };
+}
+
+module.exports = {
+  WS_CLOSE_CODES,
+  createWebSocketAuth,
+  createSocketIoAuth
+};
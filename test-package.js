@@ -22,16 +22,25 @@ const JWT_SECRET = 'test-secret-key-do-not-use-in-production';
 let testsPassed = 0;
 let testsFailed = 0;
 
+// Tests and section headings run in order once everything is registered; a test may return a promise
+const queue = [];
+
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`✅ ${name}`);
-    testsPassed++;
-  } catch (error) {
-    console.error(`❌ ${name}`);
-    console.error(`   Error: ${error.message}`);
-    testsFailed++;
-  }
+  queue.push(async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  });
+}
+
+function section(title) {
+  queue.push(() => console.log(title));
 }
 
 // Test user object
@@ -49,7 +58,7 @@ const adminUser = {
   permissions: []
 };
 
-console.log('📦 JWT Token Functions\n');
+section('📦 JWT Token Functions\n');
 
 // Test 1: Generate Token
 let token;
@@ -132,7 +141,7 @@ test('refreshToken() generates new token', () => {
   }
 });
 
-console.log('\n🔐 RBAC Functions\n');
+section('\n🔐 RBAC Functions\n');
 
 // Test 8: Check ADMIN Permission
 test('hasPermission() grants ADMIN all permissions', () => {
@@ -222,7 +231,7 @@ test('ROLES contains all expected roles', () => {
   }
 });
 
-console.log('\n🎯 Express Middleware Functions\n');
+section('\n🎯 Express Middleware Functions\n');
 
 const { createAuthMiddleware, requireRole, requirePermission } = require('./lib/middleware.js');
 
@@ -274,16 +283,1515 @@ test('requirePermission() creates function', () => {
   }
 });
 
-console.log('\n' + '='.repeat(50));
-console.log(`\n📊 Test Results:\n`);
-console.log(`   ✅ Passed: ${testsPassed}`);
-console.log(`   ❌ Failed: ${testsFailed}`);
-console.log(`   📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+section('\n🗄️  Session Store\n');
+
+const { createSessionStore, requestContext } = require('./lib/sessions.js');
+
+// Test 20: Session Store Requires Pool
+test('createSessionStore() requires pool', () => {
+  try {
+    createSessionStore({});
+    throw new Error('Should have thrown error');
+  } catch (error) {
+    if (!error.message.includes('pool')) {
+      throw new Error('Wrong error message');
+    }
+  }
+});
+
+// Test 21: Request Context
+test('requestContext() extracts IP and user agent', () => {
+  const context = requestContext({ ip: '10.0.0.1', headers: { 'user-agent': 'curl/8.0' } });
+  if (context.ipAddress !== '10.0.0.1' || context.userAgent !== 'curl/8.0') {
+    throw new Error('Context mismatch');
+  }
+});
+
+// Test 21b: Session Enforcement
+test('authMiddleware with sessionStore rejects missing and revoked sessions', async () => {
+  const rows = new Map();
+  const pool = {
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO sessions')) {
+        const row = { id: rows.size + 1, user_id: params[0], expires_at: params[4], is_valid: true };
+        rows.set(params[1], row);
+        return { rows: [row], rowCount: 1 };
+      }
+      if (sql.includes('UPDATE sessions SET is_valid = false')) {
+        const row = rows.get(params[0]);
+        if (!row || !row.is_valid) return { rows: [], rowCount: 0 };
+        row.is_valid = false;
+        return { rows: [row], rowCount: 1 };
+      }
+      const row = rows.get(params[0]);
+      return { rows: row ? [row] : [], rowCount: row ? 1 : 0 };
+    }
+  };
+  const sessionStore = createSessionStore({ pool });
+  const authMiddleware = createAuthMiddleware({ jwtSecret: JWT_SECRET, sessionStore });
+  const attempt = async token => {
+    const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; }, setHeader() {} };
+    let passed = false;
+    await authMiddleware({ headers: { authorization: `Bearer ${token}` } }, res, () => { passed = true; });
+    return passed ? 'allowed' : `${res.statusCode} ${res.body && res.body.code}`;
+  };
+
+  const { token } = await sessionStore.issueToken(testUser, JWT_SECRET);
+  const unrecorded = generateToken(testUser, JWT_SECRET);
+  if (await attempt(unrecorded) !== '401 INVALID_SESSION') {
+    throw new Error('Token without a session was accepted');
+  }
+  if (await attempt(token) !== 'allowed') {
+    throw new Error('Token with a live session was rejected');
+  }
+  await sessionStore.revokeSession(token);
+  if (await attempt(token) !== '401 INVALID_SESSION') {
+    throw new Error('Token with a revoked session was accepted');
+  }
+});
+
+section('\n🚫 Token Revocation\n');
+
+const { createMemoryRevocationStore } = require('./lib/revocation.js');
+
+// Test 22: Tokens Carry a jti
+test('generateToken() adds a unique jti claim', () => {
+  const first = decodeToken(generateToken(testUser, JWT_SECRET)).payload.jti;
+  const second = decodeToken(generateToken(testUser, JWT_SECRET)).payload.jti;
+  if (!first || first === second) {
+    throw new Error('jti missing or not unique');
+  }
+});
+
+// Test 23: Revoked Token Rejected
+test('validateToken() rejects revoked token with TOKEN_REVOKED', () => {
+  const store = createMemoryRevocationStore();
+  const revocable = generateToken(testUser, JWT_SECRET);
+  if (!validateToken(revocable, JWT_SECRET, { revocationStore: store }).valid) {
+    throw new Error('Token rejected before revocation');
+  }
+  store.revokeToken(revocable);
+  const result = validateToken(revocable, JWT_SECRET, { revocationStore: store });
+  if (result.valid || result.code !== 'TOKEN_REVOKED') {
+    throw new Error('Revoked token was accepted');
+  }
+});
+
+section('\n🔄 Refresh Tokens\n');
+
+const { createRefreshTokenStore } = require('./lib/refresh.js');
+
+// Test 24: Refresh Store Requires Pool
+test('createRefreshTokenStore() requires pool', () => {
+  try {
+    createRefreshTokenStore({});
+    throw new Error('Should have thrown error');
+  } catch (error) {
+    if (!error.message.includes('pool')) {
+      throw new Error('Wrong error message');
+    }
+  }
+});
+
+// Test 25: Expired Tokens No Longer Refreshable
+test('refreshToken() rejects expired token unless allowExpired', () => {
+  const expired = generateToken(testUser, JWT_SECRET, { expiresIn: -10 });
+  if (refreshToken(expired, JWT_SECRET).success) {
+    throw new Error('Expired token was refreshed');
+  }
+  if (!refreshToken(expired, JWT_SECRET, { allowExpired: true }).success) {
+    throw new Error('allowExpired did not restore legacy behavior');
+  }
+});
+
+// In-memory stand-in for the refresh_tokens and sessions tables
+function createRefreshPool() {
+  const db = { refreshTokens: [], sessions: [] };
+  const query = async (sql, params = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+    if (sql.includes('INSERT INTO refresh_tokens')) {
+      const [user_id, family_id, parent_id, token_hash, expires_at, amr, auth_time, scope] = params;
+      db.refreshTokens.push({ id: db.refreshTokens.length + 1, user_id, family_id, parent_id, token_hash, expires_at, amr, auth_time, scope });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('FROM refresh_tokens') && sql.includes('token_hash = $1')) {
+      return { rows: db.refreshTokens.filter(row => row.token_hash === params[0]) };
+    }
+    if (sql.includes('SET used_at')) {
+      db.refreshTokens.find(row => row.id === params[0]).used_at = new Date();
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('UPDATE refresh_tokens SET revoked_at') && sql.includes('family_id = $1')) {
+      const rows = db.refreshTokens.filter(row => row.family_id === params[0] && !row.revoked_at);
+      rows.forEach(row => { row.revoked_at = new Date(); });
+      return { rows: [], rowCount: rows.length };
+    }
+    if (sql.includes('INSERT INTO sessions')) {
+      const [user_id, token_hash, ip_address, user_agent, expires_at, refresh_family_id] = params;
+      const row = { id: db.sessions.length + 1, user_id, token_hash, ip_address, user_agent, expires_at, refresh_family_id, is_valid: true };
+      db.sessions.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (sql.includes('UPDATE sessions SET is_valid = false WHERE refresh_family_id = $1')) {
+      const rows = db.sessions.filter(row => row.refresh_family_id === params[0] && row.is_valid);
+      rows.forEach(row => { row.is_valid = false; });
+      return { rows: [], rowCount: rows.length };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { db, query, connect: async () => ({ query, release: () => {} }) };
+}
+
+function createRefreshFixture() {
+  const { createRefreshHandler } = require('./lib/refresh.js');
+  const pool = createRefreshPool();
+  const events = [];
+  const auditLogger = { log: event => events.push(event), logRequest: (req, eventType) => events.push({ eventType }) };
+  const refreshStore = createRefreshTokenStore({ pool });
+  const sessionStore = createSessionStore({ pool, auditLogger });
+  const handler = createRefreshHandler({
+    refreshStore,
+    sessionStore,
+    auditLogger,
+    jwtSecret: JWT_SECRET,
+    loadUser: async id => ({ ...testUser, id })
+  });
+  const refresh = async (refreshToken) => {
+    const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; }, setHeader: () => {} };
+    await handler({ body: { refresh_token: refreshToken }, headers: {} }, res);
+    return res;
+  };
+  return { pool, events, refreshStore, refresh };
+}
+
+// Test 25b: Refresh Rotation
+test('createRefreshHandler() rotates the refresh token without logging a login', async () => {
+  const { pool, events, refreshStore, refresh } = createRefreshFixture();
+  const first = await refreshStore.issue(testUser.id);
+
+  const res = await refresh(first.token);
+  if (res.statusCode || !res.body.token || !res.body.refresh_token || res.body.refresh_token === first.token) {
+    throw new Error(`Refresh did not rotate: ${JSON.stringify(res.body)}`);
+  }
+  if (!pool.db.refreshTokens[0].used_at || pool.db.sessions[0].refresh_family_id !== first.familyId) {
+    throw new Error('Old token not used up or session not tied to the family');
+  }
+  if (events.some(event => event.eventType === 'login') || !events.some(event => event.eventType === 'token_refresh')) {
+    throw new Error(`Refresh logged as: ${events.map(event => event.eventType).join(', ')}`);
+  }
+});
+
+// Test 25c: Refresh Token Reuse
+test('createRefreshHandler() revokes the family and its sessions when a used token comes back', async () => {
+  const { pool, refresh, refreshStore } = createRefreshFixture();
+  const first = await refreshStore.issue(testUser.id);
+  const rotated = await refresh(first.token);
+
+  const replay = await refresh(first.token);
+  if (replay.statusCode !== 401 || replay.body.code !== 'REFRESH_TOKEN_REUSED') {
+    throw new Error(`Reuse not detected: ${JSON.stringify(replay.body)}`);
+  }
+  if (pool.db.sessions.some(row => row.is_valid)) {
+    throw new Error('Access token issued from the family still has a live session');
+  }
+  if ((await refresh(rotated.body.refresh_token)).body.code !== 'REFRESH_TOKEN_REVOKED') {
+    throw new Error('Rest of the family still refreshable');
+  }
+});
+
+section('\n🔑 Asymmetric Signing & JWKS\n');
+
+const crypto = require('crypto');
+const { createJwksHandler, createJwksKeyResolver } = require('./lib/jwks.js');
+
+// Test 26: Asymmetric Algorithms
+test('generateToken()/validateToken() support RS256, ES256 and EdDSA', () => {
+  const keyTypes = [
+    ['rsa', 'RS256', { modulusLength: 2048 }],
+    ['ec', 'ES256', { namedCurve: 'P-256' }],
+    ['ed25519', 'EdDSA', {}]
+  ];
+  for (const [type, algorithm, keyOptions] of keyTypes) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, keyOptions);
+    const signed = generateToken(testUser, privateKey, { algorithm, keyid: 'key-1' });
+    if (decodeToken(signed).header.kid !== 'key-1') {
+      throw new Error(`${algorithm} token missing kid`);
+    }
+    if (!validateToken(signed, publicKey, { algorithms: [algorithm] }).valid) {
+      throw new Error(`${algorithm} token rejected`);
+    }
+    if (validateToken(signed, publicKey).valid) {
+      throw new Error(`${algorithm} token accepted without being allowed`);
+    }
+  }
+});
+
+// Test 27: JWKS Round Trip
+test('createJwksHandler() publishes keys usable by createJwksKeyResolver()', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  let body;
+  createJwksHandler({ keys: [{ kid: 'key-1', key: privateKey, algorithm: 'EdDSA' }] })(
+    {},
+    { setHeader() {}, end(payload) { body = JSON.parse(payload); } }
+  );
+  if (body.keys[0].d) {
+    throw new Error('Private key material published');
+  }
+  const resolver = createJwksKeyResolver({ jwks: body });
+  if (typeof resolver.getKey !== 'function') {
+    throw new Error('Resolver has no getKey');
+  }
+});
+
+section('\n🗝️  Key Ring\n');
+
+const { createKeyRing } = require('./lib/keyring.js');
+
+// Test 28: Key Ring Rotation
+test('createKeyRing() verifies old tokens until the old key is retired', () => {
+  const ring = createKeyRing({ keys: [{ kid: 'k1', secret: 'first-secret', current: true }] });
+  const oldToken = generateToken(testUser, ring);
+  if (decodeToken(oldToken).header.kid !== 'k1') {
+    throw new Error('kid not stamped into header');
+  }
+  ring.rotate({ kid: 'k2', secret: 'second-secret' });
+  const newToken = generateToken(testUser, ring);
+  if (decodeToken(newToken).header.kid !== 'k2') {
+    throw new Error('New token not signed with current key');
+  }
+  if (!validateToken(oldToken, ring).valid || !validateToken(newToken, ring).valid) {
+    throw new Error('Token rejected during rotation');
+  }
+  ring.retire('k1');
+  if (validateToken(oldToken, ring).valid) {
+    throw new Error('Token signed with retired key accepted');
+  }
+});
+
+section('\n🧩 Per-user Permissions\n');
+
+const { getEffectivePermissions } = require('./lib/rbac.js');
+
+// Test 29: Grants and Denies
+test('hasPermission() honors per-user grants and denies', () => {
+  if (!hasPermission('USER', 'beta_access', ['beta_access'])) {
+    throw new Error('Per-user grant ignored');
+  }
+  if (hasPermission('USER', 'make_payments', { denies: ['make_payments'] })) {
+    throw new Error('Per-user deny ignored');
+  }
+  if (hasPermission('ADMIN', 'delete_users', { denies: ['delete_users'] })) {
+    throw new Error('Deny does not override ADMIN');
+  }
+});
+
+// Test 30: Effective Permissions
+test('getEffectivePermissions() merges role, grants and denies', () => {
+  const effective = getEffectivePermissions('USER', { grants: ['beta_access'], denies: ['make_payments'] });
+  if (!effective.includes('beta_access') || !effective.includes('join_groups')) {
+    throw new Error('Grants or role permissions missing');
+  }
+  if (effective.includes('make_payments')) {
+    throw new Error('Denied permission present');
+  }
+});
+
+section('\n🏗️  Custom Roles\n');
+
+const { createRBAC } = require('./lib/rbac.js');
+
+// Test 31: Role Inheritance
+test('createRBAC() supports custom roles with inheritance', () => {
+  const custom = createRBAC({
+    roles: {
+      OWNER: { superuser: true },
+      EDITOR: { permissions: ['edit_posts'], inherits: ['VIEWER'] },
+      VIEWER: { permissions: ['read_posts'] }
+    }
+  });
+  if (!custom.hasPermission('EDITOR', 'read_posts')) {
+    throw new Error('Inherited permission missing');
+  }
+  if (custom.hasPermission('VIEWER', 'edit_posts')) {
+    throw new Error('Permission leaked to parent role');
+  }
+  if (!custom.hasRoleLevel('EDITOR', 'VIEWER') || custom.hasRoleLevel('VIEWER', 'EDITOR')) {
+    throw new Error('Inheritance not used for role level');
+  }
+  if (typeof custom.requireRole('EDITOR') !== 'function') {
+    throw new Error('Instance requireRole is not a function');
+  }
+});
+
+// Test 32: Role Validation
+test('createRBAC() rejects inheritance cycles and unknown permissions', () => {
+  const invalidConfigs = [
+    { roles: { A: { inherits: ['B'] }, B: { inherits: ['A'] } } },
+    { roles: { A: { inherits: ['MISSING'] } } },
+    { roles: { A: { permissions: ['typo_permission'] } }, permissions: ['real_permission'] }
+  ];
+  for (const config of invalidConfigs) {
+    let threw = false;
+    try {
+      createRBAC(config);
+    } catch (error) {
+      threw = true;
+    }
+    if (!threw) {
+      throw new Error(`Accepted invalid roles: ${JSON.stringify(config.roles)}`);
+    }
+  }
+});
+
+section('\n📝 Audit Logging\n');
+
+const { createAuditLogger, createCallbackAuditSink, AUDIT_EVENTS } = require('./lib/audit.js');
+
+// Test 33: Callback Sink
+test('createAuditLogger() passes events to a callback sink', () => {
+  const events = [];
+  const auditLogger = createAuditLogger({ sinks: [createCallbackAuditSink(event => events.push(event))] });
+  const req = { user: { id: 7 }, ip: '203.0.113.9', headers: { 'user-agent': 'test-agent' } };
+
+  auditLogger.logRequest(req, AUDIT_EVENTS.TOKEN_REFRESH, { success: false, errorMessage: 'Token expired' });
+
+  const event = events[0];
+  if (!event || event.eventType !== 'token_refresh' || event.userId !== 7) {
+    throw new Error('Event not recorded');
+  }
+  if (event.ipAddress !== '203.0.113.9' || event.success !== false || event.errorMessage !== 'Token expired') {
+    throw new Error('Event fields not recorded');
+  }
+});
+
+// Test 34: Denial Auditing
+test('requireRole() records 403 denials in the audit log', () => {
+  const events = [];
+  const auditLogger = createAuditLogger({ sinks: [event => events.push(event)] });
+  const req = { user: { id: 7, role: 'USER' }, headers: {}, method: 'GET', originalUrl: '/api/admin' };
+  const res = { status() { return this; }, json() { return this; } };
+
+  requireRole('ADMIN', { auditLogger })(req, res, () => {
+    throw new Error('USER passed an ADMIN check');
+  });
+
+  const event = events[0];
+  if (!event || event.eventType !== 'access_denied' || event.metadata.code !== 'INSUFFICIENT_ROLE') {
+    throw new Error('Denial not recorded');
+  }
+});
+
+section('\n🔑 Passwords\n');
+
+const bcrypt = require('bcrypt');
+const { createPasswordPolicy, needsRehash } = require('./lib/password.js');
+
+// Test 35: Password Policy
+test('createPasswordPolicy() rejects short, long and breached passwords', () => {
+  const policy = createPasswordPolicy({ minLength: 10, breachedPasswords: ['Password123!'] });
+  const cases = {
+    'short': 'PASSWORD_TOO_SHORT',
+    'password123!': 'PASSWORD_BREACHED',
+    ['x'.repeat(73)]: 'PASSWORD_TOO_LONG'
+  };
+  for (const [password, code] of Object.entries(cases)) {
+    const errors = policy.check(password);
+    if (errors.length === 0 || errors[0].code !== code) {
+      throw new Error(`Expected ${code} for ${password.slice(0, 12)}`);
+    }
+  }
+  if (policy.check('correct horse battery').length !== 0) {
+    throw new Error('Rejected a valid password');
+  }
+});
+
+// Test 36: Rehash Detection
+test('needsRehash() detects a changed bcrypt cost', () => {
+  const hash = bcrypt.hashSync('correct horse battery', 4);
+  if (needsRehash(hash, 4)) {
+    throw new Error('Flagged a hash with the current cost');
+  }
+  if (!needsRehash(hash, 12) || !needsRehash('not-a-bcrypt-hash', 12)) {
+    throw new Error('Missed a hash needing an upgrade');
+  }
+});
+
+section('\n🚦 Login Throttling\n');
+
+const { createLoginThrottle, createPgAttemptStore } = require('./lib/lockout.js');
+
+// Test 37: Login Throttle
+test('createLoginThrottle() creates login middleware', () => {
+  const throttle = createLoginThrottle({ maxAttempts: 3, lockoutDuration: '10m' });
+  if (typeof throttle.middleware() !== 'function' || typeof throttle.unlock !== 'function') {
+    throw new Error('Throttle API incomplete');
+  }
+  let threw = false;
+  try {
+    createPgAttemptStore({});
+  } catch (error) {
+    threw = true;
+  }
+  if (!threw) {
+    throw new Error('PostgreSQL attempt store accepted a missing pool');
+  }
+});
+
+// Test 37b: Progressive Delay
+test('createLoginThrottle() makes attempts wait after the free failures', async () => {
+  const throttle = createLoginThrottle({ freeAttempts: 1, baseDelay: '10s' });
+  const attempt = { email: 'delay@latanda.online', ip: '198.51.100.1' };
+
+  await throttle.recordFailure(attempt);
+  if (!(await throttle.check(attempt)).allowed) {
+    throw new Error('Free attempt delayed');
+  }
+  await throttle.recordFailure(attempt);
+  const result = await throttle.check(attempt);
+  if (result.allowed || result.code !== 'TOO_MANY_ATTEMPTS' || result.retryAfter !== 10) {
+    throw new Error(`Expected a 10s delay, got ${JSON.stringify(result)}`);
+  }
+});
+
+// Test 37c: Lockout and Unlock
+test('createLoginThrottle() locks after maxAttempts until unlocked', async () => {
+  const throttle = createLoginThrottle({ maxAttempts: 3, freeAttempts: 10, lockoutDuration: '10m' });
+  const attempt = { email: 'Locked@latanda.online', ip: '198.51.100.2' };
+
+  for (let i = 0; i < 3; i++) await throttle.recordFailure(attempt);
+  const result = await throttle.check({ email: 'locked@latanda.online' });
+  if (result.allowed || result.code !== 'LOGIN_LOCKED' || result.retryAfter !== 600) {
+    throw new Error(`Expected a 10m lockout, got ${JSON.stringify(result)}`);
+  }
+  if (!(await throttle.unlock({ email: 'locked@latanda.online' })) || !(await throttle.check(attempt)).allowed) {
+    throw new Error('Unlock did not lift the lockout');
+  }
+});
+
+// Test 37d: Concurrent Attempts
+test('Throttle middleware counts attempts before the route answers', async () => {
+  const throttle = createLoginThrottle({ maxAttempts: 3, freeAttempts: 10 });
+  const middleware = throttle.middleware();
+  const responses = [];
+  const attemptLogin = async () => {
+    const res = {
+      headers: {},
+      listeners: [],
+      on(event, listener) { res.listeners.push(listener); },
+      setHeader(name, value) { res.headers[name] = value; },
+      status(code) { res.statusCode = code; return res; },
+      json: () => res
+    };
+    let passed = false;
+    await middleware({ body: { email: 'race@latanda.online' }, headers: {}, ip: '198.51.100.3' }, res, () => { passed = true; });
+    responses.push(res);
+    return passed;
+  };
+
+  // Ten guesses in flight at once, none answered yet
+  const passed = (await Promise.all(Array.from({ length: 10 }, attemptLogin))).filter(Boolean).length;
+  if (passed !== 3) {
+    throw new Error(`${passed} concurrent attempts reached the route`);
+  }
+  const rejected = responses.find(res => res.statusCode === 429);
+  if (!rejected || !rejected.headers['Retry-After']) {
+    throw new Error('Rejected attempt has no Retry-After');
+  }
+
+  // The guesses fail: the third one locks the email
+  for (const res of responses.filter(res => res.listeners.length > 0)) {
+    res.statusCode = 401;
+    res.listeners.forEach(listener => listener());
+  }
+  await new Promise(resolve => setTimeout(resolve, 10));
+  if ((await throttle.check({ email: 'race@latanda.online' })).code !== 'LOGIN_LOCKED') {
+    throw new Error('Failed attempts at the limit did not lock');
+  }
+
+  // A response that is neither a failure nor a success gives the attempt back
+  const throttle2 = createLoginThrottle({ maxAttempts: 1, freeAttempts: 10 });
+  const res = { on: (event, listener) => { res.finish = listener; }, setHeader: () => {} };
+  await throttle2.middleware()({ body: { email: 'typo@latanda.online' }, headers: {} }, res, () => {});
+  res.statusCode = 400;
+  res.finish();
+  await new Promise(resolve => setImmediate(resolve));
+  if (!(await throttle2.check({ email: 'typo@latanda.online' })).allowed) {
+    throw new Error('Malformed request counted as a failed login');
+  }
+});
+
+// Test 37e: Successful Logins From One IP
+test('Throttle middleware does not count successful logins against the IP', async () => {
+  const throttle = createLoginThrottle({ maxAttemptsPerIp: 5, freeAttempts: 10 });
+  const middleware = throttle.middleware();
+  for (let i = 0; i < 25; i++) {
+    const res = { on: (event, listener) => { res.finish = listener; }, setHeader: () => {}, status() { res.statusCode = 429; return res; }, json: () => res };
+    let passed = false;
+    await middleware({ body: { email: `member${i}@latanda.online` }, headers: {}, ip: '198.51.100.4' }, res, () => { passed = true; });
+    if (!passed) {
+      throw new Error(`Login ${i + 1} from a shared IP was throttled`);
+    }
+    res.statusCode = 200;
+    res.finish();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+});
+
+section('\n🍪 Cookie Transport\n');
+
+const { createCookieTransport, parseCookies } = require('./lib/cookies.js');
+
+// Test 38: Auth Cookie
+test('createCookieTransport() sets an HttpOnly, Secure, SameSite cookie', () => {
+  const headers = {};
+  const res = { getHeader: name => headers[name], setHeader: (name, value) => { headers[name] = value; } };
+  const cookies = createCookieTransport({ csrf: false });
+  const cookieToken = generateToken(testUser, JWT_SECRET);
+  cookies.setAuthCookie(res, cookieToken);
+
+  const cookie = headers['Set-Cookie'][0];
+  if (!cookie.includes('HttpOnly') || !cookie.includes('Secure') || !cookie.includes('SameSite=Strict')) {
+    throw new Error(`Missing cookie attributes: ${cookie}`);
+  }
+  const req = { headers: { cookie: cookie.split(';')[0] } };
+  if (cookies.readToken(req) !== cookieToken || parseCookies('a=1; b=x%20y').b !== 'x y') {
+    throw new Error('Cookie not read back');
+  }
+});
+
+// Test 39: CSRF Check
+test('Cookie transport requires a CSRF token on unsafe methods', () => {
+  const cookies = createCookieTransport({ csrf: { mode: 'synchronizer', secret: 'csrf-secret' } });
+  const cookieToken = generateToken(testUser, JWT_SECRET);
+  const csrfToken = cookies.csrfTokenFor(cookieToken);
+
+  if (!cookies.verifyCsrf({ method: 'GET', headers: {} }, cookieToken)) {
+    throw new Error('GET rejected');
+  }
+  if (cookies.verifyCsrf({ method: 'POST', headers: {} }, cookieToken)) {
+    throw new Error('POST without CSRF token accepted');
+  }
+  if (!cookies.verifyCsrf({ method: 'POST', headers: { 'x-csrf-token': csrfToken } }, cookieToken)) {
+    throw new Error('Valid CSRF token rejected');
+  }
+});
+
+// Test 39b: Logout Only Revokes Signed Tokens
+test('createLogoutHandler() revokes signed tokens, even expired ones, but not forged ones', async () => {
+  const { createLogoutHandler } = require('./lib/cookies.js');
+  const revoked = [];
+  const logout = createLogoutHandler({ jwtSecret: JWT_SECRET, revocationStore: { revokeToken: async token => revoked.push(token) } });
+  const call = async (token) => {
+    const res = { status(code) { res.statusCode = code; return res; }, json: () => res, setHeader: () => {} };
+    await logout({ headers: { authorization: `Bearer ${token}` } }, res);
+    return res.statusCode;
+  };
+
+  const forged = generateToken({ ...testUser, id: 999999 }, 'attacker-secret');
+  if (await call(forged) !== 401 || revoked.length !== 0) {
+    throw new Error('Forged token revoked');
+  }
+
+  const expired = generateToken(testUser, JWT_SECRET, { expiresIn: -10 });
+  const valid = generateToken(testUser, JWT_SECRET);
+  if (await call(expired) || await call(valid) || revoked.length !== 2) {
+    throw new Error('Signed token not revoked on logout');
+  }
+});
+
+// Test 39c: Logout CSRF Check
+test('createLogoutHandler() requires a CSRF token when the token comes from the cookie', async () => {
+  const { createLogoutHandler } = require('./lib/cookies.js');
+  const cookies = createCookieTransport({ csrf: { mode: 'synchronizer', secret: 'csrf-secret' } });
+  const store = createMemoryRevocationStore();
+  const logout = createLogoutHandler({ jwtSecret: JWT_SECRET, cookies, revocationStore: store });
+  const cookieToken = generateToken(testUser, JWT_SECRET);
+  const jti = decodeToken(cookieToken).payload.jti;
+  const headers = {};
+  const res = {
+    status(code) { res.statusCode = code; return res; },
+    json: () => res,
+    getHeader: name => headers[name],
+    setHeader: (name, value) => { headers[name] = value; }
+  };
+
+  await logout({ method: 'POST', headers: { cookie: `latanda_token=${cookieToken}` } }, res);
+  if (res.statusCode !== 403 || headers['Set-Cookie'] || store.isRevoked(jti)) {
+    throw new Error('Cross-site logout accepted');
+  }
+
+  res.statusCode = undefined;
+  const csrf = cookies.csrfTokenFor(cookieToken);
+  await logout({ method: 'POST', headers: { cookie: `latanda_token=${cookieToken}`, 'x-csrf-token': csrf } }, res);
+  if (res.statusCode || !store.isRevoked(jti) || !headers['Set-Cookie']) {
+    throw new Error('Logout with a valid CSRF token failed');
+  }
+});
+
+section('\n🌐 Nginx auth_request\n');
+
+const { createAuthRequestHandler, trustProxyIdentity } = require('./lib/nginx.js');
+
+// Test 39d: Logout Store Failure
+test('createLogoutHandler() clears the cookies before answering 500 when a store fails', async () => {
+  const { createLogoutHandler } = require('./lib/cookies.js');
+  const cookies = createCookieTransport();
+  const sessionStore = { revokeSession: async () => { throw new Error('connection lost'); } };
+  const logout = createLogoutHandler({ jwtSecret: JWT_SECRET, cookies, sessionStore });
+  const headers = {};
+  const res = {
+    status(code) { res.statusCode = code; return res; },
+    json() { res.headersSent = true; return res; },
+    getHeader: name => headers[name],
+    setHeader: (name, value) => {
+      if (res.headersSent) throw new Error('ERR_HTTP_HEADERS_SENT');
+      headers[name] = value;
+    }
+  };
+
+  await logout({ method: 'POST', headers: { authorization: `Bearer ${generateToken(testUser, JWT_SECRET)}` } }, res);
+  if (res.statusCode !== 500 || !headers['Set-Cookie']) {
+    throw new Error('Cookies not cleared on a failed logout');
+  }
+});
+
+// Test 40: auth_request Handler
+test('createAuthRequestHandler() answers 401/403 without identity headers when access is refused', async () => {
+  const handler = createAuthRequestHandler({
+    jwtSecret: JWT_SECRET,
+    sharedSecret: 'proxy-secret',
+    authorize: user => user.role === 'ADMIN'
+  });
+  const subrequest = async authorization => {
+    const res = { headers: {}, setHeader(name, value) { res.headers[name.toLowerCase()] = value; }, end() {} };
+    await handler({ method: 'GET', headers: authorization ? { authorization } : {} }, res);
+    if (res.statusCode !== 204 && res.headers['x-user-id'] !== undefined) {
+      throw new Error('Identity headers sent with a refusal');
+    }
+    return res.statusCode;
+  };
+
+  if (await subrequest() !== 401 || await subrequest('Bearer not-a-token') !== 401) {
+    throw new Error('Missing or forged token not answered with 401');
+  }
+  if (await subrequest(`Bearer ${generateToken(testUser, JWT_SECRET)}`) !== 403) {
+    throw new Error('authorize() refusal not answered with 403');
+  }
+  if (await subrequest(`Bearer ${generateToken(adminUser, JWT_SECRET)}`) !== 204) {
+    throw new Error('Authorized token not answered with 204');
+  }
+});
+
+// Test 41: Trusted Proxy Identity
+test('trustProxyIdentity() only trusts identity headers from the proxy', () => {
+  const middleware = trustProxyIdentity({ trustedIps: ['127.0.0.1'] });
+  const headers = { 'x-user-id': '42', 'x-user-role': 'MIT', 'x-user-permissions': 'create_groups,beta' };
+
+  const fromProxy = { headers, socket: { remoteAddress: '::ffff:127.0.0.1' } };
+  middleware(fromProxy, {}, () => {});
+  if (!fromProxy.user || fromProxy.user.id !== '42' || fromProxy.user.permissions[1] !== 'beta') {
+    throw new Error('Identity from the proxy not accepted');
+  }
+
+  const direct = { headers, socket: { remoteAddress: '203.0.113.9' } };
+  middleware(direct, {}, () => {});
+  if (direct.user !== null) {
+    throw new Error('Identity headers accepted from an untrusted address');
+  }
+});
+
+// Runs the auth_request handler and returns the request an upstream service would see
+async function throughProxy(token, secret) {
+  const handler = createAuthRequestHandler({ jwtSecret: JWT_SECRET, sharedSecret: secret });
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name.toLowerCase()] = value; }, end: () => {} };
+  await handler({ method: 'GET', headers: { authorization: `Bearer ${token}` } }, res);
+  if (res.statusCode !== 204) {
+    throw new Error(`auth_request answered ${res.statusCode}`);
+  }
+  const upstream = { headers, socket: { remoteAddress: '127.0.0.1' } };
+  trustProxyIdentity({ sharedSecret: secret })(upstream, {}, () => {});
+  return upstream;
+}
+
+// Test 41c: Identity Round Trip Through the Proxy
+test('createAuthRequestHandler() headers give trustProxyIdentity the same identity', async () => {
+  const authTime = Math.floor(Date.now() / 1000) - 30;
+  const token = generateToken({ ...adminUser, amr: ['pwd', 'otp'], auth_time: authTime }, JWT_SECRET);
+  const { user } = await throughProxy(token, 'proxy-secret');
+  if (!user || user.id !== String(adminUser.id) || user.role !== 'ADMIN' || !user.permissions.includes('full_access')) {
+    throw new Error('Identity changed behind the proxy');
+  }
+  if (user.authTime !== authTime || user.amr.join(',') !== 'pwd,otp' || user.scope !== null) {
+    throw new Error('auth_time or amr lost behind the proxy');
+  }
+
+  let recent = false;
+  const res = { status: () => res, json: () => res, setHeader: () => {}, set: () => res };
+  await requireRecentAuth({ maxAge: '5m' })({ user }, res, () => { recent = true; });
+  if (!recent) {
+    throw new Error('Recent login rejected behind the proxy');
+  }
+});
+
+// Test 41b: Scope Survives the Proxy
+test('trustProxyIdentity() keeps the token scope so upstream guards enforce it', async () => {
+  const scoped = generateToken(adminUser, JWT_SECRET, { scope: 'profile:read' });
+  const upstream = await throughProxy(scoped, 'proxy-secret');
+  if (!upstream.user || upstream.user.scope.join(' ') !== 'profile:read') {
+    throw new Error('Scope lost behind the proxy');
+  }
+
+  let allowed = false;
+  const res = { status: () => res, json: () => res, setHeader: () => {}, set: () => res };
+  await requirePermission('user_management')(upstream, res, () => { allowed = true; });
+  if (allowed) {
+    throw new Error('Scoped ADMIN token regained full access behind the proxy');
+  }
+
+  const forged = { ...upstream.headers, 'x-user-scope': 'admin' };
+  const tampered = { headers: forged, socket: { remoteAddress: '127.0.0.1' } };
+  trustProxyIdentity({ sharedSecret: 'proxy-secret' })(tampered, {}, () => {});
+  if (tampered.user !== null) {
+    throw new Error('Tampered X-User-Scope accepted');
+  }
+});
+
+section('\n📜 Policy Engine\n');
+
+const { createPolicyEngine } = require('./lib/policy.js');
+
+const groupPolicy = createPolicyEngine({
+  rules: [
+    { id: 'admin-all', subject: { role: 'ADMIN' }, actions: '*' },
+    {
+      id: 'mit-own-groups',
+      subject: { role: 'MIT' },
+      actions: ['edit', 'delete'],
+      condition: 'resource.creator_id == subject.id'
+    },
+    { id: 'frozen', effect: 'deny', actions: ['edit', 'delete'], condition: "resource.status == 'frozen'" }
+  ]
+});
+
+// Test 42: Policy Conditions
+test('createPolicyEngine() evaluates rule conditions', () => {
+  if (!groupPolicy.evaluate({ id: 7, role: 'MIT' }, 'edit', { creator_id: 7 })) {
+    throw new Error('MIT denied on own group');
+  }
+  if (groupPolicy.evaluate({ id: 8, role: 'MIT' }, 'edit', { creator_id: 7 })) {
+    throw new Error('MIT allowed on another group');
+  }
+});
+
+// Test 43: Deny Overrides
+test('explain() reports the deny rule that overrides an allow', () => {
+  const decision = groupPolicy.explain({ id: 1, role: 'ADMIN' }, 'delete', { creator_id: 7, status: 'frozen' });
+  if (decision.allowed || decision.rule !== 'frozen' || !decision.matched.includes('admin-all')) {
+    throw new Error(`Unexpected decision: ${JSON.stringify(decision)}`);
+  }
+});
+
+section('\n👥 Group Roles\n');
+
+const { hasGroupRoleLevel, hasGroupPermission } = require('./lib/rbac.js');
+const { requireGroupRole, requireGroupMember } = require('./lib/middleware.js');
+
+// Test 44: Group Role Ladder
+test('hasGroupRoleLevel() compares group-scoped roles', () => {
+  if (!hasGroupRoleLevel('coordinator', 'member') || hasGroupRoleLevel('member', 'coordinator')) {
+    throw new Error('Group role ladder wrong');
+  }
+  if (!hasGroupPermission('coordinator', 'make_payments') || hasGroupPermission('member', 'approve_members')) {
+    throw new Error('Group permissions wrong');
+  }
+});
+
+// Test 45: Group Middleware
+test('requireGroupRole() and requireGroupMember() check the membership of the requested group', async () => {
+  const memberships = { 7: { role: 'member' } };
+  const loadMembership = async (req, groupId) => memberships[groupId] || null;
+  const getGroupId = req => req.params.groupId;
+  const run = async (middleware, user, groupId) => {
+    const req = { user, params: { groupId }, headers: {} };
+    const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; }, setHeader() {} };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return passed ? req.groupMembership : res.body.code;
+  };
+
+  const member = { id: 1, role: 'USER' };
+  const coordinatorOnly = requireGroupRole('coordinator', getGroupId, { loadMembership });
+  const membersOnly = requireGroupMember(getGroupId, { loadMembership });
+  if (await run(coordinatorOnly, member, '7') !== 'INSUFFICIENT_GROUP_ROLE') {
+    throw new Error('Member passed a coordinator check');
+  }
+  const membership = await run(membersOnly, member, '7');
+  if (!membership || membership.role !== 'member') {
+    throw new Error('Member rejected or membership not attached');
+  }
+  if (await run(membersOnly, member, '8') !== 'NOT_GROUP_MEMBER') {
+    throw new Error('Non-member passed a membership check');
+  }
+  if (await run(coordinatorOnly, { id: 2, role: 'ADMIN' }, '8') !== null) {
+    throw new Error('ADMIN did not bypass the group check');
+  }
+
+  let threw = false;
+  try {
+    requireGroupRole('treasurer', getGroupId, { loadMembership });
+  } catch (error) {
+    threw = true;
+  }
+  if (!threw) {
+    throw new Error('Accepted an unknown group role');
+  }
+});
+
+section('\n📧 Email Verification\n');
+
+const { createVerificationHandlers } = require('./lib/verification.js');
+
+// Test 46: email_verified Claim
+test('generateToken() carries the email_verified claim', () => {
+  const verified = validateToken(generateToken({ ...testUser, email_verified: true }, JWT_SECRET), JWT_SECRET);
+  const unknown = validateToken(generateToken(testUser, JWT_SECRET), JWT_SECRET);
+  if (verified.email_verified !== true || unknown.email_verified !== undefined) {
+    throw new Error('email_verified claim wrong');
+  }
+});
+
+// Test 47: Verification Handlers
+test('createVerificationHandlers() requires a mail transport', () => {
+  const pool = { query: async () => ({ rows: [], rowCount: 0 }) };
+  const urls = { verifyUrl: 'https://latanda.online/verify', resetUrl: 'https://latanda.online/reset' };
+  let threw = false;
+  try {
+    createVerificationHandlers({ pool, ...urls });
+  } catch (error) {
+    threw = true;
+  }
+  if (!threw) {
+    throw new Error('Accepted a missing mail transport');
+  }
+  const handlers = createVerificationHandlers({ pool, ...urls, mailTransport: { send: async () => {} } });
+  if (typeof handlers.confirmEmail !== 'function' || typeof handlers.resetPassword !== 'function') {
+    throw new Error('Missing handlers');
+  }
+});
+
+// Test 47b: Password Reset Trims History
+test('resetPassword() stores the new password under the policy, trimming password_history', async () => {
+  const queries = [];
+  const pool = { query: async (sql, params) => { queries.push({ sql, params }); return { rows: [], rowCount: 1 }; } };
+  const tokenStore = {
+    find: async () => ({ userId: 9 }),
+    consume: async () => ({ success: true, userId: 9 })
+  };
+  const passwordPolicy = { historySize: 3, validate: async () => ({ valid: true }) };
+  const handlers = createVerificationHandlers({
+    pool,
+    tokenStore,
+    passwordPolicy,
+    cost: 4,
+    mailTransport: { send: async () => {} },
+    verifyUrl: 'https://latanda.online/verify',
+    resetUrl: 'https://latanda.online/reset'
+  });
+  const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; }, setHeader() {} };
+  await handlers.resetPassword({ body: { token: 'reset-token', password: 'a new passphrase' }, headers: {} }, res);
+
+  const trim = queries.find(query => query.sql.includes('DELETE FROM password_history'));
+  if (!res.body || !res.body.success || !trim || trim.params[1] !== 3) {
+    throw new Error('password_history not trimmed after a reset');
+  }
+});
+
+// Test 47c: Reset Requests Do Not Reveal Accounts
+test('requestPasswordReset() answers the same for a known email whose mail fails as for an unknown one', async () => {
+  const pool = {
+    query: async (sql, params) => ({
+      rows: params[0] === 'known@latanda.online' ? [{ id: 9, email: params[0], email_verified: false }] : [],
+      rowCount: 1
+    })
+  };
+  const failures = [];
+  const handlers = createVerificationHandlers({
+    pool,
+    tokenStore: { issue: async () => ({ token: 'mail-token' }) },
+    mailTransport: { send: () => new Promise((resolve, reject) => setTimeout(() => reject(new Error('SMTP down')), 20)) },
+    verifyUrl: 'https://latanda.online/verify',
+    resetUrl: 'https://latanda.online/reset',
+    onError: (error, details) => failures.push(details.purpose)
+  });
+  const answer = async (handler, email) => {
+    const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; }, setHeader() {} };
+    await handler({ body: { email }, headers: {} }, res);
+    return JSON.stringify([res.statusCode, res.body]);
+  };
+
+  for (const handler of [handlers.requestPasswordReset, handlers.requestVerification]) {
+    const known = await answer(handler, 'known@latanda.online');
+    const unknown = await answer(handler, 'unknown@latanda.online');
+    if (known !== unknown) {
+      throw new Error(`Known account answered ${known}, unknown ${unknown}`);
+    }
+  }
+  await new Promise(resolve => setTimeout(resolve, 40));
+  if (failures.sort().join(',') !== 'email_verification,password_reset') {
+    throw new Error('Mail failures not reported to onError');
+  }
+});
+
+section('\n🔐 Two-Factor Authentication\n');
+
+const { generateTotp, verifyTotp, requireMfa } = require('./lib/mfa.js');
+
+// Test 48: TOTP (RFC 6238 test vector)
+test('generateTotp() matches the RFC 6238 test vector', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'; // base32 of '12345678901234567890'
+  if (generateTotp(secret, { time: 59000, digits: 8 }) !== '94287082') {
+    throw new Error('TOTP code mismatch');
+  }
+  const code = generateTotp(secret, { time: 1111111109000 });
+  if (!verifyTotp(code, secret, { time: 1111111109000 + 30000 }).valid ||
+      verifyTotp(code, secret, { time: 1111111109000 + 90000 }).valid) {
+    throw new Error('Drift window wrong');
+  }
+});
+
+// Test 49: amr Claims and requireMfa
+test('requireMfa() checks the amr claim; mfa_pending tokens are refused', () => {
+  const pending = generateToken({ ...testUser, amr: ['pwd'] }, JWT_SECRET, { tokenUse: 'mfa_pending' });
+  if (validateToken(pending, JWT_SECRET).valid || !validateToken(pending, JWT_SECRET, { tokenUse: 'mfa_pending' }).valid) {
+    throw new Error('mfa_pending token accepted as a normal token');
+  }
+  const full = validateToken(generateToken({ ...testUser, amr: ['pwd', 'otp', 'mfa'] }, JWT_SECRET), JWT_SECRET);
+  let status = 200;
+  let passed = false;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  requireMfa()({ user: { id: 1, amr: ['pwd'] }, headers: {} }, res, () => {});
+  requireMfa()({ user: { id: 1, amr: full.amr }, headers: {} }, res, () => { passed = true; });
+  if (status !== 403 || !passed) {
+    throw new Error('requireMfa decision wrong');
+  }
+});
+
+// Test 49b: Pending Tokens Cannot Be Refreshed
+test('refreshToken() refuses an expired mfa_pending token even with allowExpired', () => {
+  const pending = generateToken({ ...testUser, amr: ['pwd'] }, JWT_SECRET, { tokenUse: 'mfa_pending', expiresIn: -10 });
+  const result = refreshToken(pending, JWT_SECRET, { allowExpired: true });
+  if (result.success || result.code !== 'WRONG_TOKEN_USE') {
+    throw new Error('MFA bypassed through refreshToken');
+  }
+});
+
+section('\n🕐 Recent Authentication\n');
+
+const { requireRecentAuth } = require('./lib/middleware.js');
+
+// Test 50: auth_time Claim
+test('generateToken() sets auth_time and keeps a given one', () => {
+  const loginTime = Math.floor(Date.now() / 1000) - 3600;
+  const fresh = validateToken(generateToken(testUser, JWT_SECRET), JWT_SECRET);
+  const carried = validateToken(generateToken({ ...testUser, auth_time: loginTime }, JWT_SECRET), JWT_SECRET);
+  if (Math.abs(fresh.auth_time - Math.floor(Date.now() / 1000)) > 5 || carried.auth_time !== loginTime) {
+    throw new Error('auth_time claim wrong');
+  }
+});
+
+// Test 51: requireRecentAuth
+test('requireRecentAuth() answers REAUTH_REQUIRED for an old auth_time', () => {
+  const now = Math.floor(Date.now() / 1000);
+  let body = null;
+  let passed = false;
+  const res = { status() { return this; }, json(data) { body = data; return this; } };
+  requireRecentAuth({ maxAge: '5m' })({ user: { id: 1, authTime: now - 3600 }, headers: {} }, res, () => {});
+  requireRecentAuth({ maxAge: '5m' })({ user: { id: 1, authTime: now - 60 }, headers: {} }, res, () => { passed = true; });
+  if (!body || body.code !== 'REAUTH_REQUIRED' || !passed) {
+    throw new Error('Recent authentication check wrong');
+  }
+});
+
+section('\n🔑 API Keys\n');
+
+const { createApiKeyStore } = require('./lib/apikeys.js');
+
+// Test 52: API Key Format
+test('createApiKeyStore() tells API keys apart from JWTs', () => {
+  const store = createApiKeyStore({ pool: { query: async () => ({ rows: [] }) } });
+  if (!store.isApiKey('ltk_3f9a1c2e_secret') || store.isApiKey(generateToken(testUser, JWT_SECRET))) {
+    throw new Error('isApiKey() wrong');
+  }
+});
+
+// Test 53: API Key Principal
+test('requirePermission() checks an API key principal by its scopes', () => {
+  const principal = { type: 'api_key', id: 7, role: null, permissions: ['make_payments'], deniedPermissions: [] };
+  let allowed = false;
+  let status = 200;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  requirePermission('make_payments')({ user: principal, headers: {} }, res, () => { allowed = true; });
+  requirePermission('delete_users')({ user: principal, headers: {} }, res, () => {});
+  if (!allowed || status !== 403) {
+    throw new Error('API key scopes not enforced');
+  }
+});
+
+// Test 53b: API Keys Ignore loadPermissions
+test('requirePermission({ loadPermissions }) does not give an API key its owner\'s grants', async () => {
+  const principal = { type: 'api_key', id: 7, role: null, permissions: ['view_own_profile'], deniedPermissions: [] };
+  let loads = 0;
+  const loadPermissions = async () => { loads++; return { grants: ['delete_users'], denies: [] }; };
+  let allowed = false;
+  const res = { status() { return this; }, json() { return this; }, setHeader() {} };
+  await requirePermission('delete_users', { loadPermissions })({ user: principal, headers: {} }, res, () => { allowed = true; });
+  if (allowed || loads !== 0) {
+    throw new Error('API key widened to the owner\'s permissions');
+  }
+});
+
+// Test 53c: API Keys on Ownership, Group and Policy Guards
+test('A narrowly scoped API key does not pass ownership, group or policy checks as its owner', async () => {
+  const { ownershipGuard, groupGuard, policyGuard } = require('./lib/core.js');
+  const key = { type: 'api_key', id: 7, role: null, permissions: ['view_own_transactions'], deniedPermissions: [] };
+  const loadMembership = async () => ({ role: 'coordinator' });
+  const engine = createPolicyEngine({ rules: [{ id: 'own', actions: ['edit'], condition: 'resource.owner_id == subject.id' }] });
+  const outcome = async (check) => {
+    const decision = await check({ user: key, headers: {} });
+    return decision.allow ? 'allowed' : decision.error.code;
+  };
+
+  const refused = [
+    await outcome(ownershipGuard(() => 7)),
+    await outcome(ownershipGuard(() => 7, { permission: 'make_payments' })),
+    await outcome(groupGuard(null, 3, { loadMembership })),
+    await outcome(groupGuard('coordinator', 3, { loadMembership })),
+    await outcome(policyGuard(engine, 'edit', async () => ({ owner_id: 7 })))
+  ];
+  if (refused.some(code => code !== 'FORBIDDEN')) {
+    throw new Error(`API key acted as its owner: ${refused.join()}`);
+  }
+
+  const permission = 'view_own_transactions';
+  const scoped = [
+    await outcome(ownershipGuard(() => 7, { permission })),
+    await outcome(groupGuard(null, 3, { loadMembership, permission })),
+    await outcome(policyGuard(engine, 'edit', async () => ({ owner_id: 7 }), { permission }))
+  ];
+  if (scoped.some(result => result !== 'allowed')) {
+    throw new Error(`API key refused for a permission in its scopes: ${scoped.join()}`);
+  }
+});
+
+section('\n🎯 Token Scopes\n');
+
+const { defaultScopeCatalog } = require('./lib/scopes.js');
+const { requireScope } = require('./lib/middleware.js');
+
+// Test 54: Scope Claim
+test('generateToken() stores a scope that can only be narrowed', () => {
+  const token = generateToken(testUser, JWT_SECRET, { scope: ['profile:read', 'transactions:read'] });
+  const scope = validateToken(token, JWT_SECRET).scope;
+  const narrowed = defaultScopeCatalog.narrow(scope, 'transactions:read');
+  const widened = defaultScopeCatalog.narrow(scope, 'payments:write');
+  if (scope.length !== 2 || !narrowed.valid || widened.valid || widened.code !== 'INVALID_SCOPE') {
+    throw new Error('Scope claim wrong');
+  }
+});
+
+// Test 55: Scope Enforcement
+test('requireScope() and requirePermission() refuse a read-only token', () => {
+  const user = { id: 1, role: 'USER', permissions: [], deniedPermissions: [], scope: ['transactions:read'] };
+  const codes = [];
+  let passed = false;
+  const res = { status() { return this; }, json(data) { codes.push(data.code); return this; } };
+  requireScope('transactions:read')({ user, headers: {} }, res, () => { passed = true; });
+  requireScope('payments:write')({ user, headers: {} }, res, () => {});
+  requirePermission('make_payments')({ user, headers: {} }, res, () => {});
+  if (!passed || codes.join() !== 'INSUFFICIENT_SCOPE,INSUFFICIENT_SCOPE') {
+    throw new Error('Scope not enforced: ' + codes.join());
+  }
+});
+
+// Test 55b: Token Exchange
+test('Token exchange rejects bad expires_in and records a session for the new token', async () => {
+  const { downscopeToken, createTokenExchangeHandler } = require('./lib/scopes.js');
+  const parent = generateToken(testUser, JWT_SECRET);
+  for (const expiresIn of [0, -60, '0s', 'soon']) {
+    const result = downscopeToken(parent, JWT_SECRET, { scope: 'profile:read', expiresIn });
+    if (result.success || result.code !== 'INVALID_REQUEST') {
+      throw new Error(`expires_in ${JSON.stringify(expiresIn)} accepted`);
+    }
+  }
+
+  const live = [parent];
+  const sessionStore = {
+    createSession: async token => { live.push(token); },
+    validateSession: async token => (live.includes(token) ? { valid: true, session: { id: 1 } } : { valid: false, error: 'Session not found' })
+  };
+  const exchange = createTokenExchangeHandler({ jwtSecret: JWT_SECRET, sessionStore });
+  const res = { status(code) { res.statusCode = code; return res; }, json(body) { res.body = body; return res; }, setHeader() {} };
+  await exchange({ token: parent, user: { id: testUser.id }, body: { scope: 'profile:read', expires_in: '5m' }, headers: {} }, res);
+  if (!res.body || !res.body.success || res.body.expires_in !== 300) {
+    throw new Error(`Exchange failed: ${JSON.stringify(res.body)}`);
+  }
+
+  let accepted = false;
+  const authMiddleware = createAuthMiddleware({ jwtSecret: JWT_SECRET, sessionStore });
+  await authMiddleware({ headers: { authorization: `Bearer ${res.body.token}` } }, res, () => { accepted = true; });
+  if (!accepted) {
+    throw new Error('Exchanged token rejected by session enforcement');
+  }
+});
+
+// Test 55c: Scoped Tokens on Guards Without Permissions
+test('Role, ownership, group and policy guards refuse a scoped token unless it covers their permission', async () => {
+  const { roleGuard, ownershipGuard, groupGuard, policyGuard } = require('./lib/core.js');
+  const reader = { id: 5, role: 'ADMIN', permissions: [], deniedPermissions: [], scope: ['profile:read'] };
+  const member = { ...reader, role: 'USER' };
+  const loadMembership = async () => ({ role: 'coordinator' });
+  const engine = createPolicyEngine({ rules: [{ id: 'own', actions: ['edit'], condition: 'resource.owner_id == subject.id' }] });
+  const outcome = async (check, user) => {
+    const decision = await check({ user, headers: {} });
+    return decision.allow ? 'allowed' : decision.error.code;
+  };
+
+  const refused = [
+    await outcome(roleGuard('ADMIN'), reader),
+    await outcome(ownershipGuard(() => 5), member),
+    await outcome(ownershipGuard(() => 5, { permission: 'edit_own_profile' }), member),
+    await outcome(groupGuard('coordinator', 7, { loadMembership }), member),
+    await outcome(policyGuard(engine, 'edit', async () => ({ owner_id: 5 })), member)
+  ];
+  if (refused.some(code => code !== 'INSUFFICIENT_SCOPE')) {
+    throw new Error(`Scoped token got through: ${refused.join()}`);
+  }
+
+  const permission = 'view_own_profile';
+  const covered = [
+    await outcome(roleGuard('ADMIN', { permission }), reader),
+    await outcome(ownershipGuard(() => 5, { permission }), member),
+    await outcome(groupGuard('coordinator', 7, { loadMembership, permission }), member),
+    await outcome(policyGuard(engine, 'edit', async () => ({ owner_id: 5 }), { permission }), member),
+    await outcome(ownershipGuard(() => 5), { ...member, scope: null })
+  ];
+  if (covered.some(result => result !== 'allowed')) {
+    throw new Error(`Covered or unscoped token refused: ${covered.join()}`);
+  }
+});
+
+section('\n🧩 Framework Adapters\n');
+
+const { roleGuard } = require('./lib/core.js');
+const { createKoaAuth } = require('./lib/koa.js');
+const { createHttpAuth } = require('./lib/http.js');
+
+// Test 56: Core Decisions
+test('roleGuard() returns the same decision body the middleware sends', () => {
+  const decision = roleGuard('ADMIN')({ user: { id: 1, role: 'USER' }, headers: {} });
+  let sent = null;
+  const res = { status() { return this; }, json(data) { sent = data; return this; } };
+  requireRole('ADMIN')({ user: { id: 1, role: 'USER' }, headers: {} }, res, () => {});
+  if (decision.allow || decision.status !== 403 || JSON.stringify(decision.body) !== JSON.stringify(sent)) {
+    throw new Error('Core decision differs from the Express response');
+  }
+});
+
+// Test 57: Adapter Surface
+test('createKoaAuth() and createHttpAuth() expose the same checks as Express', () => {
+  const names = ['authenticate', 'optionalAuth', 'requirePermission', 'requireScope', 'requireRecentAuth',
+    'requireRole', 'requireOwnership', 'requireGroupRole', 'requireGroupMember', 'requireMfa', 'requireVerifiedEmail',
+    'requirePolicy'];
+  const koa = createKoaAuth({ jwtSecret: JWT_SECRET });
+  const http = createHttpAuth({ jwtSecret: JWT_SECRET });
+  if (!names.every(name => typeof koa[name] === 'function' && typeof http[name] === 'function')) {
+    throw new Error('Adapter is missing checks');
+  }
+});
+
+// Test 57b: MFA, Email and Policy Checks Outside Express
+test('Koa and http adapters enforce requireMfa, requireVerifiedEmail and requirePolicy', async () => {
+  const koa = createKoaAuth({ jwtSecret: JWT_SECRET });
+  const ctx = { user: { id: 5, role: 'ADMIN', amr: ['pwd'] }, state: {}, headers: {}, set() {} };
+  let reached = false;
+  await koa.requireMfa()(ctx, async () => { reached = true; });
+  if (reached || ctx.status !== 403 || ctx.body.code !== 'MFA_REQUIRED') {
+    throw new Error('Koa requireMfa let a password-only login through');
+  }
 
-if (testsFailed === 0) {
-  console.log(`\n🎉 All tests passed! Package is ready to publish.\n`);
-  process.exit(0);
-} else {
-  console.log(`\n⚠️  Some tests failed. Fix issues before publishing.\n`);
-  process.exit(1);
+  const http = createHttpAuth({ jwtSecret: JWT_SECRET });
+  const pool = { query: async () => ({ rows: [{ email_verified: true }] }) };
+  const req = { user: { id: 5, role: 'USER', emailVerified: false }, headers: {} };
+  if (!(await http.requireVerifiedEmail({ pool })(req, {})) || req.user.emailVerified !== true) {
+    throw new Error('http requireVerifiedEmail ignored the users table');
+  }
+
+  const policy = createPolicyEngine({ rules: [{ id: 'own', actions: ['edit'], condition: 'resource.owner_id == subject.id' }] });
+  const own = { user: { id: 5 }, state: {}, headers: {}, set() {} };
+  await koa.requirePolicy(policy, 'edit', async () => ({ owner_id: 5 }))(own, async () => {});
+  const other = { user: { id: 6 }, state: {}, headers: {}, set() {} };
+  await koa.requirePolicy(policy, 'edit', async () => ({ owner_id: 5 }))(other, async () => {});
+  if (!own.policyDecision || own.resource.owner_id !== 5 || other.status !== 403 || other.body.code !== 'POLICY_DENIED') {
+    throw new Error('Koa requirePolicy decided wrongly');
+  }
+});
+
+section('\n🔌 WebSocket and Socket.IO\n');
+
+const { createWebSocketAuth, createSocketIoAuth } = require('./lib/websocket.js');
+
+// Test 58: In-Band Auth Messages
+test('createWebSocketAuth() recognizes in-band auth messages', () => {
+  const wsAuth = createWebSocketAuth({ jwtSecret: JWT_SECRET });
+  if (!wsAuth.isAuthMessage(JSON.stringify({ type: 'auth', token: 'abc' })) ||
+      wsAuth.isAuthMessage('{"type":"chat"}') || wsAuth.isAuthMessage('not json')) {
+    throw new Error('isAuthMessage() wrong');
+  }
+});
+
+// Test 59: Socket.IO Event Guards
+test('createSocketIoAuth() guards check the socket user like requireRole()', () => {
+  const sioAuth = createSocketIoAuth({ jwtSecret: JWT_SECRET });
+  const decision = sioAuth.requireRole('ADMIN').check({ user: { id: 1, role: 'USER' }, headers: {} });
+  if (decision.allow || decision.body.code !== 'INSUFFICIENT_ROLE') {
+    throw new Error('Socket.IO guard did not refuse');
+  }
+});
+
+// A ws-like socket that records what the server sends and how it closes
+function createFakeSocket() {
+  const EventEmitter = require('events');
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = data => ws.sent.push(JSON.parse(data));
+  ws.close = (code, reason) => {
+    if (ws.readyState !== 1) return;
+    ws.readyState = 3;
+    ws.closed = { code, reason };
+    ws.emit('close');
+  };
+  return ws;
 }
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Test 59b: Expiry and In-Band Refresh
+test('createWebSocketAuth() closes with 4001 at exp unless a fresh token extends the connection', async () => {
+  const wsAuth = createWebSocketAuth({ jwtSecret: JWT_SECRET, checkInterval: 0, refreshWindow: 0 });
+  const shortLived = () => `Bearer ${generateToken(testUser, JWT_SECRET, { expiresIn: 1 })}`;
+  const expiring = createFakeSocket();
+  const refreshed = createFakeSocket();
+  await wsAuth.accept(expiring, { headers: { authorization: shortLived() } });
+  await wsAuth.accept(refreshed, { headers: { authorization: shortLived() } });
+
+  refreshed.emit('message', JSON.stringify({ type: 'auth', token: generateToken(testUser, JWT_SECRET, { expiresIn: '1h' }) }));
+  await sleep(1300);
+  if (!expiring.closed || expiring.closed.code !== 4001) {
+    throw new Error(`Expired connection not closed with 4001: ${JSON.stringify(expiring.closed)}`);
+  }
+  if (refreshed.closed || !refreshed.sent.some(message => message.type === 'auth_ok')) {
+    throw new Error('In-band refresh did not extend the connection');
+  }
+  refreshed.close(1000);
+});
+
+// Test 59c: Revocation While Connected
+test('createWebSocketAuth() closes with 4002 once the token is revoked', async () => {
+  const revocationStore = createMemoryRevocationStore();
+  const wsAuth = createWebSocketAuth({ jwtSecret: JWT_SECRET, revocationStore, checkInterval: 0.02, refreshWindow: 0 });
+  const token = generateToken(testUser, JWT_SECRET);
+  const ws = createFakeSocket();
+  if (!(await wsAuth.accept(ws, { headers: { authorization: `Bearer ${token}` } }))) {
+    throw new Error('Valid token refused');
+  }
+
+  revocationStore.revokeToken(token);
+  await sleep(100);
+  if (!ws.closed || ws.closed.code !== 4002) {
+    throw new Error(`Revoked connection not closed with 4002: ${JSON.stringify(ws.closed)}`);
+  }
+});
+
+// Test 59d: First-Message Auth Timeout
+test('createWebSocketAuth() closes with 4408 when no auth message arrives in time', async () => {
+  const wsAuth = createWebSocketAuth({ jwtSecret: JWT_SECRET, authTimeout: 0.05 });
+  const silent = createFakeSocket();
+  if (await wsAuth.accept(silent, { headers: {} }) !== null || !silent.closed || silent.closed.code !== 4408) {
+    throw new Error(`Silent connection not closed with 4408: ${JSON.stringify(silent.closed)}`);
+  }
+
+  const ws = createFakeSocket();
+  const accepting = wsAuth.accept(ws, { headers: {} });
+  ws.emit('message', JSON.stringify({ type: 'auth', token: generateToken(testUser, JWT_SECRET) }));
+  const user = await accepting;
+  if (!user || user.id !== testUser.id || ws.closed) {
+    throw new Error('First-message auth failed');
+  }
+  ws.close(1000);
+});
+
+section('\n💻 Session Management\n');
+
+const { createSessionHandlers, parseUserAgent } = require('./lib/sessions.js');
+
+// Test 60: Device Info
+test('parseUserAgent() describes the device', () => {
+  const device = parseUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 ' +
+    '(KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1');
+  if (device.browser !== 'Safari' || device.os !== 'iOS' || device.type !== 'mobile') {
+    throw new Error('Device info wrong: ' + JSON.stringify(device));
+  }
+});
+
+// Test 61: Other Users' Sessions
+test('createSessionHandlers() requires user_management for other users', () => {
+  const sessionStore = createSessionStore({ pool: { query: async () => ({ rows: [], rowCount: 0 }) } });
+  const { list } = createSessionHandlers({ sessionStore });
+  let body = null;
+  const res = { status() { return this; }, json(data) { body = data; return this; } };
+  list({ user: { id: 1, role: 'USER', permissions: [] }, params: { userId: '2' }, headers: {} }, res);
+  if (!body || body.code !== 'FORBIDDEN') {
+    throw new Error('Listed another user\'s sessions');
+  }
+});
+
+section('\n🕵️  Impersonation\n');
+
+const { IMPERSONATION_BLOCKED_PERMISSIONS } = require('./lib/impersonation.js');
+
+// Test 62: Actor Claim
+test('generateToken() stamps the impersonating actor as act', () => {
+  const token = generateToken(testUser, JWT_SECRET, { actor: { id: 'staff_1', email: 'support@latanda.online', role: 'IT' } });
+  const result = validateToken(token, JWT_SECRET);
+  if (!result.valid || !result.act || result.act.sub !== 'staff_1' || result.act.role !== 'IT') {
+    throw new Error('act claim missing');
+  }
+});
+
+// Test 63: Blocked Permissions
+test('requirePermission() blocks sensitive permissions during impersonation', () => {
+  const req = {
+    user: {
+      id: 'user_123',
+      role: 'USER',
+      permissions: [],
+      deniedPermissions: IMPERSONATION_BLOCKED_PERMISSIONS,
+      actor: { id: 'staff_1', role: 'IT' }
+    }
+  };
+  let body = null;
+  const res = { status() { return this; }, json(data) { body = data; return this; } };
+  requirePermission('make_payments')(req, res, () => {});
+  if (!body || body.code !== 'IMPERSONATION_BLOCKED') {
+    throw new Error('Payment allowed while impersonating');
+  }
+});
+
+section('\n🚨 Errors and Localized Messages\n');
+
+const { InsufficientRoleError, TokenExpiredError, createErrorRenderer } = require('./lib/errors.js');
+
+// Test 64: Typed Errors
+test('InsufficientRoleError carries a stable code and a Spanish message', () => {
+  const error = new InsufficientRoleError({ required: 'ADMIN', current: 'USER' });
+  const body = JSON.parse(JSON.stringify(error));
+  if (error.status !== 403 || body.code !== 'INSUFFICIENT_ROLE' || body.error !== 'Requires ADMIN role or higher') {
+    throw new Error('Wrong error shape');
+  }
+  const rendered = createErrorRenderer().render(error, { headers: { 'accept-language': 'es-HN,es;q=0.9,en;q=0.5' } });
+  if (rendered.body.error !== 'Requiere el rol ADMIN o superior' || rendered.headers['Content-Language'] !== 'es') {
+    throw new Error('Message not localized');
+  }
+});
+
+// Test 65: WWW-Authenticate and Problem Details
+test('Expired tokens get an RFC 6750 challenge and problem+json on request', () => {
+  const renderer = createErrorRenderer({ problemDetails: 'negotiate' });
+  const rendered = renderer.render(new TokenExpiredError(), { headers: { accept: 'application/problem+json' } });
+  if (!/^Bearer .*error="invalid_token"/.test(rendered.headers['WWW-Authenticate'] || '')) {
+    throw new Error('Missing WWW-Authenticate challenge');
+  }
+  if (!rendered.headers['Content-Type'].startsWith('application/problem+json') || rendered.body.status !== 401 || rendered.body.code !== 'INVALID_TOKEN') {
+    throw new Error('Not a problem details body');
+  }
+});
+
+// Test 65b: Challenges Only for Token Problems
+test('Only a too-narrow scope gets error="insufficient_scope"', () => {
+  const { InsufficientScopeError, NotOwnerError, PolicyDeniedError } = require('./lib/errors.js');
+  const renderer = createErrorRenderer();
+  const scoped = renderer.render(new InsufficientScopeError({ required: ['make_payments'] }), { headers: {} });
+  if (!/error="insufficient_scope"/.test(scoped.headers['WWW-Authenticate'] || '')) {
+    throw new Error('Scope error without a challenge');
+  }
+  for (const error of [new InsufficientRoleError({ required: 'ADMIN', current: 'USER' }), new NotOwnerError(), new PolicyDeniedError()]) {
+    if (renderer.render(error, { headers: {} }).headers['WWW-Authenticate']) {
+      throw new Error(`${error.code} sent a challenge a new token cannot satisfy`);
+    }
+  }
+});
+
+// Test 65c: Legacy onUnauthorized Codes
+test('legacyUnauthorizedCodes reports a revoked token to onUnauthorized as INVALID_TOKEN', async () => {
+  const store = createMemoryRevocationStore();
+  const revokedToken = generateToken(testUser, JWT_SECRET);
+  await store.revokeToken(revokedToken);
+
+  const seen = [];
+  for (const legacyUnauthorizedCodes of [false, true]) {
+    const middleware = createAuthMiddleware({
+      jwtSecret: JWT_SECRET,
+      revocationStore: store,
+      legacyUnauthorizedCodes,
+      onUnauthorized: (req, res, info) => seen.push(info)
+    });
+    await middleware({ headers: { authorization: `Bearer ${revokedToken}` } }, {}, () => {});
+  }
+  if (seen.map(info => info.code).join(',') !== 'TOKEN_REVOKED,INVALID_TOKEN' || seen[1].error.code !== 'TOKEN_REVOKED') {
+    throw new Error(`onUnauthorized saw ${seen.map(info => info.code).join(',')}`);
+  }
+});
+
+section('\n🧰 Command-Line Tool\n');
+
+const { parseArgs, loadConfig } = require('./lib/cli.js');
+
+// Test 66: Argument Parsing
+test('parseArgs() splits commands, values and flags', () => {
+  const { positional, options } = parseArgs(['issue-token', '7', '--expires-in', '2h', '--session', '--scope=groups:read']);
+  if (positional.join(' ') !== 'issue-token 7' || options.expiresIn !== '2h' || options.session !== true || options.scope !== 'groups:read') {
+    throw new Error('Arguments parsed incorrectly');
+  }
+});
+
+// Test 67: Settings From the Environment
+test('loadConfig() reads the secret and token options from the environment', () => {
+  const config = loadConfig({}, { JWT_SECRET, JWT_ISSUER: 'auth.latanda.online', DATABASE_URL: 'postgres://localhost/latanda' });
+  if (config.jwtSecret !== JWT_SECRET || config.tokenOptions.issuer !== 'auth.latanda.online' || !config.databaseUrl) {
+    throw new Error('Environment settings ignored');
+  }
+});
+
+async function run() {
+  for (const step of queue) {
+    await step();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Test Results:\n`);
+  console.log(`   ✅ Passed: ${testsPassed}`);
+  console.log(`   ❌ Failed: ${testsFailed}`);
+  console.log(`   📈 Success Rate: ${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%`);
+
+  if (testsFailed === 0) {
+    console.log(`\n🎉 All tests passed! Package is ready to publish.\n`);
+    process.exit(0);
+  } else {
+    console.log(`\n⚠️  Some tests failed. Fix issues before publishing.\n`);
+    process.exit(1);
+  }
+}
+
+run();